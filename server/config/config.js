@@ -2,6 +2,7 @@ module.exports = {
     environment: process.env.NODE_ENV || 'development',
     port: process.env.PORT || 4000,
     jwtSecret: process.env.JWT_SECRET,
-    jwtExpire: process.env.JWT_EXPIRE || '30d',
+    jwtExpire: process.env.JWT_EXPIRE || '15m',
+    jwtRefreshExpire: process.env.JWT_REFRESH_EXPIRE || '7d',
     mongoURI: process.env.MONGO_URI
   };
\ No newline at end of file
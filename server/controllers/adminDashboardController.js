@@ -2,6 +2,7 @@ const Event = require('../models/eventModel');
 const Registration = require('../models/registrationModel');
 const User = require('../models/userModel');
 const { successResponse, errorResponse } = require('../utils/responseHandler');
+const { SEATS_HELD, backfillSeatCounters } = require('../utils/seatReservation');
 
 // @desc    Get admin dashboard data
 // @route   GET /api/admin/dashboard
@@ -34,11 +35,11 @@ const getAdminDashboard = async (req, res) => {
       .sort({ registrationDate: -1 })
       .limit(10);
     
-    // Get event popularity stats
+    // Get event popularity stats, ranked by booked seats
     const popularEvents = await Registration.aggregate([
       { $match: { status: 'confirmed' } },
-      { $group: { _id: '$event', count: { $sum: 1 } } },
-      { $sort: { count: -1 } },
+      { $group: { _id: '$event', count: { $sum: 1 }, seats: { $sum: SEATS_HELD } } },
+      { $sort: { seats: -1, count: -1 } },
       { $limit: 5 }
     ]);
     
@@ -51,31 +52,31 @@ const getAdminDashboard = async (req, res) => {
     // Format the popular events data
     const formattedPopularEvents = populatedPopularEvents.map(item => ({
       event: item._id,
-      registrationCount: item.count
+      registrationCount: item.count,
+      seatCount: item.seats
     }));
     
-    // Calculate occupancy rates
-    const eventsWithRegistrations = await Event.find();
-    const occupancyRates = [];
+    // Calculate occupancy rates from each event's seat counter in the database,
+    // after filling in counters for events created before it existed
+    await backfillSeatCounters();
     
-    for (const event of eventsWithRegistrations) {
-      const registrationCount = await Registration.countDocuments({
-        event: event._id,
-        status: 'confirmed'
-      });
-      
-      occupancyRates.push({
-        eventId: event._id,
-        title: event.title,
-        date: event.date,
-        occupancyRate: (registrationCount / event.totalSeats) * 100,
-        registeredUsers: registrationCount,
-        totalSeats: event.totalSeats
-      });
-    }
-    
-    // Sort by occupancy rate
-    occupancyRates.sort((a, b) => b.occupancyRate - a.occupancyRate);
+    const occupancyRates = await Event.aggregate([
+      {
+        $project: {
+          _id: 0,
+          eventId: '$_id',
+          title: 1,
+          date: 1,
+          registeredUsers: 1,
+          totalSeats: 1,
+          occupancyRate: {
+            $multiply: [{ $divide: ['$registeredUsers', '$totalSeats'] }, 100]
+          }
+        }
+      },
+      { $sort: { occupancyRate: -1 } },
+      { $limit: 5 }
+    ]);
     
     return successResponse(res, {
       counts: {
@@ -86,7 +87,7 @@ const getAdminDashboard = async (req, res) => {
       upcomingEvents,
       recentRegistrations,
       popularEvents: formattedPopularEvents,
-      occupancyRates: occupancyRates.slice(0, 5) // Top 5 by occupancy
+      occupancyRates // Top 5 by occupancy
     });
   } catch (error) {
     return errorResponse(res, error.message, 500);
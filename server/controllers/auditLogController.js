@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/auditLogModel');
+const { successResponse, errorResponse } = require('../utils/responseHandler');
+
+// @desc    Query the audit log
+// @route   GET /api/admin/audit-logs?actor=&targetType=&target=&action=&from=&to=&page=&limit=
+// @access  Private/Admin
+const getAuditLogs = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const startIndex = (page - 1) * limit;
+
+    const { actor, targetType, target, action, from, to } = req.query;
+    const filter = {};
+
+    for (const [name, value] of [['actor', actor], ['target', target]]) {
+      if (value) {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          return errorResponse(res, `Invalid ${name} ID`, 400);
+        }
+        filter[name] = value;
+      }
+    }
+
+    if (targetType) {
+      filter.targetType = targetType;
+    }
+
+    // Accept one action or a comma separated list, e.g. event.update,event.cancel
+    if (action) {
+      filter.action = { $in: String(action).split(',').map(item => item.trim()) };
+    }
+
+    if (from || to) {
+      filter.createdAt = {};
+
+      if (from) {
+        const fromDate = new Date(from);
+        if (isNaN(fromDate.getTime())) {
+          return errorResponse(res, 'Invalid from date', 400);
+        }
+        filter.createdAt.$gte = fromDate;
+      }
+
+      if (to) {
+        const toDate = new Date(to);
+        if (isNaN(toDate.getTime())) {
+          return errorResponse(res, 'Invalid to date', 400);
+        }
+        filter.createdAt.$lte = toDate;
+      }
+    }
+
+    const total = await AuditLog.countDocuments(filter);
+
+    const logs = await AuditLog.find(filter)
+      .populate('actor', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(startIndex)
+      .limit(limit);
+
+    return successResponse(res, {
+      logs,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+module.exports = {
+  getAuditLogs
+};
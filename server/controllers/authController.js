@@ -1,13 +1,75 @@
-const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
 const User = require('../models/userModel');
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  findSession
+} = require('../utils/tokens');
+const { sendMail } = require('../utils/mailer');
+const { deleteUserAccount } = require('../utils/accountDeletion');
 
-// Generate JWT
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE
-  });
+// Base URL of the frontend, used for links in emails
+const getClientUrl = () => process.env.CLIENT_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+
+// Email a verification link, logging rather than failing if mail is down
+const sendVerificationEmail = async (user, token) => {
+  const link = `${getClientUrl()}/verify-email?token=${token}`;
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Verify your EventX email address',
+      text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nIf you did not create an account you can ignore this email.`
+    });
+  } catch (error) {
+    console.error('Verification email error:', error.message);
+  }
+};
+
+// Email a password reset link
+const sendPasswordResetEmail = async (user, token) => {
+  const link = `${getClientUrl()}/reset-password?token=${token}`;
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your EventX password',
+      text: `Hi ${user.name},\n\nUse this link to choose a new password. It can be used once and expires soon:\n${link}\n\nIf you did not ask for a reset you can ignore this email.`
+    });
+  } catch (error) {
+    console.error('Password reset email error:', error.message);
+  }
 };
 
+// Tell the owner of an existing account that someone tried to register with it
+const sendAccountExistsEmail = async (user) => {
+  const link = `${getClientUrl()}/forgot-password`;
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'You already have an EventX account',
+      text: `Hi ${user.name},\n\nSomeone tried to create an EventX account with this email address, but you already have one. If this was you, log in or reset your password here:\n${link}\n\nIf it was not you, you can ignore this email.`
+    });
+  } catch (error) {
+    console.error('Account exists email error:', error.message);
+  }
+};
+
+// Compared against when no user matches, so unknown emails take as long as wrong passwords
+const DUMMY_PASSWORD_HASH = '$2a$10$CwTycUXWue0Thq9StjUM0uJ8.7xKfNvVUm0Cu5LhX/oFvcv0kl5QW';
+
+// Same answer for new and already registered emails, so registration cannot be used to find accounts
+const REGISTRATION_MESSAGE = 'Registration received. Check your email to verify your account, then log in.';
+
+// Request details stored with each refresh token
+const getTokenMeta = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent')
+});
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -24,17 +86,6 @@ const registerUser = async (req, res) => {
       });
     }
 
-    // Check if user exists
-    const userExists = await User.findOne({ email });
-
-    if (userExists) {
-      return res.status(400).json({
-        success: false,
-        message: 'Email already registered',
-        field: 'email'
-      });
-    }
-
     // Validate password length
     if (!password || password.length < 6) {
       return res.status(400).json({
@@ -44,6 +95,17 @@ const registerUser = async (req, res) => {
       });
     }
 
+    // An existing account gets an email instead of an error response
+    const existingUser = await User.findOne({ email });
+
+    if (existingUser) {
+      await sendAccountExistsEmail(existingUser);
+      return res.status(201).json({
+        success: true,
+        message: REGISTRATION_MESSAGE
+      });
+    }
+
     // Create user
     const user = await User.create({
       name,
@@ -51,19 +113,23 @@ const registerUser = async (req, res) => {
       password
     });
 
-    if (user) {
-      res.status(201).json({
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+    await sendVerificationEmail(user, verificationToken);
+
+    res.status(201).json({
+      success: true,
+      message: REGISTRATION_MESSAGE
+    });
+  } catch (error) {
+    // A parallel request registered the same email first
+    if (error.code === 11000) {
+      return res.status(201).json({
         success: true,
-        token: generateToken(user._id),
-        user: {
-          _id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role
-        }
+        message: REGISTRATION_MESSAGE
       });
     }
-  } catch (error) {
+
     // Handle Mongoose validation errors
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(el => ({
@@ -94,31 +160,50 @@ const loginUser = async (req, res) => {
     // Check for user email
     const user = await User.findOne({ email }).select('+password');
 
-    if (!user) {
+    // Always compare a password, so unknown emails take as long as known ones
+    const isMatch = user ?
+      await user.matchPassword(password) :
+      await bcrypt.compare(String(password), DUMMY_PASSWORD_HASH);
+
+    // Locked accounts get the same answer as a wrong password, so a lockout
+    // does not reveal that the account exists
+    if (!user || user.isLocked() || !isMatch) {
+      if (user && !user.isLocked()) {
+        await user.registerFailedLogin();
+      }
       return res.status(401).json({
         success: false,
         error: 'Invalid credentials'
       });
     }
 
-    // Check if password matches
-    const isMatch = await user.matchPassword(password);
+    // A successful login starts the failure count again
+    if (user.failedLoginAttempts > 0 || user.lockUntil) {
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } }
+      );
+    }
 
-    if (!isMatch) {
-      return res.status(401).json({
+    if (user.isSuspended) {
+      return res.status(403).json({
         success: false,
-        message: 'Invalid credentials'
+        error: 'Your account has been suspended'
       });
     }
 
+    const { token, refreshToken } = await issueTokens(user, getTokenMeta(req));
+
     res.status(200).json({
       success: true,
-      token: generateToken(user._id),
+      token,
+      refreshToken,
       user: {
         _id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        isEmailVerified: user.isEmailVerified
       }
     });
   } catch (error) {
@@ -143,7 +228,8 @@ const getUserProfile = async (req, res) => {
           _id: user._id,
           name: user.name,
           email: user.email,
-          role: user.role
+          role: user.role,
+          isEmailVerified: user.isEmailVerified
         }
       });
     } else {
@@ -160,8 +246,395 @@ const getUserProfile = async (req, res) => {
   }
 };
 
+// @desc    Update current user profile
+// @route   PUT /api/auth/profile
+// @access  Private
+const updateUserProfile = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const { name, email } = req.body;
+
+    if (name !== undefined) {
+      user.name = name;
+    }
+
+    const emailChanged = email !== undefined &&
+      email.toLowerCase() !== user.email.toLowerCase();
+
+    if (emailChanged) {
+      // Check if another account already uses this email
+      const emailTaken = await User.findOne({ email, _id: { $ne: user._id } })
+        .collation({ locale: 'en', strength: 2 });
+
+      if (emailTaken) {
+        return res.status(400).json({
+          success: false,
+          message: 'Email already registered',
+          field: 'email'
+        });
+      }
+
+      user.email = email;
+      user.isEmailVerified = false;
+    }
+
+    let verificationToken;
+
+    if (emailChanged) {
+      verificationToken = user.createEmailVerificationToken();
+    }
+
+    await user.save();
+
+    // A new address has to be verified again
+    if (verificationToken) {
+      await sendVerificationEmail(user, verificationToken);
+    }
+
+    res.status(200).json({
+      success: true,
+      user: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        isEmailVerified: user.isEmailVerified
+      }
+    });
+  } catch (error) {
+    // Handle Mongoose validation errors
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(el => ({
+        message: el.message,
+        field: el.path
+      }));
+
+      return res.status(400).json({
+        success: false,
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Change password
+// @route   PUT /api/auth/password
+// @access  Private
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!(await user.matchPassword(currentPassword))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Current password is incorrect'
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Sign out every other session and start a fresh one for this client
+    await revokeAllSessions(user._id);
+    const updatedUser = await User.findById(user._id);
+    const { token, refreshToken } = await issueTokens(updatedUser, getTokenMeta(req));
+
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken,
+      message: 'Password updated'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete current user's account
+// @route   DELETE /api/auth/account
+// @access  Private
+const deleteAccount = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!(await user.matchPassword(req.body.password))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Password is incorrect'
+      });
+    }
+
+    // Never leave the system without an admin
+    if (user.role === 'admin') {
+      const otherAdmins = await User.countDocuments({
+        role: 'admin',
+        isSuspended: { $ne: true },
+        _id: { $ne: user._id }
+      });
+
+      if (otherAdmins === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'The last admin account cannot be deleted'
+        });
+      }
+    }
+
+    const result = await deleteUserAccount(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deleted',
+      cancelledRegistrations: result.cancelled,
+      anonymizedRegistrations: result.anonymized,
+      refundedRegistrations: result.refunded,
+      failedRefunds: result.failedRefunds
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+const refreshAccessToken = async (req, res) => {
+  try {
+    const result = await rotateRefreshToken(req.body.refreshToken, getTokenMeta(req));
+
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Log out the current session
+// @route   POST /api/auth/logout
+// @access  Private
+const logoutUser = async (req, res) => {
+  try {
+    // Revoke the session of the access token, and the refresh token's too if sent
+    await revokeSession(req.sessionId);
+
+    const { refreshToken } = req.body || {};
+
+    if (refreshToken) {
+      const session = await findSession(refreshToken);
+
+      if (session && session.user.toString() === req.user._id.toString()) {
+        await revokeSession(session.family);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Log out of every session
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAllSessions = async (req, res) => {
+  try {
+    await revokeAllSessions(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all sessions'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+      await sendPasswordResetEmail(user, resetToken);
+    }
+
+    // Same answer either way, so this cannot be used to find accounts
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Set a new password with a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    // Clear the token while matching it, so it can only ever be used once.
+    // Receiving the email also proves the address belongs to the user, so any
+    // login lockout is lifted too.
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: User.hashToken(token),
+        passwordResetExpires: { $gt: Date.now() }
+      },
+      {
+        $unset: { passwordResetToken: 1, passwordResetExpires: 1, lockUntil: 1 },
+        $set: { isEmailVerified: true, failedLoginAttempts: 0 }
+      }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired reset token'
+      });
+    }
+
+    const account = await User.findById(user._id).select('+password');
+    account.password = password;
+    await account.save();
+
+    // Sign out everywhere, the old password may have been compromised
+    await revokeAllSessions(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset, please log in again'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Verify email address with an emailed token
+// @route   POST /api/auth/verify-email
+// @access  Public
+const verifyEmail = async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationToken: User.hashToken(req.body.token),
+        emailVerificationExpires: { $gt: Date.now() }
+      },
+      {
+        $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 },
+        $set: { isEmailVerified: true }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired verification token'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Send a new verification email
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is already verified'
+      });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+    await sendVerificationEmail(user, verificationToken);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   registerUser,
   loginUser,
-  getUserProfile
+  getUserProfile,
+  updateUserProfile,
+  changePassword,
+  deleteAccount,
+  refreshAccessToken,
+  logoutUser,
+  logoutAllSessions,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail
 };
\ No newline at end of file
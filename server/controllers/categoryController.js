@@ -0,0 +1,196 @@
+const Category = require('../models/categoryModel');
+const Event = require('../models/eventModel');
+const { successResponse, errorResponse } = require('../utils/responseHandler');
+const { recordAudit } = require('../utils/auditLog');
+
+// @desc    Get all categories
+// @route   GET /api/categories
+// @access  Public
+const getCategories = async (req, res) => {
+  try {
+    const categories = await Category.find().sort({ name: 1 });
+
+    // Count events per category in a single query
+    const eventCounts = await Event.aggregate([
+      { $unwind: '$categories' },
+      { $group: { _id: '$categories', count: { $sum: 1 } } }
+    ]);
+
+    const countsById = new Map(
+      eventCounts.map(item => [item._id.toString(), item.count])
+    );
+
+    const categoriesWithCounts = categories.map(category => ({
+      ...category.toObject(),
+      eventCount: countsById.get(category._id.toString()) || 0
+    }));
+
+    return successResponse(res, { categories: categoriesWithCounts });
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+// @desc    Get single category
+// @route   GET /api/categories/:id
+// @access  Public
+const getCategoryById = async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return errorResponse(res, 'Category not found', 404);
+    }
+
+    const eventCount = await Event.countDocuments({ categories: category._id });
+
+    return successResponse(res, {
+      category: {
+        ...category.toObject(),
+        eventCount
+      }
+    });
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+// @desc    Create category
+// @route   POST /api/categories
+// @access  Private/Admin
+const createCategory = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    // Check for an existing category with the same name
+    const existing = await Category.findOne({ name: name.trim() })
+      .collation({ locale: 'en', strength: 2 });
+
+    if (existing) {
+      return errorResponse(res, 'Category already exists', 400);
+    }
+
+    const category = await Category.create({ name, description });
+
+    await recordAudit(req, {
+      action: 'category.create',
+      targetType: 'Category',
+      target: category._id,
+      after: category,
+      fields: ['name', 'description']
+    });
+
+    return successResponse(res, { category }, 201);
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+// @desc    Update category
+// @route   PUT /api/categories/:id
+// @access  Private/Admin
+const updateCategory = async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return errorResponse(res, 'Category not found', 404);
+    }
+
+    const { name, description } = req.body;
+    const before = category.toObject();
+
+    if (name !== undefined) {
+      const existing = await Category.findOne({
+        name: name.trim(),
+        _id: { $ne: category._id }
+      })
+      .collation({ locale: 'en', strength: 2 });
+
+      if (existing) {
+        return errorResponse(res, 'Category already exists', 400);
+      }
+
+      category.name = name;
+    }
+
+    if (description !== undefined) {
+      category.description = description;
+    }
+
+    const updatedCategory = await category.save();
+
+    await recordAudit(req, {
+      action: 'category.update',
+      targetType: 'Category',
+      target: category._id,
+      before,
+      after: updatedCategory,
+      fields: ['name', 'description']
+    });
+
+    return successResponse(res, { category: updatedCategory });
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+// @desc    Delete category, use ?detach=true to remove it from events first
+// @route   DELETE /api/categories/:id
+// @access  Private/Admin
+const deleteCategory = async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return errorResponse(res, 'Category not found', 404);
+    }
+
+    const eventCount = await Event.countDocuments({ categories: category._id });
+
+    // Block deletion of categories still in use unless detaching was requested
+    if (eventCount > 0 && req.query.detach !== 'true') {
+      return errorResponse(
+        res,
+        `Category is used by ${eventCount} event(s), pass detach=true to remove it from them`,
+        400
+      );
+    }
+
+    let detachedEvents = 0;
+
+    if (eventCount > 0) {
+      const result = await Event.updateMany(
+        { categories: category._id },
+        { $pull: { categories: category._id } }
+      );
+      detachedEvents = result.modifiedCount;
+    }
+
+    await category.deleteOne();
+
+    await recordAudit(req, {
+      action: 'category.delete',
+      targetType: 'Category',
+      target: category._id,
+      before: category,
+      fields: ['name', 'description'],
+      details: { detachedEvents }
+    });
+
+    return successResponse(res, {
+      message: 'Category removed',
+      detachedEvents
+    });
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+module.exports = {
+  getCategories,
+  getCategoryById,
+  createCategory,
+  updateCategory,
+  deleteCategory
+};
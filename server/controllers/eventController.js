@@ -1,59 +1,150 @@
 const Event = require('../models/eventModel');
 const Registration = require('../models/registrationModel');
 const { successResponse, errorResponse } = require('../utils/responseHandler');
-const { validateEventData, canModifyEvent, hasAvailableSeats } = require('../utils/eventValidation');
+const { validateEventData, canModifyEvent, hasAvailableSeats, validateCategories, validateCoOrganizers } = require('../utils/eventValidation');
+const { promoteFromWaitlist } = require('../utils/waitlist');
+const { SEATS_HELD, syncSeatCounter, addAvailableSeats } = require('../utils/seatReservation');
+const { notifyUsers } = require('../utils/notifications');
+const { cancelEventCascade } = require('../utils/eventCancellation');
+const { buildCalendar, sendCalendar } = require('../utils/calendar');
+const { slugify } = require('../utils/registrationExport');
+const { recordAudit } = require('../utils/auditLog');
+const { buildEventQuery, parsePagination, OFFSET_ONLY_SORTS } = require('../utils/eventQuery');
+const { parseCursorParams, applyCursor, buildCursorPage } = require('../utils/pagination');
+const { validateTicketTypes, summarizeTicketTypes } = require('../utils/ticketTypes');
+const { validateRegistrationForm, summarizeAnswers } = require('../utils/registrationForms');
+const { generateInviteCode, normalizeInvitedEmails } = require('../utils/registrationApproval');
 
 // @desc    Get all events
-// @route   GET /api/events
+// @route   GET /api/events?q=&from=&to=&when=&status=&featured=&category=&location=&available=&sort=&cursor=
 // @access  Public
 const getEvents = async (req, res) => {
   try {
-    // Implement pagination
+    const { filter, sort, sortKey, projection, errors } = buildEventQuery(req.query);
+    
+    // Pass ?cursor= from a previous response to page without counting or skipping
+    const useCursor = req.query.cursor !== undefined;
+    const pageCheck = useCursor ?
+      parseCursorParams(req.query, sort, { defaultLimit: 10 }) :
+      parsePagination(req.query);
+    
+    if (useCursor && OFFSET_ONLY_SORTS.includes(sortKey)) {
+      errors.push(`cursor cannot be used with sort=${sortKey}, use page instead`);
+    }
+    
+    if (pageCheck.errors.length > 0 || errors.length > 0) {
+      return errorResponse(res, [...errors, ...pageCheck.errors].join(', '), 400);
+    }
+    
+    const { limit } = pageCheck;
+    
+    let query = Event.find(
+      useCursor ? applyCursor(filter, sort, pageCheck.cursor) : filter,
+      projection
+    );
+    
+    if (!useCursor) {
+      query = query.skip((pageCheck.page - 1) * limit);
+    }
+    
+    // Fetch one extra event to know whether there is another page
+    const events = await query
+      .populate('createdBy', 'name')
+      .populate('categories', 'name')
+      .sort(sort)
+      .limit(limit + 1)
+      .lean();
+    
+    const { items, hasMore, nextCursor } = buildCursorPage(events, limit, sort);
+    
+    // Seat counts come from each event's counter, not a count query per event
+    const eventsWithAvailability = await addAvailableSeats(items);
+    
+    const pagination = { limit, hasMore, nextCursor };
+    
+    // Page numbers need a total count, cursor pages skip it
+    if (!useCursor) {
+      const total = await Event.countDocuments(filter);
+      Object.assign(pagination, {
+        total,
+        page: pageCheck.page,
+        pages: Math.ceil(total / limit)
+      });
+    }
+      
+    return successResponse(res, {
+      events: eventsWithAvailability,
+      pagination
+    });
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+// @desc    Get single event
+// @route   GET /api/events/:id
+// @access  Public
+const getEventById = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id)
+      .populate('createdBy', 'name')
+      .populate('coOrganizers', 'name')
+      .populate('categories', 'name')
+      .lean();
+      
+    if (!event) {
+      return errorResponse(res, 'Event not found', 404);
+    }
+
+    // Calculate available seats, overall and per ticket type
+    const [eventWithAvailability] = await addAvailableSeats([event]);
+    
+    return successResponse(res, {
+      event: {
+        ...eventWithAvailability,
+        ticketTypes: summarizeTicketTypes(event)
+      }
+    });
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+// @desc    Get events the current user can manage
+// @route   GET /api/events/managed
+// @access  Private/Organizer
+const getManagedEvents = async (req, res) => {
+  try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const startIndex = (page - 1) * limit;
     
-    // Allow filtering by title or date
-    const filter = {};
-    
-    if (req.query.title) {
-      filter.title = { $regex: req.query.title, $options: 'i' };
-    }
+    // Admins manage everything, organizers their own and co-organized events
+    const filter = req.user.role === 'admin' ? {} : {
+      $or: [
+        { createdBy: req.user._id },
+        { coOrganizers: req.user._id }
+      ]
+    };
     
-    if (req.query.date) {
-      const dateObj = new Date(req.query.date);
-      filter.date = {
-        $gte: new Date(dateObj.setHours(0, 0, 0, 0)),
-        $lt: new Date(dateObj.setHours(23, 59, 59, 999))
-      };
+    if (req.query.status) {
+      filter.status = req.query.status;
     }
     
-    // Get total count for pagination info
     const total = await Event.countDocuments(filter);
     
-    // Get events
+    // Managers see the invite settings that public listings leave out
     const events = await Event.find(filter)
+      .select('+inviteCode +invitedEmails')
       .populate('createdBy', 'name')
+      .populate('coOrganizers', 'name')
+      .populate('categories', 'name')
       .sort({ date: 1 })
       .skip(startIndex)
       .limit(limit);
-
-    // Enhance events with availableSeats calculation
-    const eventsWithAvailability = await Promise.all(
-      events.map(async (event) => {
-        const confirmedRegistrations = await Registration.countDocuments({
-          event: event._id,
-          status: 'confirmed'
-        });
-        return {
-          ...event.toObject(),
-          availableSeats: event.totalSeats - confirmedRegistrations
-        };
-      })
-    );
-      
+    
     return successResponse(res, {
-      events: eventsWithAvailability,
+      events,
       pagination: {
         total,
         page,
@@ -66,30 +157,22 @@ const getEvents = async (req, res) => {
   }
 };
 
-// @desc    Get single event
-// @route   GET /api/events/:id
+// @desc    Get single event as an iCalendar file
+// @route   GET /api/events/:id/ics
 // @access  Public
-const getEventById = async (req, res) => {
+const getEventCalendar = async (req, res) => {
   try {
-    const event = await Event.findById(req.params.id)
-      .populate('createdBy', 'name');
-      
+    const event = await Event.findById(req.params.id);
+    
     if (!event) {
       return errorResponse(res, 'Event not found', 404);
     }
-
-    // Calculate available seats
-    const confirmedRegistrations = await Registration.countDocuments({
-      event: event._id,
-      status: 'confirmed'
-    });
     
-    const eventWithAvailability = {
-      ...event.toObject(),
-      availableSeats: event.totalSeats - confirmedRegistrations
-    };
-    
-    return successResponse(res, { event: eventWithAvailability });
+    return sendCalendar(
+      res,
+      buildCalendar([event], { name: event.title }),
+      `${slugify(event.title)}.ics`
+    );
   } catch (error) {
     return errorResponse(res, error.message, 500);
   }
@@ -97,7 +180,7 @@ const getEventById = async (req, res) => {
 
 // @desc    Create event
 // @route   POST /api/events
-// @access  Private/Admin
+// @access  Private/Organizer
 const createEvent = async (req, res) => {
   try {
     const { 
@@ -107,17 +190,89 @@ const createEvent = async (req, res) => {
       time, 
       location, 
       imageUrl, 
+      duration,
       totalSeats,  // Now expecting totalSeats from frontend
-      seatsAvailable // Fallback if frontend still sends seatsAvailable
+      seatsAvailable, // Fallback if frontend still sends seatsAvailable
+      maxSeatsPerRegistration,
+      price,
+      ticketTypes,
+      registrationForm,
+      registrationMode,
+      inviteCode,
+      invitedEmails,
+      holdSeatsForPending,
+      categories,
+      coOrganizers
     } = req.body;
     
     // Use totalSeats if provided, otherwise fallback to seatsAvailable
-    const finalTotalSeats = totalSeats || seatsAvailable;
+    let finalTotalSeats = totalSeats || seatsAvailable;
+    
+    // With ticket types the capacity is the sum of theirs
+    let ticketTypeList = [];
+    
+    if (ticketTypes !== undefined) {
+      const ticketTypeCheck = await validateTicketTypes(ticketTypes);
+      if (!ticketTypeCheck.isValid) {
+        return errorResponse(res, ticketTypeCheck.errors.join(', '), 400);
+      }
+      
+      if (ticketTypeCheck.ticketTypes.length > 0) {
+        if (finalTotalSeats && Number(finalTotalSeats) !== ticketTypeCheck.totalSeats) {
+          return errorResponse(
+            res,
+            `Total seats must equal the sum of the ticket type capacities (${ticketTypeCheck.totalSeats})`,
+            400
+          );
+        }
+        
+        ticketTypeList = ticketTypeCheck.ticketTypes;
+        finalTotalSeats = ticketTypeCheck.totalSeats;
+      }
+    }
     
     if (!finalTotalSeats || finalTotalSeats < 1) {
       return errorResponse(res, 'Total seats must be at least 1', 400);
     }
 
+    // Questions attendees answer when they register
+    let formFields = [];
+
+    if (registrationForm !== undefined) {
+      const formCheck = validateRegistrationForm(registrationForm);
+      if (!formCheck.isValid) {
+        return errorResponse(res, formCheck.errors.join(', '), 400);
+      }
+      formFields = formCheck.fields;
+    }
+
+    // Make sure every category exists before linking it
+    let categoryIds = [];
+
+    if (categories !== undefined) {
+      const categoryCheck = await validateCategories(categories);
+      if (!categoryCheck.isValid) {
+        return errorResponse(res, categoryCheck.errors.join(', '), 400);
+      }
+      categoryIds = categoryCheck.categoryIds;
+    }
+
+    // Co-organizers must already have an organizer or admin account
+    let coOrganizerIds = [];
+
+    if (coOrganizers !== undefined) {
+      const coOrganizerCheck = await validateCoOrganizers(coOrganizers);
+      if (!coOrganizerCheck.isValid) {
+        return errorResponse(res, coOrganizerCheck.errors.join(', '), 400);
+      }
+      coOrganizerIds = coOrganizerCheck.userIds
+        .filter(id => id !== req.user._id.toString());
+    }
+
+    // Invite only events need some way in, so give them a code when none is set
+    const needsInviteCode = registrationMode === 'invite' && !inviteCode &&
+      normalizeInvitedEmails(invitedEmails).length === 0;
+
     const event = await Event.create({
       title,
       description,
@@ -125,10 +280,31 @@ const createEvent = async (req, res) => {
       time,
       location,
       imageUrl: imageUrl || 'https://via.placeholder.com/300',
+      duration: duration ? Number(duration) : undefined,
       totalSeats: Number(finalTotalSeats), // Corrected field name
+      maxSeatsPerRegistration: maxSeatsPerRegistration ? Number(maxSeatsPerRegistration) : undefined,
+      price: price ? Number(price) : undefined,
+      ticketTypes: ticketTypeList,
+      registrationForm: formFields,
+      registrationMode,
+      inviteCode: needsInviteCode ? generateInviteCode() : inviteCode || undefined,
+      invitedEmails: normalizeInvitedEmails(invitedEmails),
+      holdSeatsForPending,
+      categories: categoryIds,
+      coOrganizers: coOrganizerIds,
       createdBy: req.user._id
     });
     
+    await recordAudit(req, {
+      action: 'event.create',
+      targetType: 'Event',
+      target: event._id,
+      after: event,
+      fields: ['title', 'description', 'date', 'time', 'location', 'duration', 'totalSeats', 'maxSeatsPerRegistration', 'price', 'ticketTypes', 'registrationForm', 'registrationMode', 'holdSeatsForPending', 'categories', 'coOrganizers']
+    });
+
+    await event.populate('categories', 'name');
+    
     return successResponse(res, { event }, 201);
   } catch (error) {
     console.error('Event creation error:', error);
@@ -140,7 +316,7 @@ const createEvent = async (req, res) => {
 }
 // @desc    Update event
 // @route   PUT /api/events/:id
-// @access  Private/Admin
+// @access  Private/Organizer
 const updateEvent = async (req, res) => {
   try {
     const eventId = req.params.id;
@@ -157,10 +333,14 @@ const updateEvent = async (req, res) => {
       return errorResponse(res, errors.join(', '), 400);
     }
 
-    let event = await Event.findById(eventId);
+    // Backfill the seat counter on older events before comparing against it
+    await syncSeatCounter(eventId);
+
+    let event = await Event.findById(eventId).select('+inviteCode +invitedEmails');
+    const before = event.toObject();
     
     // Handle partial updates
-    const updatableFields = ['title', 'description', 'date', 'time', 'location', 'imageUrl', 'totalSeats', 'status', 'isFeatured'];
+    const updatableFields = ['title', 'description', 'date', 'time', 'location', 'imageUrl', 'duration', 'totalSeats', 'maxSeatsPerRegistration', 'price', 'registrationMode', 'inviteCode', 'invitedEmails', 'holdSeatsForPending', 'status', 'isFeatured'];
     const updates = {};
     
     updatableFields.forEach(field => {
@@ -169,40 +349,282 @@ const updateEvent = async (req, res) => {
       }
     });
     
-    // If updating total seats, check if new capacity is valid
+    // Cancelled events stay cancelled, their registrations are already gone
+    if (event.status === 'cancelled' && updates.status !== undefined && updates.status !== 'cancelled') {
+      return errorResponse(res, 'A cancelled event cannot be reopened', 400);
+    }
+
+    // Cancelling goes through the same cascade as POST /api/events/:id/cancel,
+    // which runs once every other change has been checked
+    const isCancelling = updates.status === 'cancelled' && event.status !== 'cancelled';
+    let cancellation = null;
+
+    if (isCancelling) {
+      delete updates.status;
+    }
+
+    // Replace the event's categories when a new list is sent
+    if (req.body.categories !== undefined) {
+      const categoryCheck = await validateCategories(req.body.categories);
+      if (!categoryCheck.isValid) {
+        return errorResponse(res, categoryCheck.errors.join(', '), 400);
+      }
+      updates.categories = categoryCheck.categoryIds;
+    }
+
+    // Only the creator or an admin decides who co-organizes the event
+    if (req.body.coOrganizers !== undefined) {
+      if (req.user.role !== 'admin' &&
+          event.createdBy.toString() !== req.user._id.toString()) {
+        return errorResponse(res, 'Only the event creator can change co-organizers', 403);
+      }
+
+      const coOrganizerCheck = await validateCoOrganizers(req.body.coOrganizers);
+      if (!coOrganizerCheck.isValid) {
+        return errorResponse(res, coOrganizerCheck.errors.join(', '), 400);
+      }
+      updates.coOrganizers = coOrganizerCheck.userIds
+        .filter(id => id !== event.createdBy.toString());
+    }
+    
+    if (updates.invitedEmails !== undefined) {
+      updates.invitedEmails = normalizeInvitedEmails(updates.invitedEmails);
+    }
+    
+    // Pending registrations took seats or not under the current setting, so it
+    // stays fixed until they are all reviewed
+    if (updates.holdSeatsForPending !== undefined &&
+        Boolean(updates.holdSeatsForPending) !== event.holdSeatsForPending &&
+        await Registration.exists({ event: eventId, status: 'pending' })) {
+      return errorResponse(res, 'Review the pending registrations before changing whether they hold seats', 400);
+    }
+    
+    // Replace the registration form when a new one is sent, existing answers keep
+    // their copy of the question label
+    if (req.body.registrationForm !== undefined) {
+      const formCheck = validateRegistrationForm(req.body.registrationForm, event);
+      if (!formCheck.isValid) {
+        return errorResponse(res, formCheck.errors.join(', '), 400);
+      }
+      updates.registrationForm = formCheck.fields;
+    }
+    
+    // Events with ticket types take their capacity from the types,
+    // so totalSeats may only be sent when it matches their sum
+    let ticketTypeCheck = null;
+    let capacityChanged = false;
+    
+    if (req.body.ticketTypes !== undefined) {
+      ticketTypeCheck = await validateTicketTypes(req.body.ticketTypes, event);
+      if (!ticketTypeCheck.isValid) {
+        return errorResponse(res, ticketTypeCheck.errors.join(', '), 400);
+      }
+    }
+    
+    const ticketTypeList = ticketTypeCheck ? ticketTypeCheck.ticketTypes : event.ticketTypes;
+    
+    // Registrations made before the event had ticket types belong to none of
+    // them, and their seats would show as free in every new type
+    const addsTicketTypes = event.ticketTypes.length === 0 && ticketTypeList.length > 0;
+    
+    if (addsTicketTypes && await Registration.exists({
+      event: eventId,
+      status: { $in: ['confirmed', 'waitlisted', 'pending_payment', 'pending'] },
+      ticketType: null
+    })) {
+      return errorResponse(
+        res,
+        'Ticket types cannot be added while the event has active registrations without a ticket type',
+        400
+      );
+    }
+    
+    if (ticketTypeList.length > 0) {
+      const ticketTypeSeats = ticketTypeCheck ? ticketTypeCheck.totalSeats : event.totalSeats;
+      
+      if (updates.totalSeats !== undefined && Number(updates.totalSeats) !== ticketTypeSeats) {
+        return errorResponse(
+          res,
+          `Total seats must equal the sum of the ticket type capacities (${ticketTypeSeats})`,
+          400
+        );
+      }
+      
+      delete updates.totalSeats;
+    }
+
+    // Check the whole update against the schema on a copy of the event before
+    // anything is written, so an invalid field cannot leave the capacity
+    // changed or the registrations cancelled behind a failed save
+    const candidate = Event.hydrate(event.toObject());
+    Object.assign(candidate, updates);
+
+    if (ticketTypeCheck) {
+      candidate.ticketTypes = ticketTypeList;
+    }
+
+    if (isCancelling) {
+      candidate.status = 'cancelled';
+    }
+
+    const schemaErrors = candidate.validateSync();
+
+    if (schemaErrors) {
+      return errorResponse(
+        res,
+        [...new Set(Object.values(schemaErrors.errors).map(error => error.message))].join(', '),
+        400
+      );
+    }
+
+    // Swap in the new ticket types only while every sold counter carried over
+    // is still current, so seats booked in the meantime are never lost
+    if (ticketTypeCheck) {
+      const seatTotal = ticketTypeList.length > 0 ?
+        ticketTypeCheck.totalSeats :
+        Number(updates.totalSeats || event.totalSeats);
+      
+      // Adding the first types needs every seat to still be free, so no booking
+      // made in the meantime is left without a type
+      const filter = { _id: eventId, registeredUsers: addsTicketTypes ? 0 : { $lte: seatTotal } };
+      
+      if (event.ticketTypes.length > 0) {
+        filter.$and = event.ticketTypes.map(ticketType => ({
+          ticketTypes: { $elemMatch: { _id: ticketType._id, sold: ticketType.sold } }
+        }));
+      }
+      
+      const resizedEvent = await Event.findOneAndUpdate(
+        filter,
+        { $set: { ticketTypes: ticketTypeList, totalSeats: seatTotal } },
+        { new: true }
+      ).select('+inviteCode +invitedEmails');
+      
+      if (!resizedEvent) {
+        const { registeredUsers } = await Event.findById(eventId);
+        
+        if (registeredUsers > seatTotal) {
+          return errorResponse(
+            res,
+            `Cannot reduce capacity below the number of booked seats (${registeredUsers})`,
+            400
+          );
+        }
+        
+        return errorResponse(res, 'Seats were booked while the ticket types changed, please retry', 409);
+      }
+      
+      delete updates.totalSeats;
+      capacityChanged = true;
+      event = resizedEvent;
+    }
+    
+    // If updating total seats, apply the new capacity only if it still fits
+    // every confirmed seat, so a parallel registration cannot slip past it
     if (updates.totalSeats) {
-      const registrationCount = await Registration.countDocuments({
-        event: eventId,
-        status: 'confirmed'
-      });
+      const resizedEvent = await Event.findOneAndUpdate(
+        { _id: eventId, registeredUsers: { $lte: Number(updates.totalSeats) } },
+        { $set: { totalSeats: Number(updates.totalSeats) } },
+        { new: true }
+      ).select('+inviteCode +invitedEmails');
       
-      if (updates.totalSeats < registrationCount) {
+      if (!resizedEvent) {
+        const { registeredUsers } = await Event.findById(eventId);
         return errorResponse(
           res, 
-          `Cannot reduce capacity below current registration count (${registrationCount})`,
+          `Cannot reduce capacity below the number of booked seats (${registeredUsers})`,
           400
         );
       }
+
+      capacityChanged = true;
+      event = resizedEvent;
+    }
+
+    if (isCancelling) {
+      cancellation = await cancelEventCascade(eventId, {
+        reason: req.body.cancellationReason
+      });
+
+      if (!cancellation) {
+        return errorResponse(res, 'Event cannot be cancelled', 400);
+      }
+
+      event = await Event.findById(eventId).select('+inviteCode +invitedEmails');
+      capacityChanged = false;
     }
 
     // Apply updates and save
     Object.assign(event, updates);
+
+    // Invite only events need some way in, so give them a code when none is set
+    if (event.registrationMode === 'invite' && !event.inviteCode && event.invitedEmails.length === 0) {
+      event.inviteCode = generateInviteCode();
+    }
+
+    // Fields attendees care about, used to decide whether to notify them
+    const changedFields = ['title', 'description', 'date', 'time', 'location', 'status']
+      .filter(field => event.isModified(field));
+
+    // A new start time needs a fresh round of reminders
+    if (event.isModified('date') || event.isModified('time')) {
+      event.remindersSent = [];
+    }
+
+    // Editing one occurrence of a series keeps later series edits off it
+    if (event.series &&
+        (ticketTypeCheck || event.isModified('registrationForm') ||
+          updatableFields.some(field => field !== 'status' && event.isModified(field)))) {
+      event.isSeriesException = true;
+    }
+
     const updatedEvent = await event.save();
 
-    // Get current registration count for availability
-    const confirmedRegistrations = await Registration.countDocuments({
-      event: eventId,
-      status: 'confirmed'
+    await recordAudit(req, {
+      action: cancellation ? 'event.cancel' : 'event.update',
+      targetType: 'Event',
+      target: updatedEvent._id,
+      before,
+      after: updatedEvent,
+      fields: [...updatableFields, 'ticketTypes', 'registrationForm', 'categories', 'coOrganizers', 'cancellationReason'],
+      details: cancellation ? {
+        cancelledRegistrations: cancellation.cancelledRegistrations,
+        refundedRegistrations: cancellation.refundedRegistrations,
+        failedRefunds: cancellation.failedRefunds
+      } : undefined
     });
 
-    // Return event with availability info
+    await updatedEvent.populate('categories', 'name');
+
+    if (changedFields.length > 0) {
+      const attendees = await Registration.find({
+        event: eventId,
+        status: { $in: ['confirmed', 'waitlisted'] }
+      }).distinct('user');
+
+      await notifyUsers(attendees, {
+        message: `"${updatedEvent.title}" has been updated (${changedFields.join(', ')})`,
+        type: 'update',
+        eventId: updatedEvent._id
+      });
+    }
+
+    // Extra capacity goes to users waiting on the waitlist
+    if (capacityChanged) {
+      await promoteFromWaitlist(eventId);
+    }
+
+    // Return event with availability info, the counter was synced above
     const eventWithAvailability = {
       ...updatedEvent.toObject(),
-      availableSeats: updatedEvent.totalSeats - confirmedRegistrations
+      availableSeats: updatedEvent.totalSeats - updatedEvent.registeredUsers
     };
     
     return successResponse(res, { 
       event: eventWithAvailability,
+      cancelledRegistrations: cancellation ? cancellation.cancelledRegistrations : undefined,
+      refundedRegistrations: cancellation ? cancellation.refundedRegistrations : undefined,
+      failedRefunds: cancellation ? cancellation.failedRefunds : undefined,
       message: modifyCheck.message !== 'Event can be modified' ? modifyCheck.message : 'Event updated successfully'
     });
   } catch (error) {
@@ -212,7 +634,7 @@ const updateEvent = async (req, res) => {
 
 // @desc    Delete event
 // @route   DELETE /api/events/:id
-// @access  Private/Admin
+// @access  Private/Organizer
 const deleteEvent = async (req, res) => {
   try {
     const event = await Event.findById(req.params.id);
@@ -221,18 +643,53 @@ const deleteEvent = async (req, res) => {
       return errorResponse(res, 'Event not found', 404);
     }
     
-    // Check if there are registrations
-    const registrations = await Registration.countDocuments({ event: event._id });
+    // Check if there are active registrations, including ones awaiting payment or
+    // approval; cancelled and rejected ones do not block deletion
+    const registrations = await Registration.countDocuments({
+      event: event._id,
+      status: { $in: ['confirmed', 'waitlisted', 'pending_payment', 'pending'] }
+    });
     
     if (registrations > 0) {
       return errorResponse(
         res,
-        'Cannot delete event with active registrations',
+        'Cannot delete event with active registrations, cancel the event first',
+        400
+      );
+    }
+    
+    // A cancelled registration still holding a payment is the only record of a
+    // refund that failed, so it has to be refunded before the event can go
+    const unsettledPayments = await Registration.countDocuments({
+      event: event._id,
+      'payment.status': { $in: ['paid', 'refunding'] }
+    });
+    
+    if (unsettledPayments > 0) {
+      return errorResponse(
+        res,
+        'Cannot delete event with payments that have not been refunded, refund them first',
         400
       );
     }
     
+    // Registrations that went through checkout stay as the record of their
+    // payments, so a checkout the provider completes late can still be matched
+    // and refunded
+    await Registration.deleteMany({
+      event: event._id,
+      'payment.paymentId': { $exists: false },
+      'paymentHistory.paymentId': { $exists: false }
+    });
     await event.deleteOne();
+
+    await recordAudit(req, {
+      action: 'event.delete',
+      targetType: 'Event',
+      target: event._id,
+      before: event,
+      fields: ['title', 'date', 'time', 'location', 'totalSeats', 'status']
+    });
     
     return successResponse(res, { message: 'Event removed' });
   } catch (error) {
@@ -240,9 +697,65 @@ const deleteEvent = async (req, res) => {
   }
 };
 
+// @desc    Cancel event and all of its registrations
+// @route   POST /api/events/:id/cancel
+// @access  Private/Organizer
+const cancelEvent = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    
+    if (!event) {
+      return errorResponse(res, 'Event not found', 404);
+    }
+    
+    if (event.status === 'cancelled') {
+      return errorResponse(res, 'Event is already cancelled', 400);
+    }
+    
+    if (event.status === 'completed') {
+      return errorResponse(res, 'Cannot cancel an event that has already completed', 400);
+    }
+    
+    const { reason, archive } = req.body || {};
+    
+    const cancellation = await cancelEventCascade(event._id, {
+      reason,
+      archive: archive === true || archive === 'true'
+    });
+    
+    if (!cancellation) {
+      return errorResponse(res, 'Event cannot be cancelled', 400);
+    }
+    
+    await recordAudit(req, {
+      action: 'event.cancel',
+      targetType: 'Event',
+      target: event._id,
+      before: event,
+      after: cancellation.event,
+      fields: ['status', 'cancellationReason', 'isArchived'],
+      details: {
+        cancelledRegistrations: cancellation.cancelledRegistrations,
+        refundedRegistrations: cancellation.refundedRegistrations,
+        failedRefunds: cancellation.failedRefunds
+      }
+    });
+    
+    return successResponse(res, {
+      event: cancellation.event,
+      cancelledRegistrations: cancellation.cancelledRegistrations,
+      refundedRegistrations: cancellation.refundedRegistrations,
+      failedRefunds: cancellation.failedRefunds,
+      message: 'Event cancelled'
+    });
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
 // @desc    Get event statistics
 // @route   GET /api/events/:id/stats
-// @access  Private/Admin
+// @access  Private/Organizer
 const getEventStats = async (req, res) => {
   try {
     const event = await Event.findById(req.params.id);
@@ -251,26 +764,99 @@ const getEventStats = async (req, res) => {
       return errorResponse(res, 'Event not found', 404);
     }
     
-    const totalRegistrations = await Registration.countDocuments({
-      event: event._id,
-      status: 'confirmed'
-    });
+    // Registrations and seats per status and ticket type in one pass,
+    // group bookings hold several seats
+    const totals = await Registration.aggregate([
+      { $match: { event: event._id } },
+      {
+        $group: {
+          _id: { status: '$status', ticketType: '$ticketType' },
+          registrations: { $sum: 1 },
+          seats: { $sum: SEATS_HELD },
+          checkedInSeats: {
+            $sum: { $cond: [{ $ifNull: ['$checkedInAt', false] }, SEATS_HELD, 0] }
+          },
+          revenue: {
+            $sum: { $cond: [{ $in: ['$payment.status', ['paid', 'refunding']] }, '$payment.amount', 0] }
+          }
+        }
+      }
+    ]);
     
-    const cancellations = await Registration.countDocuments({
-      event: event._id,
-      status: 'cancelled'
+    // Add up the groups for a status, optionally only those of one ticket type
+    const byStatus = (status, ticketTypeId) => totals
+      .filter(item => item._id.status === status &&
+        (!ticketTypeId || String(item._id.ticketType) === ticketTypeId.toString()))
+      .reduce((sum, item) => ({
+        registrations: sum.registrations + item.registrations,
+        seats: sum.seats + item.seats,
+        checkedInSeats: sum.checkedInSeats + item.checkedInSeats
+      }), { registrations: 0, seats: 0, checkedInSeats: 0 });
+    
+    // Money held goes by the payment, not the registration: a cancelled
+    // registration whose refund has not gone through still holds its payment
+    const revenueOf = (ticketTypeId) => totals
+      .filter(item => !ticketTypeId || String(item._id.ticketType) === ticketTypeId.toString())
+      .reduce((sum, item) => sum + item.revenue, 0);
+    
+    // Availability and sales for each ticket type
+    const ticketTypes = summarizeTicketTypes(event).map(ticketType => {
+      const confirmed = byStatus('confirmed', ticketType._id);
+      
+      return {
+        ...ticketType,
+        registrations: confirmed.registrations,
+        bookedSeats: confirmed.seats,
+        waitlistedSeats: byStatus('waitlisted', ticketType._id).seats,
+        heldSeats: byStatus('pending_payment', ticketType._id).seats,
+        checkedIn: confirmed.checkedInSeats,
+        // Confirmed seats only; sold also counts seats on hold
+        occupancyRate: (confirmed.seats / ticketType.capacity) * 100,
+        revenue: revenueOf(ticketType._id)
+      };
     });
     
-    const availableSeats = event.totalSeats - totalRegistrations;
+    const totalRegistrations = byStatus('confirmed').registrations;
+    const bookedSeats = byStatus('confirmed').seats;
+    const cancellations = byStatus('cancelled').registrations;
+    const checkedIn = byStatus('confirmed').checkedInSeats;
+    
+    // Seats held for pending payments are not booked yet, but not free either,
+    // and neither are those of approval requests on events that hold them
+    const pending = byStatus('pending');
+    const heldSeats = byStatus('pending_payment').seats + (event.holdSeatsForPending ? pending.seats : 0);
+    const availableSeats = event.totalSeats - bookedSeats - heldSeats;
+    
+    // No-shows are only known once the event is over
+    const isOver = event.status === 'completed';
+    const noShows = isOver ? bookedSeats - checkedIn : null;
     
     return successResponse(res, {
       eventId: event._id,
       title: event.title,
+      status: event.status,
       totalSeats: event.totalSeats,
       totalRegistrations,
+      bookedSeats,
+      waitlistedSeats: byStatus('waitlisted').seats,
+      heldSeats,
+      pendingApproval: {
+        registrations: pending.registrations,
+        seats: pending.seats
+      },
       cancellations,
       availableSeats,
-      occupancyRate: (totalRegistrations / event.totalSeats) * 100
+      occupancyRate: (bookedSeats / event.totalSeats) * 100,
+      attendance: {
+        checkedIn,
+        attendanceRate: bookedSeats > 0 ? (checkedIn / bookedSeats) * 100 : 0,
+        noShows,
+        noShowRate: isOver && bookedSeats > 0 ? (noShows / bookedSeats) * 100 : null
+      },
+      ticketTypes,
+      // Money collected from payments that have not been refunded
+      revenue: revenueOf(),
+      answers: await summarizeAnswers(event)
     });
   } catch (error) {
     return errorResponse(res, error.message, 500);
@@ -280,8 +866,11 @@ const getEventStats = async (req, res) => {
 module.exports = {
   getEvents,
   getEventById,
+  getManagedEvents,
+  getEventCalendar,
   createEvent,
   updateEvent,
   deleteEvent,
+  cancelEvent,
   getEventStats
 };
\ No newline at end of file
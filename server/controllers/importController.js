@@ -0,0 +1,363 @@
+const Event = require('../models/eventModel');
+const Category = require('../models/categoryModel');
+const Registration = require('../models/registrationModel');
+const User = require('../models/userModel');
+const { successResponse, errorResponse } = require('../utils/responseHandler');
+const { validateEventData } = require('../utils/eventValidation');
+const { parseImportRows } = require('../utils/importParser');
+const { reserveSeats, releaseSeats, syncSeatCounter } = require('../utils/seatReservation');
+const { notifyUser } = require('../utils/notifications');
+const { recordAudit } = require('../utils/auditLog');
+
+// Flags arrive as strings from query strings and multipart forms
+const isTrue = (value) => value === true || value === 'true' || value === '1';
+
+// Turn a raw import row into event fields, resolving categories by ID or name
+const buildEventFromRow = (data, categoryLookup) => {
+  const errors = [];
+  const categories = [];
+
+  const categoryTokens = Array.isArray(data.categories) ?
+    data.categories :
+    String(data.categories || '').split(';');
+
+  categoryTokens
+    .map(token => String(token).trim())
+    .filter(Boolean)
+    .forEach(token => {
+      const categoryId = categoryLookup.get(token.toLowerCase());
+      if (categoryId) {
+        categories.push(categoryId);
+      } else {
+        errors.push(`Category not found: ${token}`);
+      }
+    });
+
+  const fields = {
+    title: data.title,
+    description: data.description,
+    date: data.date,
+    time: data.time,
+    location: data.location,
+    totalSeats: data.totalSeats !== undefined && data.totalSeats !== '' ? Number(data.totalSeats) : undefined,
+    imageUrl: data.imageUrl || undefined,
+    duration: data.duration ? Number(data.duration) : undefined,
+    isFeatured: isTrue(data.isFeatured)
+  };
+
+  return { fields, categories, errors };
+};
+
+// @desc    Import events from a CSV or JSON file
+// @route   POST /api/events/import?dryRun=true
+// @access  Private/Organizer
+const importEvents = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const dryRun = isTrue(req.query.dryRun) || isTrue(body.dryRun);
+
+    let rows;
+
+    try {
+      rows = parseImportRows(req, 'events');
+    } catch (error) {
+      return errorResponse(res, `Could not read import: ${error.message}`, 400);
+    }
+
+    if (rows.length === 0) {
+      return errorResponse(res, 'Import contains no rows', 400);
+    }
+
+    // Categories can be referenced by ID or by name (case insensitive)
+    const categoryLookup = new Map();
+    const allCategories = await Category.find().select('name');
+
+    allCategories.forEach(category => {
+      categoryLookup.set(category._id.toString(), category._id);
+      categoryLookup.set(category.name.toLowerCase(), category._id);
+    });
+
+    const rowErrors = [];
+    const documents = [];
+
+    rows.forEach(({ row, data }) => {
+      const { fields, categories, errors } = buildEventFromRow(data, categoryLookup);
+
+      // Same rules as POST /api/events
+      const validation = validateEventData(fields);
+      errors.push(...validation.errors);
+
+      const event = new Event({
+        ...fields,
+        date: fields.date ? new Date(fields.date) : undefined,
+        categories,
+        createdBy: req.user._id
+      });
+
+      const mongooseErrors = event.validateSync();
+
+      if (mongooseErrors) {
+        Object.values(mongooseErrors.errors).forEach(error => {
+          if (!errors.includes(error.message)) {
+            errors.push(error.message);
+          }
+        });
+      }
+
+      if (errors.length > 0) {
+        rowErrors.push({ row, title: fields.title, errors: [...new Set(errors)] });
+      } else {
+        documents.push(event);
+      }
+    });
+
+    const report = {
+      dryRun,
+      total: rows.length,
+      valid: documents.length,
+      invalid: rowErrors.length,
+      errors: rowErrors
+    };
+
+    if (dryRun) {
+      return successResponse(res, { ...report, imported: 0 });
+    }
+
+    // All or nothing: a single bad row stops the whole import
+    if (rowErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Import has invalid rows, nothing was imported',
+        data: { ...report, imported: 0 }
+      });
+    }
+
+    try {
+      await Event.insertMany(documents, { ordered: true });
+    } catch (error) {
+      // Roll back anything inserted before the failure
+      await Event.deleteMany({ _id: { $in: documents.map(event => event._id) } });
+      return errorResponse(res, `Import failed, nothing was imported: ${error.message}`, 500);
+    }
+
+    for (const event of documents) {
+      await recordAudit(req, {
+        action: 'event.import',
+        targetType: 'Event',
+        target: event._id,
+        after: event,
+        fields: ['title', 'date', 'time', 'location', 'totalSeats', 'categories']
+      });
+    }
+
+    return successResponse(res, {
+      ...report,
+      imported: documents.length,
+      events: documents.map(event => ({ _id: event._id, title: event.title, date: event.date }))
+    }, 201);
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+// @desc    Pre-register existing users to an event from a list of emails
+// @route   POST /api/registrations/event/:eventId/import?dryRun=true
+// @access  Private/Organizer
+const importEventAttendees = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const dryRun = isTrue(req.query.dryRun) || isTrue(body.dryRun);
+
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event) {
+      return errorResponse(res, 'Event not found', 404);
+    }
+
+    if (event.status === 'cancelled' || event.status === 'completed') {
+      return errorResponse(res, `Cannot add attendees to a ${event.status} event`, 400);
+    }
+
+    // Attendees of an event with ticket types all go into one type, picked by ?ticketType=
+    let ticketType = null;
+
+    if (event.ticketTypes.length > 0) {
+      const requested = req.query.ticketType || body.ticketType ||
+        (event.ticketTypes.length === 1 ? event.ticketTypes[0]._id.toString() : null);
+
+      ticketType = event.ticketTypes.find(item => item._id.toString() === String(requested));
+
+      if (!ticketType) {
+        return errorResponse(
+          res,
+          `ticketType must be one of: ${event.ticketTypes.map(item => `${item._id} (${item.name})`).join(', ')}`,
+          400
+        );
+      }
+    }
+
+    let rows;
+
+    try {
+      rows = parseImportRows(req, 'emails');
+    } catch (error) {
+      return errorResponse(res, `Could not read import: ${error.message}`, 400);
+    }
+
+    if (rows.length === 0) {
+      return errorResponse(res, 'Import contains no rows', 400);
+    }
+
+    // Rows are either plain strings or objects with an email field
+    const entries = rows.map(({ row, data }) => ({
+      row,
+      email: String(typeof data === 'string' ? data : (data.email || '')).trim()
+    }));
+
+    const users = await User.find({ email: { $in: entries.map(entry => entry.email) } })
+      .collation({ locale: 'en', strength: 2 })
+      .select('name email');
+
+    const usersByEmail = new Map(users.map(user => [user.email.toLowerCase(), user]));
+
+    const existing = await Registration.find({
+      event: event._id,
+      user: { $in: users.map(user => user._id) }
+    });
+
+    const registrationsByUser = new Map(
+      existing.map(registration => [registration.user.toString(), registration])
+    );
+
+    await syncSeatCounter(event._id);
+    const { registeredUsers } = await Event.findById(event._id).select('registeredUsers');
+    let seatsLeft = event.totalSeats - registeredUsers;
+
+    if (ticketType) {
+      seatsLeft = Math.min(seatsLeft, ticketType.capacity - ticketType.sold);
+    }
+
+    const ticketTypeId = ticketType ? ticketType._id : null;
+
+    const results = [];
+    const seen = new Set();
+
+    for (const { row, email } of entries) {
+      const key = email.toLowerCase();
+      const user = usersByEmail.get(key);
+
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        results.push({ row, email, status: 'error', message: 'Invalid email address' });
+        continue;
+      }
+
+      if (seen.has(key)) {
+        results.push({ row, email, status: 'skipped', message: 'Duplicate email in import' });
+        continue;
+      }
+
+      seen.add(key);
+
+      if (!user) {
+        results.push({ row, email, status: 'error', message: 'No user with this email' });
+        continue;
+      }
+
+      const registration = registrationsByUser.get(user._id.toString());
+
+      if (registration && registration.status === 'confirmed') {
+        results.push({ row, email, status: 'skipped', message: 'Already registered' });
+        continue;
+      }
+
+      // The seats are already held while the attendee pays
+      if (registration && registration.status === 'pending_payment') {
+        results.push({ row, email, status: 'skipped', message: 'Awaiting payment' });
+        continue;
+      }
+
+      if (registration && registration.status === 'pending') {
+        results.push({ row, email, status: 'skipped', message: 'Awaiting approval, review the registration instead' });
+        continue;
+      }
+
+      if (dryRun) {
+        if (seatsLeft > 0) {
+          seatsLeft -= 1;
+          results.push({ row, email, status: 'registered' });
+        } else {
+          results.push({ row, email, status: 'error', message: 'No seats available' });
+        }
+        continue;
+      }
+
+      // Claim the seat first so capacity holds even with live sign-ups running
+      if (!(await reserveSeats(event._id, 1, ticketTypeId))) {
+        results.push({ row, email, status: 'error', message: 'No seats available' });
+        continue;
+      }
+
+      let confirmed;
+
+      if (registration) {
+        // Waitlisted or cancelled registrations are confirmed in place, as a single seat
+        confirmed = await Registration.findOneAndUpdate(
+          { _id: registration._id, status: registration.status },
+          {
+            $set: { status: 'confirmed', registrationDate: Date.now(), seats: 1, guests: [], ticketType: ticketTypeId },
+            $unset: { waitlistedAt: 1, cancellationReason: 1 }
+          },
+          { new: true }
+        );
+      } else {
+        try {
+          confirmed = await Registration.create({ user: user._id, event: event._id, ticketType: ticketTypeId || undefined });
+        } catch (error) {
+          confirmed = null;
+        }
+      }
+
+      if (!confirmed) {
+        await releaseSeats(event._id, 1, ticketTypeId);
+        results.push({ row, email, status: 'error', message: 'Registration changed during import, try again' });
+        continue;
+      }
+
+      await recordAudit(req, {
+        action: 'registration.import',
+        targetType: 'Registration',
+        target: confirmed._id,
+        before: registration ? { status: registration.status } : {},
+        after: { status: 'confirmed' },
+        details: { event: event._id, user: user._id }
+      });
+
+      await notifyUser(user._id, {
+        message: `You have been registered for "${event.title}"`,
+        type: 'registration',
+        eventId: event._id,
+        registrationId: confirmed._id
+      });
+
+      results.push({ row, email, status: 'registered', registrationId: confirmed._id });
+    }
+
+    const count = (status) => results.filter(result => result.status === status).length;
+
+    return successResponse(res, {
+      dryRun,
+      total: results.length,
+      registered: count('registered'),
+      skipped: count('skipped'),
+      failed: count('error'),
+      results
+    });
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+module.exports = {
+  importEvents,
+  importEventAttendees
+};
@@ -0,0 +1,140 @@
+const Notification = require('../models/notificationModel');
+const { successResponse, errorResponse } = require('../utils/responseHandler');
+
+// @desc    Get current user's notifications
+// @route   GET /api/notifications
+// @access  Private
+const getNotifications = async (req, res) => {
+  try {
+    // Implement pagination
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const startIndex = (page - 1) * limit;
+
+    // Allow filtering to unread notifications only
+    const filter = { user: req.user._id };
+
+    if (req.query.unread === 'true') {
+      filter.isRead = false;
+    }
+
+    const total = await Notification.countDocuments(filter);
+
+    const unreadCount = await Notification.countDocuments({
+      user: req.user._id,
+      isRead: false
+    });
+
+    const notifications = await Notification.find(filter)
+      .populate({
+        path: 'relatedTo.eventId',
+        select: 'title date'
+      })
+      .sort({ createdAt: -1 })
+      .skip(startIndex)
+      .limit(limit);
+
+    return successResponse(res, {
+      notifications,
+      unreadCount,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+const markNotificationRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { isRead: true },
+      { new: true }
+    );
+
+    if (!notification) {
+      return errorResponse(res, 'Notification not found', 404);
+    }
+
+    return successResponse(res, { notification });
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, isRead: false },
+      { isRead: true }
+    );
+
+    return successResponse(res, {
+      updated: result.modifiedCount,
+      message: 'All notifications marked as read'
+    });
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+// @desc    Delete a notification
+// @route   DELETE /api/notifications/:id
+// @access  Private
+const deleteNotification = async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!notification) {
+      return errorResponse(res, 'Notification not found', 404);
+    }
+
+    return successResponse(res, { message: 'Notification removed' });
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+// @desc    Delete all notifications, or only read ones with ?read=true
+// @route   DELETE /api/notifications
+// @access  Private
+const deleteAllNotifications = async (req, res) => {
+  try {
+    const filter = { user: req.user._id };
+
+    if (req.query.read === 'true') {
+      filter.isRead = true;
+    }
+
+    const result = await Notification.deleteMany(filter);
+
+    return successResponse(res, {
+      deleted: result.deletedCount,
+      message: 'Notifications removed'
+    });
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification,
+  deleteAllNotifications
+};
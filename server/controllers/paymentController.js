@@ -0,0 +1,33 @@
+const { successResponse, errorResponse } = require('../utils/responseHandler');
+const { getProvider } = require('../utils/paymentProvider');
+const { settlePayment } = require('../utils/paymentSettlement');
+
+// @desc    Receive payment outcomes from the payment provider
+// @route   POST /api/payments/webhook
+// @access  Public (signed by the provider)
+const handlePaymentWebhook = async (req, res) => {
+  let outcome;
+
+  try {
+    // The signature covers the raw body, so it is parsed by the provider itself
+    outcome = getProvider().parseWebhook(req.body, req.headers);
+  } catch (error) {
+    if (error.statusCode >= 500) {
+      console.error('Payment webhook error:', error.message);
+    }
+    return errorResponse(res, error.message, error.statusCode || 400);
+  }
+
+  try {
+    const { result } = await settlePayment(outcome);
+
+    return successResponse(res, { received: true, result });
+  } catch (error) {
+    // A 500 makes the provider retry the webhook later
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+module.exports = {
+  handlePaymentWebhook
+};
@@ -1,98 +1,143 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
 const Registration = require('../models/registrationModel');
 const Event = require('../models/eventModel');
+const User = require('../models/userModel');
 const { successResponse, errorResponse } = require('../utils/responseHandler');
+const { getWaitlistPosition, promoteFromWaitlist } = require('../utils/waitlist');
+const { holdsSeats, SEATS_HELD, reserveSeats, releaseSeats, matchSeats } = require('../utils/seatReservation');
+const { notifyUser } = require('../utils/notifications');
+const { generateTicketCode, verifyTicketCode } = require('../utils/tickets');
+const {
+  DEFAULT_EVENT_COLUMNS,
+  DEFAULT_ALL_COLUMNS,
+  parseColumns,
+  slugify,
+  streamRegistrations
+} = require('../utils/registrationExport');
+const { buildCalendar, sendCalendar } = require('../utils/calendar');
+const { recordAudit } = require('../utils/auditLog');
+const { parseCursorParams, applyCursor, buildCursorPage } = require('../utils/pagination');
+const { bookRegistration } = require('../utils/registrationBooking');
+const { getTicketTypeName } = require('../utils/ticketTypes');
+const { getAnswerColumns } = require('../utils/registrationForms');
+const { refundPaidRegistration } = require('../utils/paymentSettlement');
+const { approveRegistration, rejectRegistration } = require('../utils/registrationApproval');
 
-// @desc    Register for an event
+// What the user needs to finish paying for a pending_payment registration
+const getPaymentSummary = (registration) => ({
+  checkoutUrl: registration.payment.checkoutUrl,
+  amount: registration.payment.amount,
+  currency: registration.payment.currency,
+  expiresAt: registration.payment.expiresAt
+});
+
+// @desc    Register for an event, optionally booking several seats with named guests
+//          and answering the event's registration form
 // @route   POST /api/registrations/:eventId
 // @access  Private
 const registerForEvent = async (req, res) => {
   try {
-    const eventId = req.params.eventId;
-    const userId = req.user._id;
-    
     // Check if event exists
-    const event = await Event.findById(eventId);
+    const event = await Event.findById(req.params.eventId);
     
     if (!event) {
       return errorResponse(res, 'Event not found', 404);
     }
     
-    // Check if already registered
-    const existingRegistration = await Registration.findOne({
-      user: userId,
-      event: eventId
+    // Express leaves req.body undefined for requests without a body
+    const body = req.body || {};
+    
+    const result = await bookRegistration(req.user, event, {
+      seats: body.seats,
+      guests: body.guests,
+      ticketType: body.ticketType,
+      answers: body.answers,
+      inviteCode: body.inviteCode
     });
     
-    if (existingRegistration) {
-      if (existingRegistration.status === 'confirmed') {
-        return errorResponse(res, 'Already registered for this event', 400);
-      } else if (existingRegistration.status === 'cancelled') {
-        // Re-register after cancellation
-        existingRegistration.status = 'confirmed';
-        existingRegistration.registrationDate = Date.now();
-        await existingRegistration.save();
-        
-        // Update event registration count
-        event.registeredUsers += 1;
-        await event.save();
-        
-        return successResponse(
-          res, 
-          { registration: existingRegistration },
-          200
-        );
-      }
+    if (result.error) {
+      return errorResponse(res, result.error, result.statusCode);
     }
     
-    // Check if seats are available
-    const registeredCount = await Registration.countDocuments({
-      event: eventId,
-      status: 'confirmed'
-    });
+    const statusCode = result.created ? 201 : 200;
     
-    if (registeredCount >= event.totalSeats) {
-      return errorResponse(res, 'Event is fully booked', 400);
+    if (result.waitlistPosition) {
+      return successResponse(res, {
+        registration: result.registration,
+        waitlistPosition: result.waitlistPosition,
+        message: 'Event is fully booked, you have been added to the waitlist'
+      }, statusCode);
     }
     
-    // Create new registration
-    const registration = await Registration.create({
-      user: userId,
-      event: eventId
-    });
+    if (result.registration.status === 'pending') {
+      return successResponse(res, {
+        registration: result.registration,
+        message: 'Your registration is awaiting approval by the organizer'
+      }, statusCode);
+    }
     
-    // Update event registered users count
-    event.registeredUsers += 1;
-    await event.save();
+    if (result.registration.status === 'pending_payment') {
+      return successResponse(res, {
+        registration: result.registration,
+        payment: getPaymentSummary(result.registration),
+        message: 'Seats are held until the payment is completed'
+      }, statusCode);
+    }
     
-    return successResponse(res, { registration }, 201);
+    return successResponse(res, { registration: result.registration }, statusCode);
   } catch (error) {
     return errorResponse(res, error.message, 500);
   }
 };
 
+// Find a user's registrations with their event details
+const findUserRegistrations = (userId, filter = {}) => {
+  return Registration.find({
+    ...filter,
+    user: userId
+  })
+  .populate({
+    path: 'event',
+    select: 'title description date time duration location imageUrl status cancellationReason updatedAt'
+  })
+  .sort({ registrationDate: -1 });
+};
+
+// Newest first, _id keeps the order stable for cursors
+const REGISTRATION_SORT = { registrationDate: -1, _id: -1 };
+
 // @desc    Get user's registrations
-// @route   GET /api/registrations/mine
+// @route   GET /api/registrations/mine?limit=&cursor=
 // @access  Private
 const getUserRegistrations = async (req, res) => {
   try {
-    const registrations = await Registration.find({
-      user: req.user._id
-    })
-    .populate({
-      path: 'event',
-      select: 'title description date time location imageUrl'
-    })
-    .sort({ registrationDate: -1 });
+    const { cursor, limit, errors } = parseCursorParams(req.query, REGISTRATION_SORT);
+    
+    if (errors.length > 0) {
+      return errorResponse(res, errors.join(', '), 400);
+    }
     
-    return successResponse(res, { registrations });
+    const filter = cursor ? applyCursor({}, REGISTRATION_SORT, cursor) : {};
+    
+    const registrations = await findUserRegistrations(req.user._id, filter)
+      .sort(REGISTRATION_SORT)
+      .limit(limit + 1);
+    
+    const { items, hasMore, nextCursor } = buildCursorPage(registrations, limit, REGISTRATION_SORT);
+    
+    return successResponse(res, {
+      registrations: items,
+      pagination: { limit, hasMore, nextCursor }
+    });
   } catch (error) {
     return errorResponse(res, error.message, 500);
   }
 };
 
 // @desc    Get all registrations for an event
-// @route   GET /api/registrations/event/:eventId
-// @access  Private/Admin
+// @route   GET /api/registrations/event/:eventId?status=&limit=&cursor=
+// @access  Private/Organizer
 const getEventRegistrations = async (req, res) => {
   try {
     const eventId = req.params.eventId;
@@ -104,23 +149,97 @@ const getEventRegistrations = async (req, res) => {
       return errorResponse(res, 'Event not found', 404);
     }
     
+    const { cursor, limit, errors } = parseCursorParams(req.query, REGISTRATION_SORT, { defaultLimit: 50, maxLimit: 500 });
+    
+    if (errors.length > 0) {
+      return errorResponse(res, errors.join(', '), 400);
+    }
+    
+    const filter = { event: eventId };
+    
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    
     // Get registrations with user details
-    const registrations = await Registration.find({
-      event: eventId
-    })
+    const registrations = await Registration.find(cursor ? applyCursor(filter, REGISTRATION_SORT, cursor) : filter)
     .populate({
       path: 'user',
       select: 'name email'
     })
-    .sort({ registrationDate: -1 });
+    .sort(REGISTRATION_SORT)
+    .limit(limit + 1);
+    
+    const { items, hasMore, nextCursor } = buildCursorPage(registrations, limit, REGISTRATION_SORT);
     
-    return successResponse(res, { registrations });
+    // The form explains each registration's answers
+    return successResponse(res, {
+      registrations: items,
+      registrationForm: event.registrationForm,
+      pagination: { limit, hasMore, nextCursor }
+    });
   } catch (error) {
     return errorResponse(res, error.message, 500);
   }
 };
 
-// @desc    Cancel registration
+// Drop some of a registration's seats and keep the rest booked
+// Guests listed in guestIds go first, then the last named guests if too many remain
+const dropSeats = async (req, res, registration, seats, guestIds = []) => {
+  const remaining = registration.seats - seats;
+  const unknownIds = guestIds.filter(id => !registration.guests.some(guest => guest._id.toString() === id));
+  
+  if (unknownIds.length > 0) {
+    return errorResponse(res, `Guest not found: ${unknownIds.join(', ')}`, 400);
+  }
+  
+  if (guestIds.length > seats) {
+    return errorResponse(res, `Dropping ${seats} seats can remove at most ${seats} guests`, 400);
+  }
+  
+  const guests = registration.guests
+    .filter(guest => !guestIds.includes(guest._id.toString()))
+    .slice(0, remaining - 1);
+  
+  // Only shrink the seats that were read, so the counter is released exactly once
+  const updatedRegistration = await Registration.findOneAndUpdate(
+    { _id: registration._id, status: registration.status, seats: matchSeats(registration.seats) },
+    { $set: { seats: remaining, guests } },
+    { new: true }
+  );
+  
+  if (!updatedRegistration) {
+    return errorResponse(res, 'Registration was modified by another request, please retry', 409);
+  }
+  
+  await recordAudit(req, {
+    action: 'registration.dropSeats',
+    targetType: 'Registration',
+    target: registration._id,
+    before: registration,
+    after: updatedRegistration,
+    fields: ['seats', 'guests'],
+    details: { event: registration.event, user: registration.user }
+  });
+  
+  const event = await Event.findById(registration.event).select('title holdSeatsForPending');
+  
+  if (holdsSeats(registration.status, event)) {
+    await releaseSeats(registration.event, seats, registration.ticketType);
+    await promoteFromWaitlist(registration.event);
+  }
+  
+  await notifyUser(registration.user, {
+    message: `${seats} of your seats for "${event ? event.title : 'an event'}" have been cancelled, ${remaining} still booked`,
+    type: 'cancellation',
+    eventId: registration.event,
+    registrationId: registration._id
+  });
+  
+  return successResponse(res, { registration: updatedRegistration, droppedSeats: seats });
+};
+
+// @desc    Cancel registration, or only some of its seats when seats is given
 // @route   PUT /api/registrations/:id/cancel
 // @access  Private
 const cancelRegistration = async (req, res) => {
@@ -142,16 +261,73 @@ const cancelRegistration = async (req, res) => {
       return errorResponse(res, 'Registration already cancelled', 400);
     }
     
-    // Update registration status
-    registration.status = 'cancelled';
-    await registration.save();
+    if (registration.status === 'rejected') {
+      return errorResponse(res, 'Registration was not approved', 400);
+    }
+    
+    // Dropping fewer seats than the registration holds keeps it active
+    const body = req.body || {};
+    const seats = body.seats !== undefined ? Number(body.seats) : registration.seats;
+    
+    if (!Number.isInteger(seats) || seats < 1) {
+      return errorResponse(res, 'Seats must be a positive whole number', 400);
+    }
+    
+    if (seats > registration.seats) {
+      return errorResponse(res, `Cannot drop ${seats} seats, the registration holds ${registration.seats}`, 400);
+    }
+    
+    if (seats < registration.seats) {
+      // The payment covers every seat, so it cannot shrink halfway through
+      if (registration.status === 'pending_payment') {
+        return errorResponse(res, 'Seats cannot be dropped while the payment is pending', 400);
+      }
+      
+      return dropSeats(req, res, registration, seats, (body.guestIds || []).map(String));
+    }
+    
+    // An abandoned payment is marked so a late success gets refunded
+    const paymentUpdate = registration.status === 'pending_payment' ? { 'payment.status': 'cancelled' } : {};
     
-    // Update event registered users count
-    const event = await Event.findById(registration.event);
-    event.registeredUsers -= 1;
-    await event.save();
+    // Update registration status, unless a parallel request already did
+    const cancelledRegistration = await Registration.findOneAndUpdate(
+      { _id: registration._id, status: registration.status },
+      { $set: { status: 'cancelled', ...paymentUpdate }, $unset: { waitlistedAt: 1 } },
+      { new: true }
+    );
     
-    return successResponse(res, { registration });
+    if (!cancelledRegistration) {
+      return errorResponse(res, 'Registration already cancelled', 400);
+    }
+    
+    await recordAudit(req, {
+      action: 'registration.cancel',
+      targetType: 'Registration',
+      target: registration._id,
+      before: registration,
+      after: cancelledRegistration,
+      fields: ['status'],
+      details: { event: registration.event, user: registration.user }
+    });
+    
+    const event = await Event.findById(registration.event).select('title holdSeatsForPending');
+    
+    if (holdsSeats(registration.status, event)) {
+      // Update event registered users count
+      await releaseSeats(registration.event, cancelledRegistration.seats, cancelledRegistration.ticketType);
+      
+      // Hand the freed seats to the next users on the waitlist
+      await promoteFromWaitlist(registration.event);
+    }
+    
+    await notifyUser(registration.user, {
+      message: `Your registration for "${event ? event.title : 'an event'}" has been cancelled`,
+      type: 'cancellation',
+      eventId: registration.event,
+      registrationId: registration._id
+    });
+    
+    return successResponse(res, { registration: cancelledRegistration });
   } catch (error) {
     return errorResponse(res, error.message, 500);
   }
@@ -178,18 +354,29 @@ const checkRegistrationStatus = async (req, res) => {
       registered: registration.status === 'confirmed',
       status: registration.status,
       registrationId: registration._id,
-      registrationDate: registration.registrationDate
+      registrationDate: registration.registrationDate,
+      seats: registration.seats,
+      waitlistPosition: await getWaitlistPosition(registration),
+      payment: registration.status === 'pending_payment' ? getPaymentSummary(registration) : undefined
     });
   } catch (error) {
     return errorResponse(res, error.message, 500);
   }
 };
 
-// In registrationController.js
+// @desc    Get registration stats and a page of all registrations
+// @route   GET /api/registrations/stats?limit=&cursor=
+// @access  Private/Admin
 const getRegistrationStats = async (req, res) => {
   try {
-    // Get all registrations with populated user and event data
-    const registrations = await Registration.find()
+    const { cursor, limit, errors } = parseCursorParams(req.query, REGISTRATION_SORT, { defaultLimit: 50, maxLimit: 500 });
+    
+    if (errors.length > 0) {
+      return errorResponse(res, errors.join(', '), 400);
+    }
+    
+    // Get a page of registrations with populated user and event data
+    const registrations = await Registration.find(cursor ? applyCursor({}, REGISTRATION_SORT, cursor) : {})
       .populate({
         path: 'user',
         select: 'name email'
@@ -198,18 +385,30 @@ const getRegistrationStats = async (req, res) => {
         path: 'event',
         select: 'title date location'
       })
-      .sort({ registrationDate: -1 });
+      .sort(REGISTRATION_SORT)
+      .limit(limit + 1);
+    
+    const { items, hasMore, nextCursor } = buildCursorPage(registrations, limit, REGISTRATION_SORT);
     
     // Get some basic stats
+    const totalCount = await Registration.countDocuments();
     const confirmedCount = await Registration.countDocuments({ status: 'confirmed' });
     const cancelledCount = await Registration.countDocuments({ status: 'cancelled' });
     
+    // Group bookings hold several seats, so seats are counted separately
+    const [seatTotals] = await Registration.aggregate([
+      { $match: { status: 'confirmed' } },
+      { $group: { _id: null, seats: { $sum: SEATS_HELD } } }
+    ]);
+    
     return successResponse(res, {
-      registrations,
+      registrations: items,
+      pagination: { limit, hasMore, nextCursor },
       stats: {
-        total: registrations.length,
+        total: totalCount,
         confirmed: confirmedCount,
-        cancelled: cancelledCount
+        cancelled: cancelledCount,
+        confirmedSeats: seatTotals ? seatTotals.seats : 0
       }
     });
   } catch (error) {
@@ -227,15 +426,82 @@ const updateRegistrationStatus = async (req, res) => {
     }
     
     // Find registration
-    const registration = await Registration.findById(req.params.id);
+    let registration = await Registration.findById(req.params.id);
     
     if (!registration) {
       return errorResponse(res, 'Registration not found', 404);
     }
     
-    // Update status
-    registration.status = status;
-    await registration.save();
+    const previousStatus = registration.status;
+    const eventId = registration.event;
+    
+    // Requests awaiting approval, and rejected ones, only get in through a review,
+    // which also starts the payment on paid events and applies the seat hold rules
+    if (['pending', 'rejected'].includes(previousStatus) && status !== 'cancelled') {
+      return errorResponse(
+        res,
+        `Registration is ${previousStatus === 'pending' ? 'awaiting approval' : 'rejected'}, use PUT /api/registrations/event/:eventId/review to approve it`,
+        400
+      );
+    }
+    
+    // A held payment confirms the registration itself once it goes through;
+    // confirming by hand would leave that payment to be refunded on arrival
+    if (previousStatus === 'pending_payment' && status === 'confirmed') {
+      return errorResponse(res, 'Registration is awaiting payment and is confirmed once the payment goes through', 400);
+    }
+    
+    if (previousStatus !== status) {
+      const event = await Event.findById(eventId).select('holdSeatsForPending');
+      const heldSeats = holdsSeats(previousStatus, event);
+      
+      // Confirming takes the registration's seats, so make sure they are free,
+      // unless they are already held for a pending payment or approval
+      const needsSeats = status === 'confirmed' && !heldSeats;
+      
+      if (needsSeats && !(await reserveSeats(eventId, registration.seats, registration.ticketType))) {
+        return errorResponse(res, 'Event is fully booked', 400);
+      }
+      
+      // Taking a registration off its payment hold stops the payment, a late
+      // success is then refunded
+      const paymentUpdate = previousStatus === 'pending_payment' ? { 'payment.status': 'cancelled' } : {};
+      
+      const update = status === 'waitlisted' ?
+        { $set: { status, waitlistedAt: Date.now(), ...paymentUpdate } } :
+        { $set: { status, ...paymentUpdate }, $unset: { waitlistedAt: 1 } };
+      
+      // Update status, unless a parallel request changed it first
+      const { seats, ticketType } = registration;
+      
+      registration = await Registration.findOneAndUpdate(
+        { _id: registration._id, status: previousStatus, seats: matchSeats(seats) },
+        update,
+        { new: true }
+      );
+      
+      if (!registration) {
+        if (needsSeats) {
+          await releaseSeats(eventId, seats, ticketType);
+        }
+        return errorResponse(res, 'Registration was modified by another request, please retry', 409);
+      }
+      
+      // Moving a registration that holds seats out frees them for the waitlist
+      if (heldSeats && status !== 'confirmed') {
+        await releaseSeats(eventId, seats, ticketType);
+        await promoteFromWaitlist(eventId);
+      }
+      
+      await recordAudit(req, {
+        action: 'registration.status',
+        targetType: 'Registration',
+        target: registration._id,
+        before: { status: previousStatus },
+        after: { status },
+        details: { event: eventId, user: registration.user }
+      });
+    }
     
     // Populate user and event details
     await registration.populate({
@@ -248,6 +514,22 @@ const updateRegistrationStatus = async (req, res) => {
       select: 'title date'
     });
     
+    // Let the attendee know an admin changed their registration
+    if (previousStatus !== status && registration.user && registration.event) {
+      const messages = {
+        confirmed: 'has been confirmed',
+        waitlisted: 'has been moved to the waitlist',
+        cancelled: 'has been cancelled'
+      };
+      
+      await notifyUser(registration.user._id, {
+        message: `Your registration for "${registration.event.title}" ${messages[status]}`,
+        type: status === 'cancelled' ? 'cancellation' : 'update',
+        eventId: registration.event._id,
+        registrationId: registration._id
+      });
+    }
+    
     return successResponse(res, {
       registration
     });
@@ -256,6 +538,504 @@ const updateRegistrationStatus = async (req, res) => {
   }
 };
 
+// @desc    Approve or reject pending registrations for an event in bulk
+// @route   PUT /api/registrations/event/:eventId/review
+// @access  Private/Organizer
+const reviewRegistrations = async (req, res) => {
+  try {
+    const { decision, reason } = req.body;
+    const registrationIds = [...new Set(req.body.registrationIds.map(String))];
+    
+    const event = await Event.findById(req.params.eventId);
+    
+    if (!event) {
+      return errorResponse(res, 'Event not found', 404);
+    }
+    
+    const registrations = await Registration.find({
+      _id: { $in: registrationIds },
+      event: event._id
+    });
+    const registrationsById = new Map(registrations.map(registration => [registration._id.toString(), registration]));
+    
+    const review = decision === 'approve' ? approveRegistration : rejectRegistration;
+    const results = [];
+    
+    // One at a time, so approvals claim seats in the order they were given
+    for (const registrationId of registrationIds) {
+      const registration = registrationsById.get(registrationId);
+      
+      if (!registration) {
+        results.push({ registrationId, result: 'error', message: 'Registration not found for this event' });
+        continue;
+      }
+      
+      if (registration.status !== 'pending') {
+        results.push({ registrationId, result: 'skipped', message: `Registration is ${registration.status}` });
+        continue;
+      }
+      
+      const outcome = await review(registration, event, { reviewerId: req.user._id, reason });
+      
+      if (outcome.error) {
+        results.push({ registrationId, result: 'error', message: outcome.error });
+        continue;
+      }
+      
+      await recordAudit(req, {
+        action: decision === 'approve' ? 'registration.approve' : 'registration.reject',
+        targetType: 'Registration',
+        target: registration._id,
+        before: registration,
+        after: outcome.registration,
+        fields: ['status', 'reviewReason'],
+        details: { event: event._id, user: registration.user }
+      });
+      
+      results.push({
+        registrationId,
+        result: decision === 'approve' ? 'approved' : 'rejected',
+        status: outcome.registration.status
+      });
+    }
+    
+    const count = (result) => results.filter(item => item.result === result).length;
+    
+    return successResponse(res, {
+      results,
+      summary: {
+        approved: count('approved'),
+        rejected: count('rejected'),
+        skipped: count('skipped'),
+        errors: count('error')
+      }
+    });
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+// @desc    Refund a paid registration, cancelling it if still confirmed
+// @route   POST /api/registrations/:id/refund
+// @access  Private/Admin
+const refundRegistration = async (req, res) => {
+  try {
+    const registration = await Registration.findById(req.params.id);
+    
+    if (!registration) {
+      return errorResponse(res, 'Registration not found', 404);
+    }
+    
+    const { reason } = req.body || {};
+    
+    const result = await refundPaidRegistration(registration, { reason });
+    
+    if (result.error) {
+      return errorResponse(res, result.error, result.statusCode);
+    }
+    
+    await recordAudit(req, {
+      action: 'registration.refund',
+      targetType: 'Registration',
+      target: registration._id,
+      before: registration,
+      after: result.registration,
+      fields: ['status', 'payment'],
+      details: { event: registration.event, user: registration.user, reason }
+    });
+    
+    return successResponse(res, { registration: result.registration });
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+// @desc    Get waitlist position for an event
+// @route   GET /api/registrations/waitlist/:eventId
+// @access  Private
+const getWaitlistStatus = async (req, res) => {
+  try {
+    const registration = await Registration.findOne({
+      user: req.user._id,
+      event: req.params.eventId,
+      status: 'waitlisted'
+    });
+    
+    if (!registration) {
+      return errorResponse(res, 'Not on the waitlist for this event', 404);
+    }
+    
+    const waitlistSize = await Registration.countDocuments({
+      event: registration.event,
+      status: 'waitlisted',
+      ticketType: registration.ticketType || null
+    });
+    
+    return successResponse(res, {
+      registrationId: registration._id,
+      waitlistedAt: registration.waitlistedAt,
+      seats: registration.seats,
+      waitlistPosition: await getWaitlistPosition(registration),
+      waitlistSize
+    });
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+// @desc    Leave the waitlist for an event
+// @route   DELETE /api/registrations/waitlist/:eventId
+// @access  Private
+const leaveWaitlist = async (req, res) => {
+  try {
+    // Only leave if still waitlisted, so a concurrent promotion is not undone
+    const registration = await Registration.findOneAndUpdate(
+      {
+        user: req.user._id,
+        event: req.params.eventId,
+        status: 'waitlisted'
+      },
+      { $set: { status: 'cancelled' }, $unset: { waitlistedAt: 1 } },
+      { new: true }
+    );
+    
+    if (!registration) {
+      return errorResponse(res, 'Not on the waitlist for this event', 404);
+    }
+    
+    return successResponse(res, {
+      registration,
+      message: 'Removed from the waitlist'
+    });
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+// @desc    Get ticket for a confirmed registration as JSON, PNG or SVG
+// @route   GET /api/registrations/:id/ticket?format=json|png|svg
+// @access  Private
+const getRegistrationTicket = async (req, res) => {
+  try {
+    const format = (req.query.format || 'json').toLowerCase();
+    
+    if (!['json', 'png', 'svg'].includes(format)) {
+      return errorResponse(res, 'Format must be json, png or svg', 400);
+    }
+    
+    const registration = await Registration.findById(req.params.id)
+      .populate({
+        path: 'event',
+        select: 'title date time location ticketTypes._id ticketTypes.name'
+      });
+    
+    if (!registration) {
+      return errorResponse(res, 'Registration not found', 404);
+    }
+    
+    // Check if user owns this registration or is admin
+    if (registration.user.toString() !== req.user._id.toString() && 
+        req.user.role !== 'admin') {
+      return errorResponse(res, 'Not authorized', 403);
+    }
+    
+    if (registration.status !== 'confirmed') {
+      return errorResponse(res, 'Tickets are only issued for confirmed registrations', 400);
+    }
+    
+    const ticketCode = generateTicketCode(registration);
+    
+    if (format === 'png') {
+      const image = await QRCode.toBuffer(ticketCode, { type: 'png', width: 300 });
+      res.set('Content-Type', 'image/png');
+      return res.send(image);
+    }
+    
+    if (format === 'svg') {
+      const image = await QRCode.toString(ticketCode, { type: 'svg', width: 300 });
+      res.set('Content-Type', 'image/svg+xml');
+      return res.send(image);
+    }
+    
+    return successResponse(res, {
+      ticketCode,
+      registrationId: registration._id,
+      event: registration.event,
+      seats: registration.seats,
+      guests: registration.guests,
+      ticketType: getTicketTypeName(registration.event, registration.ticketType),
+      checkedInAt: registration.checkedInAt
+    });
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+// @desc    Check in an attendee by scanned ticket code
+// @route   POST /api/events/:id/check-in
+// @access  Private/Organizer
+const checkInAttendee = async (req, res) => {
+  try {
+    const eventId = req.params.id;
+    const ticket = verifyTicketCode(req.body.code);
+    
+    if (!ticket) {
+      return errorResponse(res, 'Invalid ticket code', 400);
+    }
+    
+    if (ticket.eventId !== eventId) {
+      return errorResponse(res, 'Ticket is for a different event', 400);
+    }
+    
+    const registration = await Registration.findById(ticket.registrationId);
+    
+    if (!registration || registration.event.toString() !== eventId) {
+      return errorResponse(res, 'Registration not found', 404);
+    }
+    
+    if (registration.status !== 'confirmed') {
+      return errorResponse(res, `Ticket is not valid, registration is ${registration.status}`, 400);
+    }
+    
+    // Only the first scan wins, even if two doors scan the same ticket at once
+    const checkedIn = await Registration.findOneAndUpdate(
+      { _id: registration._id, status: 'confirmed', checkedInAt: { $exists: false } },
+      { $set: { checkedInAt: Date.now(), checkedInBy: req.user._id } },
+      { new: true }
+    )
+    .populate({
+      path: 'user',
+      select: 'name email'
+    });
+    
+    if (!checkedIn) {
+      const current = await Registration.findById(registration._id);
+      return errorResponse(
+        res,
+        current && current.checkedInAt ?
+          `Ticket already checked in at ${current.checkedInAt.toISOString()}` :
+          'Ticket is no longer valid',
+        409
+      );
+    }
+    
+    await recordAudit(req, {
+      action: 'registration.checkIn',
+      targetType: 'Registration',
+      target: checkedIn._id,
+      before: registration,
+      after: checkedIn,
+      fields: ['checkedInAt'],
+      details: { event: registration.event }
+    });
+    
+    return successResponse(res, {
+      registration: checkedIn,
+      message: 'Check-in successful'
+    });
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+// Read and check the shared export query options
+const getExportOptions = (query, defaultColumns) => {
+  const format = (query.format || 'csv').toLowerCase();
+  const errors = [];
+  
+  if (!['csv', 'xlsx'].includes(format)) {
+    errors.push('Format must be csv or xlsx');
+  }
+  
+  const columnCheck = parseColumns(query.columns, defaultColumns);
+  errors.push(...columnCheck.errors);
+  
+  const validStatuses = ['confirmed', 'waitlisted', 'pending_payment', 'pending', 'rejected', 'cancelled'];
+  
+  if (query.status && !validStatuses.includes(query.status)) {
+    errors.push(`Status must be one of ${validStatuses.join(', ')}`);
+  }
+  
+  return {
+    errors,
+    format,
+    columns: columnCheck.columns,
+    status: query.status
+  };
+};
+
+// @desc    Export an event's registrations as CSV or XLSX
+// @route   GET /api/registrations/event/:eventId/export?format=csv|xlsx&columns=&status=
+// @access  Private/Organizer
+const exportEventRegistrations = async (req, res) => {
+  try {
+    const { errors, format, columns, status } = getExportOptions(req.query, DEFAULT_EVENT_COLUMNS);
+    
+    if (errors.length > 0) {
+      return errorResponse(res, errors.join(', '), 400);
+    }
+    
+    const event = await Event.findById(req.params.eventId);
+    
+    if (!event) {
+      return errorResponse(res, 'Event not found', 404);
+    }
+    
+    const filter = { event: event._id };
+    
+    if (status) {
+      filter.status = status;
+    }
+    
+    const cursor = Registration.find(filter)
+      .populate({
+        path: 'user',
+        select: 'name email'
+      })
+      .populate({
+        path: 'event',
+        select: 'title date ticketTypes._id ticketTypes.name'
+      })
+      .sort({ registrationDate: 1 })
+      .cursor();
+    
+    const day = new Date().toISOString().slice(0, 10);
+    
+    // Give each form question a column of its own in place of the combined answers
+    const hasForm = event.registrationForm.length > 0;
+    const eventColumns = columns.flatMap(column => (column === 'answers' && hasForm ? getAnswerColumns(event) : [column]));
+    
+    await streamRegistrations(res, {
+      cursor,
+      format,
+      columns: eventColumns,
+      filename: `${slugify(event.title)}-attendees-${day}`
+    });
+  } catch (error) {
+    // Headers are already gone once streaming starts, so just end the response
+    if (res.headersSent) {
+      console.error('Export error:', error);
+      return res.end();
+    }
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+// @desc    Export registrations for all events as CSV or XLSX
+// @route   GET /api/registrations/export?format=csv|xlsx&columns=&status=
+// @access  Private/Admin
+const exportAllRegistrations = async (req, res) => {
+  try {
+    const { errors, format, columns, status } = getExportOptions(req.query, DEFAULT_ALL_COLUMNS);
+    
+    if (errors.length > 0) {
+      return errorResponse(res, errors.join(', '), 400);
+    }
+    
+    const filter = status ? { status } : {};
+    
+    const cursor = Registration.find(filter)
+      .populate({
+        path: 'user',
+        select: 'name email'
+      })
+      .populate({
+        path: 'event',
+        select: 'title date ticketTypes._id ticketTypes.name'
+      })
+      .sort({ event: 1, registrationDate: 1 })
+      .cursor();
+    
+    const day = new Date().toISOString().slice(0, 10);
+    
+    await streamRegistrations(res, {
+      cursor,
+      format,
+      columns,
+      filename: `registrations-${day}`
+    });
+  } catch (error) {
+    // Headers are already gone once streaming starts, so just end the response
+    if (res.headersSent) {
+      console.error('Export error:', error);
+      return res.end();
+    }
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+// Build the subscription URLs for a calendar token
+const getCalendarUrls = (req, token) => {
+  const url = `${req.protocol}://${req.get('host')}/api/registrations/calendar/${token}.ics`;
+  return {
+    url,
+    webcalUrl: url.replace(/^https?:/, 'webcal:')
+  };
+};
+
+// @desc    Get the user's calendar subscription URL, creating it if needed
+// @route   GET /api/registrations/calendar
+// @access  Private
+const getCalendarSubscription = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+calendarToken');
+    
+    if (!user.calendarToken) {
+      user.calendarToken = crypto.randomBytes(24).toString('hex');
+      await user.save();
+    }
+    
+    return successResponse(res, getCalendarUrls(req, user.calendarToken));
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+// @desc    Replace the calendar token, invalidating the old subscription URL
+// @route   POST /api/registrations/calendar/reset
+// @access  Private
+const resetCalendarSubscription = async (req, res) => {
+  try {
+    const token = crypto.randomBytes(24).toString('hex');
+    
+    await User.updateOne({ _id: req.user._id }, { $set: { calendarToken: token } });
+    
+    return successResponse(res, getCalendarUrls(req, token));
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+// @desc    iCalendar feed of the user's confirmed registrations
+// @route   GET /api/registrations/calendar/:token.ics
+// @access  Public (token in URL)
+const getCalendarFeed = async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarToken: req.params.token });
+    
+    if (!user) {
+      return errorResponse(res, 'Calendar not found', 404);
+    }
+    
+    // Keep registrations of cancelled events so subscribers see the cancellation
+    const registrations = await findUserRegistrations(user._id, {
+      status: { $in: ['confirmed', 'cancelled'] }
+    });
+    
+    const events = registrations
+      .filter(registration => registration.event &&
+        (registration.status === 'confirmed' || registration.event.status === 'cancelled'))
+      .map(registration => registration.event);
+    
+    return sendCalendar(
+      res,
+      buildCalendar(events, { name: `EventX - ${user.name}` }),
+      'eventx-registrations.ics'
+    );
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
 
 module.exports = {
   registerForEvent,
@@ -264,5 +1044,16 @@ module.exports = {
   cancelRegistration,
   checkRegistrationStatus,
   getRegistrationStats,
-  updateRegistrationStatus
+  updateRegistrationStatus,
+  reviewRegistrations,
+  refundRegistration,
+  getWaitlistStatus,
+  leaveWaitlist,
+  getRegistrationTicket,
+  checkInAttendee,
+  exportEventRegistrations,
+  exportAllRegistrations,
+  getCalendarSubscription,
+  resetCalendarSubscription,
+  getCalendarFeed
 };
\ No newline at end of file
@@ -0,0 +1,466 @@
+const mongoose = require('mongoose');
+const Event = require('../models/eventModel');
+const EventSeries = require('../models/eventSeriesModel');
+const Registration = require('../models/registrationModel');
+const { successResponse, errorResponse } = require('../utils/responseHandler');
+const {
+  getEventDateTime,
+  validateEventData,
+  validateCategories,
+  validateCoOrganizers
+} = require('../utils/eventValidation');
+const {
+  getMaxOccurrences,
+  parseRRule,
+  formatRRule,
+  normalizeRule,
+  generateOccurrences
+} = require('../utils/recurrence');
+const { addAvailableSeats } = require('../utils/seatReservation');
+const { promoteFromWaitlist } = require('../utils/waitlist');
+const { notifyUsers } = require('../utils/notifications');
+const { cancelEventCascade } = require('../utils/eventCancellation');
+const { bookRegistration } = require('../utils/registrationBooking');
+const { recordAudit } = require('../utils/auditLog');
+
+// Fields copied from a series to each of its occurrences
+const SERIES_FIELDS = ['title', 'description', 'time', 'location', 'duration', 'imageUrl', 'totalSeats', 'maxSeatsPerRegistration', 'categories'];
+
+// Occurrences that have not started yet and are still going ahead,
+// optionally only those on or after a given date
+const findUpcomingOccurrences = async (seriesId, { from, now = new Date() } = {}) => {
+  const today = new Date(now.toISOString().slice(0, 10));
+  const fromDate = from && from > today ? from : today;
+
+  const occurrences = await Event.find({
+    series: seriesId,
+    status: 'scheduled',
+    date: { $gte: fromDate }
+  }).sort({ date: 1 });
+
+  return occurrences.filter(event => getEventDateTime(event.date, event.time) > now);
+};
+
+// @desc    Create a recurring event series and all of its occurrences
+// @route   POST /api/series
+// @access  Private/Organizer
+const createSeries = async (req, res) => {
+  try {
+    const { startDate, recurrence, rrule, categories, coOrganizers } = req.body;
+
+    // Accept either a recurrence object or an RRULE string
+    let ruleInput = recurrence;
+
+    if (!ruleInput && rrule) {
+      const parsed = parseRRule(rrule);
+      if (parsed.errors.length > 0) {
+        return errorResponse(res, parsed.errors.join(', '), 400);
+      }
+      ruleInput = parsed.rule;
+    }
+
+    if (!ruleInput) {
+      return errorResponse(res, 'A recurrence or rrule is required', 400);
+    }
+
+    const { rule, errors: ruleErrors } = normalizeRule(ruleInput);
+
+    // The first occurrence follows the same rules as a single event
+    const { errors: eventErrors } = validateEventData({ ...req.body, date: startDate });
+
+    if (ruleErrors.length > 0 || eventErrors.length > 0) {
+      return errorResponse(res, [...eventErrors, ...ruleErrors].join(', '), 400);
+    }
+
+    const dates = generateOccurrences(startDate, rule);
+
+    if (dates.length === 0) {
+      return errorResponse(res, 'The recurrence does not produce any dates', 400);
+    }
+
+    if (dates.length > getMaxOccurrences()) {
+      return errorResponse(res, `A series can have at most ${getMaxOccurrences()} occurrences`, 400);
+    }
+
+    let categoryIds = [];
+
+    if (categories !== undefined) {
+      const categoryCheck = await validateCategories(categories);
+      if (!categoryCheck.isValid) {
+        return errorResponse(res, categoryCheck.errors.join(', '), 400);
+      }
+      categoryIds = categoryCheck.categoryIds;
+    }
+
+    let coOrganizerIds = [];
+
+    if (coOrganizers !== undefined) {
+      const coOrganizerCheck = await validateCoOrganizers(coOrganizers);
+      if (!coOrganizerCheck.isValid) {
+        return errorResponse(res, coOrganizerCheck.errors.join(', '), 400);
+      }
+      coOrganizerIds = coOrganizerCheck.userIds
+        .filter(id => id !== req.user._id.toString());
+    }
+
+    const series = await EventSeries.create({
+      title: req.body.title,
+      description: req.body.description,
+      time: req.body.time,
+      location: req.body.location,
+      duration: req.body.duration ? Number(req.body.duration) : undefined,
+      imageUrl: req.body.imageUrl || undefined,
+      totalSeats: Number(req.body.totalSeats),
+      maxSeatsPerRegistration: req.body.maxSeatsPerRegistration ? Number(req.body.maxSeatsPerRegistration) : undefined,
+      categories: categoryIds,
+      startDate: dates[0],
+      recurrence: rule,
+      rrule: formatRRule(rule),
+      coOrganizers: coOrganizerIds,
+      createdBy: req.user._id
+    });
+
+    let occurrences;
+
+    try {
+      occurrences = await Event.insertMany(dates.map(date => ({
+        ...SERIES_FIELDS.reduce((fields, field) => ({ ...fields, [field]: series[field] }), {}),
+        date,
+        series: series._id,
+        coOrganizers: series.coOrganizers,
+        createdBy: req.user._id
+      })), { ordered: true });
+    } catch (error) {
+      // Do not leave a half created series behind
+      await Event.deleteMany({ series: series._id });
+      await series.deleteOne();
+      throw error;
+    }
+
+    await recordAudit(req, {
+      action: 'series.create',
+      targetType: 'EventSeries',
+      target: series._id,
+      after: series,
+      fields: [...SERIES_FIELDS, 'rrule'],
+      details: { occurrences: occurrences.length }
+    });
+
+    return successResponse(res, {
+      series,
+      occurrences: occurrences.map(event => ({ _id: event._id, date: event.date }))
+    }, 201);
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+// @desc    Get a series with its occurrences
+// @route   GET /api/series/:id?upcoming=true
+// @access  Public
+const getSeriesById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return errorResponse(res, 'Series not found', 404);
+    }
+
+    const series = await EventSeries.findById(req.params.id)
+      .populate('createdBy', 'name')
+      .populate('categories', 'name');
+
+    if (!series) {
+      return errorResponse(res, 'Series not found', 404);
+    }
+
+    const filter = { series: series._id, isArchived: { $ne: true } };
+
+    if (req.query.upcoming === 'true') {
+      filter.date = { $gte: new Date(new Date().toISOString().slice(0, 10)) };
+    }
+
+    const occurrences = await Event.find(filter)
+      .select('title date time location status totalSeats registeredUsers isSeriesException cancellationReason')
+      .sort({ date: 1 })
+      .lean();
+
+    return successResponse(res, {
+      series,
+      occurrences: await addAvailableSeats(occurrences)
+    });
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+// @desc    Update all future occurrences of a series
+// @route   PUT /api/series/:id
+// @access  Private/Organizer
+const updateSeries = async (req, res) => {
+  try {
+    const series = await EventSeries.findById(req.params.id);
+    const before = series.toObject();
+
+    const updates = {};
+
+    SERIES_FIELDS
+      .filter(field => field !== 'categories' && req.body[field] !== undefined)
+      .forEach(field => {
+        updates[field] = req.body[field];
+      });
+
+    if (req.body.categories !== undefined) {
+      const categoryCheck = await validateCategories(req.body.categories);
+      if (!categoryCheck.isValid) {
+        return errorResponse(res, categoryCheck.errors.join(', '), 400);
+      }
+      updates.categories = categoryCheck.categoryIds;
+    }
+
+    const { errors } = validateEventData(updates, true);
+
+    if (errors.length > 0) {
+      return errorResponse(res, errors.join(', '), 400);
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return errorResponse(res, 'No series fields to update', 400);
+    }
+
+    // "This and following": start from the given occurrence instead of today
+    let from;
+
+    if (req.body.from) {
+      const fromEvent = mongoose.Types.ObjectId.isValid(req.body.from) ?
+        await Event.findOne({ _id: req.body.from, series: series._id }).select('date') :
+        null;
+
+      if (!fromEvent) {
+        return errorResponse(res, 'from must be an occurrence of this series', 400);
+      }
+
+      from = fromEvent.date;
+    }
+
+    Object.assign(series, updates);
+    await series.save();
+
+    const occurrences = (await findUpcomingOccurrences(series._id, { from }))
+      .filter(event => !event.isSeriesException);
+
+    const { totalSeats, ...otherUpdates } = updates;
+
+    // A new start time needs a fresh round of reminders
+    if (updates.time !== undefined) {
+      otherUpdates.remindersSent = [];
+    }
+
+    const updated = [];
+    const skipped = [];
+
+    for (const occurrence of occurrences) {
+      const set = { ...otherUpdates, updatedAt: Date.now() };
+      let event = null;
+
+      // Apply the new capacity only where it still fits every confirmed seat
+      if (totalSeats !== undefined) {
+        event = await Event.findOneAndUpdate(
+          { _id: occurrence._id, registeredUsers: { $lte: Number(totalSeats) } },
+          { $set: { ...set, totalSeats: Number(totalSeats) } },
+          { new: true }
+        );
+
+        if (!event) {
+          skipped.push({
+            event: occurrence._id,
+            date: occurrence.date,
+            reason: 'Cannot reduce capacity below the number of booked seats'
+          });
+        } else if (Number(totalSeats) > occurrence.totalSeats) {
+          await promoteFromWaitlist(occurrence._id);
+        }
+      }
+
+      if (!event) {
+        event = await Event.findByIdAndUpdate(occurrence._id, { $set: set }, { new: true });
+      }
+
+      updated.push(event._id);
+    }
+
+    // One notification per attendee, however many occurrences they booked
+    const changedFields = ['title', 'description', 'time', 'location']
+      .filter(field => updates[field] !== undefined);
+
+    if (changedFields.length > 0 && updated.length > 0) {
+      const attendees = await Registration.find({
+        event: { $in: updated },
+        status: { $in: ['confirmed', 'waitlisted'] }
+      }).distinct('user');
+
+      await notifyUsers(attendees, {
+        message: `Upcoming dates of "${series.title}" have been updated (${changedFields.join(', ')})`,
+        type: 'update'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'series.update',
+      targetType: 'EventSeries',
+      target: series._id,
+      before,
+      after: series,
+      fields: SERIES_FIELDS,
+      details: { updatedOccurrences: updated.length, skipped: skipped.length }
+    });
+
+    return successResponse(res, {
+      series,
+      updatedOccurrences: updated.length,
+      skipped
+    });
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+// @desc    Cancel all future occurrences of a series
+// @route   POST /api/series/:id/cancel
+// @access  Private/Organizer
+const cancelSeries = async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const series = await EventSeries.findById(req.params.id);
+
+    if (series.status === 'cancelled') {
+      return errorResponse(res, 'Series is already cancelled', 400);
+    }
+
+    const occurrences = await findUpcomingOccurrences(series._id);
+    let cancelledOccurrences = 0;
+    let cancelledRegistrations = 0;
+    let refundedRegistrations = 0;
+    let failedRefunds = 0;
+
+    for (const occurrence of occurrences) {
+      const cancellation = await cancelEventCascade(occurrence._id, { reason });
+
+      if (cancellation) {
+        cancelledOccurrences += 1;
+        cancelledRegistrations += cancellation.cancelledRegistrations;
+        refundedRegistrations += cancellation.refundedRegistrations;
+        failedRefunds += cancellation.failedRefunds;
+      }
+    }
+
+    series.status = 'cancelled';
+    await series.save();
+
+    await recordAudit(req, {
+      action: 'series.cancel',
+      targetType: 'EventSeries',
+      target: series._id,
+      before: { status: 'active' },
+      after: { status: 'cancelled' },
+      details: { reason, cancelledOccurrences, cancelledRegistrations, refundedRegistrations, failedRefunds }
+    });
+
+    return successResponse(res, {
+      series,
+      cancelledOccurrences,
+      cancelledRegistrations,
+      refundedRegistrations,
+      failedRefunds,
+      message: 'Series cancelled'
+    });
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+// Outcomes a series registration reports for its occurrences, in order
+const SERIES_OUTCOMES = ['confirmed', 'pending_payment', 'pending', 'waitlisted', 'skipped'];
+
+// @desc    Register for every upcoming occurrence of a series, with the same seats on each
+//          Ticket types and form questions belong to each occurrence, so ticketType and
+//          answers can be set per occurrence in occurrences[eventId]
+// @route   POST /api/series/:id/register
+// @access  Private
+const registerForSeries = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return errorResponse(res, 'Series not found', 404);
+    }
+
+    const series = await EventSeries.findById(req.params.id);
+
+    if (!series) {
+      return errorResponse(res, 'Series not found', 404);
+    }
+
+    if (series.status === 'cancelled') {
+      return errorResponse(res, 'Series has been cancelled', 400);
+    }
+
+    const occurrences = await findUpcomingOccurrences(series._id);
+
+    if (occurrences.length === 0) {
+      return errorResponse(res, 'Series has no upcoming occurrences', 400);
+    }
+
+    // Express leaves req.body undefined for requests without a body
+    const body = req.body || {};
+    const overrides = body.occurrences || {};
+
+    // Each date is booked on its own, full dates put the user on that date's waitlist
+    const results = [];
+
+    for (const occurrence of occurrences) {
+      const override = overrides[occurrence._id.toString()] || {};
+
+      const result = await bookRegistration(req.user, occurrence, {
+        seats: body.seats,
+        guests: body.guests,
+        ticketType: override.ticketType !== undefined ? override.ticketType : body.ticketType,
+        answers: override.answers !== undefined ? override.answers : body.answers,
+        inviteCode: override.inviteCode !== undefined ? override.inviteCode : body.inviteCode
+      });
+
+      const registration = result.registration;
+
+      results.push({
+        event: occurrence._id,
+        date: occurrence.date,
+        status: result.error ? 'skipped' : registration.status,
+        registrationId: registration ? registration._id : undefined,
+        waitlistPosition: result.waitlistPosition,
+        payment: registration && registration.status === 'pending_payment' ?
+          {
+            checkoutUrl: registration.payment.checkoutUrl,
+            amount: registration.payment.amount,
+            currency: registration.payment.currency,
+            expiresAt: registration.payment.expiresAt
+          } :
+          undefined,
+        message: result.error
+      });
+    }
+
+    const count = (status) => results.filter(result => result.status === status).length;
+    const counts = Object.fromEntries(SERIES_OUTCOMES.map(status => [status, count(status)]));
+
+    return successResponse(res, {
+      ...counts,
+      results
+    }, counts.skipped === results.length ? 200 : 201);
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+module.exports = {
+  createSeries,
+  getSeriesById,
+  updateSeries,
+  cancelSeries,
+  registerForSeries
+};
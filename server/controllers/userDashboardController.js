@@ -1,5 +1,6 @@
 const Event = require('../models/eventModel');
 const Registration = require('../models/registrationModel');
+const Notification = require('../models/notificationModel');
 const { successResponse, errorResponse } = require('../utils/responseHandler');
 
 // @desc    Get user dashboard data
@@ -43,6 +44,16 @@ const getUserDashboard = async (req, res) => {
       status: 'cancelled'
     });
     
+    const waitlistedRegistrations = await Registration.countDocuments({
+      user: userId,
+      status: 'waitlisted'
+    });
+    
+    const unreadNotifications = await Notification.countDocuments({
+      user: userId,
+      isRead: false
+    });
+    
     // Get most recent event activity
     const recentActivity = await Registration.find({
       user: userId
@@ -72,7 +83,9 @@ const getUserDashboard = async (req, res) => {
       stats: {
         totalRegistrations,
         activeRegistrations,
-        cancelledRegistrations
+        cancelledRegistrations,
+        waitlistedRegistrations,
+        unreadNotifications
       },
       recentActivity,
       recommendedEvents
@@ -0,0 +1,319 @@
+const User = require('../models/userModel');
+const Registration = require('../models/registrationModel');
+const { successResponse, errorResponse } = require('../utils/responseHandler');
+const { revokeAllSessions } = require('../utils/tokens');
+const { recordAudit } = require('../utils/auditLog');
+const { escapeRegex } = require('../utils/eventQuery');
+
+const USER_FIELDS = 'name email role isEmailVerified isSuspended suspendedAt suspensionReason createdAt';
+
+// Admins that can still log in
+const countActiveAdmins = () => {
+  return User.countDocuments({ role: 'admin', isSuspended: { $ne: true } });
+};
+
+// Undo a change that left no active admin, e.g. when two admins demote each other at once
+const keepAnAdmin = async (userId, revert) => {
+  if (await countActiveAdmins() > 0) {
+    return true;
+  }
+
+  await User.updateOne({ _id: userId }, revert);
+  return false;
+};
+
+// @desc    Get users
+// @route   GET /api/admin/users?search=&role=&status=&page=&limit=
+// @access  Private/Admin
+const getUsers = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const startIndex = (page - 1) * limit;
+
+    const filter = {};
+
+    // Match the search text against name or email
+    if (req.query.search) {
+      const pattern = { $regex: escapeRegex(req.query.search), $options: 'i' };
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    if (req.query.role) {
+      const roles = String(req.query.role).split(',').map(role => role.trim());
+
+      if (roles.some(role => !User.schema.path('role').enumValues.includes(role))) {
+        return errorResponse(res, 'Invalid role', 400);
+      }
+
+      filter.role = { $in: roles };
+    }
+
+    if (req.query.status === 'suspended') {
+      filter.isSuspended = true;
+    } else if (req.query.status === 'active') {
+      filter.isSuspended = { $ne: true };
+    } else if (req.query.status) {
+      return errorResponse(res, 'Status must be active or suspended', 400);
+    }
+
+    const total = await User.countDocuments(filter);
+
+    const users = await User.find(filter)
+      .select(USER_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip(startIndex)
+      .limit(limit);
+
+    return successResponse(res, {
+      users,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+// @desc    Get a user with registration counts
+// @route   GET /api/admin/users/:id
+// @access  Private/Admin
+const getUserById = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select(USER_FIELDS);
+
+    if (!user) {
+      return errorResponse(res, 'User not found', 404);
+    }
+
+    const counts = await Registration.aggregate([
+      { $match: { user: user._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const registrations = counts.reduce((totals, item) => {
+      totals[item._id] = item.count;
+      return totals;
+    }, { confirmed: 0, waitlisted: 0, cancelled: 0 });
+
+    return successResponse(res, { user, registrations });
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+// @desc    Get a user's registration history
+// @route   GET /api/admin/users/:id/registrations?status=&page=&limit=
+// @access  Private/Admin
+const getUserRegistrationHistory = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const startIndex = (page - 1) * limit;
+
+    const user = await User.findById(req.params.id).select('name email');
+
+    if (!user) {
+      return errorResponse(res, 'User not found', 404);
+    }
+
+    const filter = { user: user._id };
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const total = await Registration.countDocuments(filter);
+
+    const registrations = await Registration.find(filter)
+      .populate({
+        path: 'event',
+        select: 'title date time location status'
+      })
+      .sort({ registrationDate: -1 })
+      .skip(startIndex)
+      .limit(limit);
+
+    return successResponse(res, {
+      user,
+      registrations,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+// @desc    Change a user's role
+// @route   PUT /api/admin/users/:id/role
+// @access  Private/Admin
+const updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return errorResponse(res, 'User not found', 404);
+    }
+
+    if (user.role === role) {
+      return successResponse(res, { user, message: `User is already ${role}` });
+    }
+
+    const previousRole = user.role;
+
+    // Demoting an admin must leave at least one active admin behind
+    if (previousRole === 'admin') {
+      const otherAdmins = await User.countDocuments({
+        _id: { $ne: user._id },
+        role: 'admin',
+        isSuspended: { $ne: true }
+      });
+
+      if (otherAdmins === 0) {
+        return errorResponse(res, 'The last admin cannot be demoted', 400);
+      }
+    }
+
+    const updatedUser = await User.findOneAndUpdate(
+      { _id: user._id, role: previousRole },
+      { $set: { role } },
+      { new: true }
+    ).select(USER_FIELDS);
+
+    if (!updatedUser) {
+      return errorResponse(res, 'User role was changed by another request, please retry', 409);
+    }
+
+    if (previousRole === 'admin' && !(await keepAnAdmin(user._id, { $set: { role: 'admin' } }))) {
+      return errorResponse(res, 'The last admin cannot be demoted', 400);
+    }
+
+    await recordAudit(req, {
+      action: 'user.role',
+      targetType: 'User',
+      target: user._id,
+      before: { role: previousRole },
+      after: { role }
+    });
+
+    return successResponse(res, { user: updatedUser, message: 'User role updated' });
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+// @desc    Suspend a user and end all of their sessions
+// @route   PUT /api/admin/users/:id/suspend
+// @access  Private/Admin
+const suspendUser = async (req, res) => {
+  try {
+    if (req.params.id === req.user._id.toString()) {
+      return errorResponse(res, 'You cannot suspend your own account', 400);
+    }
+
+    const { reason } = req.body || {};
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return errorResponse(res, 'User not found', 404);
+    }
+
+    if (user.isSuspended) {
+      return errorResponse(res, 'User is already suspended', 400);
+    }
+
+    const updatedUser = await User.findOneAndUpdate(
+      { _id: user._id, isSuspended: { $ne: true } },
+      {
+        $set: {
+          isSuspended: true,
+          suspendedAt: Date.now(),
+          suspensionReason: reason,
+          suspendedBy: req.user._id
+        }
+      },
+      { new: true }
+    ).select(USER_FIELDS);
+
+    if (!updatedUser) {
+      return errorResponse(res, 'User is already suspended', 400);
+    }
+
+    if (user.role === 'admin' && !(await keepAnAdmin(user._id, {
+      $set: { isSuspended: false },
+      $unset: { suspendedAt: 1, suspensionReason: 1, suspendedBy: 1 }
+    }))) {
+      return errorResponse(res, 'The last admin cannot be suspended', 400);
+    }
+
+    // Log the user out everywhere
+    await revokeAllSessions(user._id);
+
+    await recordAudit(req, {
+      action: 'user.suspend',
+      targetType: 'User',
+      target: user._id,
+      before: { isSuspended: false },
+      after: { isSuspended: true },
+      details: { reason }
+    });
+
+    return successResponse(res, { user: updatedUser, message: 'User suspended' });
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+// @desc    Reactivate a suspended user
+// @route   PUT /api/admin/users/:id/reactivate
+// @access  Private/Admin
+const reactivateUser = async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, isSuspended: true },
+      {
+        $set: { isSuspended: false },
+        $unset: { suspendedAt: 1, suspensionReason: 1, suspendedBy: 1 }
+      },
+      { new: true }
+    ).select(USER_FIELDS);
+
+    if (!user) {
+      const exists = await User.exists({ _id: req.params.id });
+      return exists ?
+        errorResponse(res, 'User is not suspended', 400) :
+        errorResponse(res, 'User not found', 404);
+    }
+
+    await recordAudit(req, {
+      action: 'user.reactivate',
+      targetType: 'User',
+      target: user._id,
+      before: { isSuspended: true },
+      after: { isSuspended: false }
+    });
+
+    return successResponse(res, { user, message: 'User reactivated' });
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+module.exports = {
+  getUsers,
+  getUserById,
+  getUserRegistrationHistory,
+  updateUserRole,
+  suspendUser,
+  reactivateUser
+};
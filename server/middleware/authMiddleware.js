@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/userModel');
+const { isSessionActive } = require('../utils/tokens');
 
 // Protect routes
 const protect = async (req, res, next) => {
@@ -28,6 +29,27 @@ const protect = async (req, res, next) => {
     // Set user to req.user
     req.user = await User.findById(decoded.id);
 
+    // Reject tokens for deleted users, logged out sessions or
+    // tokens issued before a "log out everywhere"
+    if (!req.user ||
+        decoded.ver !== req.user.tokenVersion ||
+        !decoded.sid ||
+        !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized to access this route'
+      });
+    }
+
+    if (req.user.isSuspended) {
+      return res.status(403).json({
+        success: false,
+        error: 'Your account has been suspended'
+      });
+    }
+
+    req.sessionId = decoded.sid;
+
     next();
   } catch (error) {
     return res.status(401).json({
@@ -49,4 +71,28 @@ const admin = (req, res, next) => {
   }
 };
 
-module.exports = { protect, admin };
\ No newline at end of file
+// Organizer middleware, admins pass as well
+const organizer = (req, res, next) => {
+  if (req.user && ['organizer', 'admin'].includes(req.user.role)) {
+    next();
+  } else {
+    return res.status(403).json({
+      success: false,
+      error: 'Not authorized as an organizer'
+    });
+  }
+};
+
+// Block unverified users when REQUIRE_EMAIL_VERIFICATION is enabled
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true' || req.user.isEmailVerified) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    error: 'Please verify your email address first'
+  });
+};
+
+module.exports = { protect, admin, organizer, requireVerifiedEmail };
\ No newline at end of file
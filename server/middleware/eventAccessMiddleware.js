@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const Event = require('../models/eventModel');
+const Registration = require('../models/registrationModel');
+const EventSeries = require('../models/eventSeriesModel');
+
+// Admins manage every event, organizers only the ones they created or co-organize
+const canManageEvent = (user, event) => {
+  if (!user || !event) {
+    return false;
+  }
+
+  if (user.role === 'admin') {
+    return true;
+  }
+
+  if (user.role !== 'organizer') {
+    return false;
+  }
+
+  const userId = user._id.toString();
+  const createdBy = event.createdBy && (event.createdBy._id || event.createdBy);
+
+  return (createdBy && createdBy.toString() === userId) ||
+    (event.coOrganizers || []).some(id => (id._id || id).toString() === userId);
+};
+
+// Build a middleware that finds the event for a request and checks the user may manage it
+// The event is kept on req.event for the controller
+const requireEventAccess = (resolveEventId) => async (req, res, next) => {
+  try {
+    const eventId = await resolveEventId(req);
+
+    if (!eventId || !mongoose.Types.ObjectId.isValid(eventId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found'
+      });
+    }
+
+    const event = await Event.findById(eventId).select('createdBy coOrganizers');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found'
+      });
+    }
+
+    if (!canManageEvent(req.user, event)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to manage this event'
+      });
+    }
+
+    req.event = event;
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Event ID taken from a route parameter, e.g. /api/events/:id
+const manageEvent = (param = 'id') => requireEventAccess(req => req.params[param]);
+
+// Event ID looked up from the registration in a route parameter
+const manageRegistrationEvent = (param = 'id') => requireEventAccess(async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params[param])) {
+    return null;
+  }
+
+  const registration = await Registration.findById(req.params[param]).select('event');
+  return registration && registration.event;
+});
+
+// Series use the same ownership rules as events, the series is kept on req.series
+const manageSeries = (param = 'id') => async (req, res, next) => {
+  try {
+    const series = mongoose.Types.ObjectId.isValid(req.params[param]) ?
+      await EventSeries.findById(req.params[param]).select('createdBy coOrganizers') :
+      null;
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        error: 'Series not found'
+      });
+    }
+
+    if (!canManageEvent(req.user, series)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to manage this series'
+      });
+    }
+
+    req.series = series;
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  canManageEvent,
+  requireEventAccess,
+  manageEvent,
+  manageRegistrationEvent,
+  manageSeries
+};
@@ -0,0 +1,33 @@
+const multer = require('multer');
+
+const IMPORT_EXTENSIONS = /\.(csv|json)$/i;
+
+// Keep import files in memory, they are parsed and discarded per request
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: Number(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!IMPORT_EXTENSIONS.test(file.originalname)) {
+      return cb(new Error('Only .csv and .json files can be imported'));
+    }
+    cb(null, true);
+  }
+}).single('file');
+
+// Accept an optional "file" upload, reporting upload errors as JSON
+const uploadImportFile = (req, res, next) => {
+  importUpload(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.code === 'LIMIT_FILE_SIZE' ? 'Import file is too large' : error.message
+      });
+    }
+    next();
+  });
+};
+
+module.exports = { uploadImportFile };
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  // Who made the change, kept even if the account is later deleted
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actorRole: {
+    type: String
+  },
+  // What was done, e.g. event.update or registration.status
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  targetType: {
+    type: String,
+    enum: ['Event', 'EventSeries', 'Registration', 'Category', 'User'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Only the fields that changed, with their old and new values
+  changes: {
+    before: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed
+    }
+  },
+  // Extra context such as a cancellation reason or import counts
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for querying the log by actor, by target and by date
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, target: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
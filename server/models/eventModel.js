@@ -1,5 +1,78 @@
 const mongoose = require('mongoose');
 
+// A tier of seats such as General, VIP or Student, with its own capacity and sales window
+const ticketTypeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a ticket type name'],
+    trim: true
+  },
+  capacity: {
+    type: Number,
+    required: [true, 'Please add the ticket type capacity'],
+    min: [1, 'Capacity must be at least 1']
+  },
+  // Seats booked in this tier, only changed through atomic $inc updates
+  sold: {
+    type: Number,
+    default: 0,
+    min: [0, 'Sold seats cannot be negative']
+  },
+  price: {
+    type: Number,
+    default: 0,
+    min: [0, 'Price cannot be negative']
+  },
+  salesStart: {
+    type: Date
+  },
+  salesEnd: {
+    type: Date
+  },
+  // Empty lists let anyone book, otherwise the user must match each list that is set
+  eligibility: {
+    roles: [{
+      type: String,
+      enum: ['user', 'organizer', 'admin']
+    }],
+    emailDomains: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }]
+  }
+});
+
+// A question attendees answer when registering, e.g. dietary needs or T-shirt size
+const formFieldSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Please add a question label'],
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['text', 'select', 'checkbox', 'number'],
+    required: [true, 'Please add a question type']
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Choices for select questions
+  options: [{
+    type: String,
+    trim: true
+  }],
+  // Length limits for text questions, value limits for number questions
+  min: {
+    type: Number
+  },
+  max: {
+    type: Number
+  }
+});
+
 const eventSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -22,6 +95,11 @@ const eventSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Please add a location']
   },
+  // Length of the event in minutes, falls back to EVENT_DEFAULT_DURATION
+  duration: {
+    type: Number,
+    min: [1, 'Duration must be at least 1 minute']
+  },
   imageUrl: {
     type: String,
     default: 'https://via.placeholder.com/300'
@@ -35,10 +113,54 @@ const eventSchema = new mongoose.Schema({
     required: [true, 'Please add number of available seats'],
     min: [1, 'Total seats must be at least 1']
   },
-  // registeredUsers: {
-  //   type: Number,
-  //   default: 0
-  // },
+  // Confirmed seat count, only changed through atomic $inc updates
+  registeredUsers: {
+    type: Number,
+    default: 0,
+    min: [0, 'Registered users cannot be negative']
+  },
+  // Price per seat for events without ticket types, 0 means free
+  price: {
+    type: Number,
+    default: 0,
+    min: [0, 'Price cannot be negative']
+  },
+  // Optional tiers, totalSeats is kept equal to the sum of their capacities
+  ticketTypes: [ticketTypeSchema],
+  // open confirms registrations straight away, approval makes them wait for an
+  // organizer and invite only lets in users with the invite code or an invited email
+  registrationMode: {
+    type: String,
+    enum: ['open', 'approval', 'invite'],
+    default: 'open'
+  },
+  // Kept out of queries by default so public event pages never show them
+  inviteCode: {
+    type: String,
+    trim: true,
+    select: false
+  },
+  invitedEmails: {
+    type: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }],
+    select: false
+  },
+  // Whether registrations awaiting approval already take their seats
+  holdSeatsForPending: {
+    type: Boolean,
+    default: false
+  },
+  // Questions asked on registration, answers are stored on each registration
+  registrationForm: [formFieldSchema],
+  // Most seats a single registration may book, the registrant included
+  maxSeatsPerRegistration: {
+    type: Number,
+    default: 1,
+    min: [1, 'A registration must be allowed at least 1 seat']
+  },
   isFeatured: {
     type: Boolean,
     default: false
@@ -48,11 +170,42 @@ const eventSchema = new mongoose.Schema({
     enum: ['scheduled', 'ongoing', 'completed', 'cancelled'],
     default: 'scheduled'
   },
+  cancellationReason: {
+    type: String,
+    trim: true
+  },
+  cancelledAt: {
+    type: Date
+  },
+  // Archived events are kept for history but hidden from public listings
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  // Reminder offsets already sent, so restarts never send one twice
+  remindersSent: [{
+    type: String
+  }],
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Set on occurrences of a recurring series
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EventSeries'
+  },
+  // Occurrences edited on their own are left alone by later series edits
+  isSeriesException: {
+    type: Boolean,
+    default: false
+  },
+  // Organizers who can manage the event alongside its creator
+  coOrganizers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -63,6 +216,25 @@ const eventSchema = new mongoose.Schema({
   }
 });
 
+// Text index for searching events, title matches rank highest
+eventSchema.index(
+  { title: 'text', description: 'text', location: 'text' },
+  { weights: { title: 5, location: 2, description: 1 }, name: 'event_text_search' }
+);
+
+// Index for filtering events by category
+eventSchema.index({ categories: 1 });
+
+// Indexes for finding the events an organizer manages
+eventSchema.index({ createdBy: 1 });
+eventSchema.index({ coOrganizers: 1 });
+
+// Index for listing the occurrences of a series in order
+eventSchema.index({ series: 1, date: 1 });
+
+// Index used by the scheduler to find events due for a status change
+eventSchema.index({ status: 1, date: 1 });
+
 // Update the updatedAt timestamp before saving
 eventSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// A recurring event; each occurrence is stored as its own Event linked back here
+const eventSeriesSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Please add a title'],
+    trim: true
+  },
+  description: {
+    type: String,
+    required: [true, 'Please add a description']
+  },
+  time: {
+    type: String,
+    required: [true, 'Please add a time']
+  },
+  location: {
+    type: String,
+    required: [true, 'Please add a location']
+  },
+  duration: {
+    type: Number,
+    min: [1, 'Duration must be at least 1 minute']
+  },
+  imageUrl: {
+    type: String,
+    default: 'https://via.placeholder.com/300'
+  },
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  totalSeats: {
+    type: Number,
+    required: [true, 'Please add number of available seats'],
+    min: [1, 'Total seats must be at least 1']
+  },
+  maxSeatsPerRegistration: {
+    type: Number,
+    default: 1,
+    min: [1, 'A registration must be allowed at least 1 seat']
+  },
+  // Date of the first occurrence
+  startDate: {
+    type: Date,
+    required: [true, 'Please add a start date']
+  },
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly'],
+      required: true
+    },
+    interval: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    byWeekday: [{
+      type: String,
+      enum: ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']
+    }],
+    count: {
+      type: Number
+    },
+    until: {
+      type: Date
+    }
+  },
+  // The same rule as an RFC 5545 RRULE string
+  rrule: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  coOrganizers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt timestamp before saving
+eventSeriesSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('EventSeries', eventSeriesSchema);
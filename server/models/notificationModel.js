@@ -35,4 +35,7 @@ const notificationSchema = new mongoose.Schema({
   }
 });
 
+// Index for listing a user's newest notifications, optionally unread only
+notificationSchema.index({ user: 1, isRead: 1, createdAt: -1 });
+
 module.exports = mongoose.model('Notification', notificationSchema);
\ No newline at end of file
@@ -1,5 +1,43 @@
 const mongoose = require('mongoose');
 
+// Details of one payment through the provider
+const paymentFields = {
+  provider: {
+    type: String
+  },
+  paymentId: {
+    type: String
+  },
+  checkoutUrl: {
+    type: String
+  },
+  amount: {
+    type: Number,
+    min: [0, 'Amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    lowercase: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'failed', 'expired', 'cancelled', 'refunding', 'refunded']
+  },
+  // When the held seats are released if the payment has not succeeded
+  expiresAt: {
+    type: Date
+  },
+  paidAt: {
+    type: Date
+  },
+  refundId: {
+    type: String
+  },
+  refundedAt: {
+    type: Date
+  }
+};
+
 const registrationSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -17,12 +55,96 @@ const registrationSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['confirmed', 'cancelled'],
+    enum: ['confirmed', 'waitlisted', 'pending_payment', 'pending', 'rejected', 'cancelled'],
     default: 'confirmed'
+  },
+  // Seats held by this registration, the registrant's own seat included
+  seats: {
+    type: Number,
+    default: 1,
+    min: [1, 'A registration must hold at least 1 seat']
+  },
+  // Ticket type of the event the seats were booked in, when it has any
+  ticketType: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // People coming with the registrant, at most one per extra seat
+  guests: [{
+    name: {
+      type: String,
+      required: [true, 'Please add a guest name'],
+      trim: true
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    }
+  }],
+  // Answers to the event's registration form, with the question label at the time
+  answers: [{
+    _id: false,
+    field: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    label: {
+      type: String,
+      trim: true
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed
+    }
+  }],
+  waitlistedAt: {
+    type: Date
+  },
+  cancellationReason: {
+    type: String,
+    trim: true
+  },
+  // Set when an organizer approves or rejects a pending registration
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewReason: {
+    type: String,
+    trim: true
+  },
+  // Set when the user deleted their account; the user reference no longer resolves
+  isAnonymized: {
+    type: Boolean,
+    default: false
+  },
+  // Paid registrations hold their seats as pending_payment until the payment
+  // succeeds, fails or the hold expires
+  payment: paymentFields,
+  // Earlier payments of a registration that was cancelled and booked again,
+  // kept so a checkout completed late can still be matched and refunded
+  paymentHistory: [new mongoose.Schema(paymentFields, { _id: false })],
+  // Set when the attendee's ticket is scanned at the door
+  checkedInAt: {
+    type: Date
+  },
+  checkedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 });
 
 // Create a compound index to prevent duplicate registrations
 registrationSchema.index({ user: 1, event: 1 }, { unique: true });
 
+// Index used to walk an event's waitlist in arrival order
+registrationSchema.index({ event: 1, status: 1, waitlistedAt: 1 });
+
+// Indexes for payment webhooks and for releasing expired payment holds
+registrationSchema.index({ 'payment.paymentId': 1 }, { sparse: true });
+registrationSchema.index({ 'paymentHistory.paymentId': 1 }, { sparse: true });
+registrationSchema.index({ status: 1, 'payment.expiresAt': 1 });
+
 module.exports = mongoose.model('Registration', registrationSchema);
\ No newline at end of file
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
@@ -24,19 +25,78 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ['user', 'organizer', 'admin'],
     default: 'user'
   },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Suspended users cannot log in or use existing tokens
+  isSuspended: {
+    type: Boolean,
+    default: false
+  },
+  suspendedAt: {
+    type: Date
+  },
+  suspensionReason: {
+    type: String,
+    trim: true
+  },
+  suspendedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Only hashes of emailed tokens are stored
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // Failed logins since the last success, reset when the account locks
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  // Logins are refused until this time
+  lockUntil: {
+    type: Date
+  },
+  // Bumped to invalidate every access token issued so far
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Secret for the user's calendar subscription URL
+  calendarToken: {
+    type: String,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// Calendar feeds look users up by token
+userSchema.index({ calendarToken: 1 }, { unique: true, sparse: true });
+
 // Encrypt password using bcrypt
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
 
   const salt = await bcrypt.genSalt(10);
@@ -48,4 +108,64 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Check if too many failed logins have locked the account
+userSchema.methods.isLocked = function() {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Count a failed login and lock the account once the limit is reached
+// Uses $inc so parallel attempts are all counted
+userSchema.methods.registerFailedLogin = async function() {
+  const maxAttempts = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+  const lockMinutes = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+
+  if (updated && updated.failedLoginAttempts >= maxAttempts) {
+    await this.constructor.updateOne(
+      { _id: this._id },
+      {
+        $set: {
+          failedLoginAttempts: 0,
+          lockUntil: Date.now() + lockMinutes * 60 * 1000
+        }
+      }
+    );
+    return true;
+  }
+
+  return false;
+};
+
+// Hash an emailed token for storage and lookup
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Create a password reset token, store its hash and return the plain token
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const minutes = Number(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+  this.passwordResetToken = this.constructor.hashToken(token);
+  this.passwordResetExpires = Date.now() + minutes * 60 * 1000;
+
+  return token;
+};
+
+// Create an email verification token, store its hash and return the plain token
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const hours = Number(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
+  this.emailVerificationToken = this.constructor.hashToken(token);
+  this.emailVerificationExpires = Date.now() + hours * 60 * 60 * 1000;
+
+  return token;
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,55 @@
+const express = require('express');
+const { check } = require('express-validator');
+const { validateRequest } = require('../middleware/validateRequest');
+const {
+  getUsers,
+  getUserById,
+  getUserRegistrationHistory,
+  updateUserRole,
+  suspendUser,
+  reactivateUser
+} = require('../controllers/userManagementController');
+const { getAuditLogs } = require('../controllers/auditLogController');
+const { protect, admin } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Every admin route needs an admin account
+router.use(protect, admin);
+
+// Validate the :id parameter of user routes
+const userIdCheck = [check('id', 'Invalid user ID').isMongoId()];
+
+router.get('/users', getUsers);
+router.get('/users/:id', [userIdCheck, validateRequest], getUserById);
+router.get('/users/:id/registrations', [userIdCheck, validateRequest], getUserRegistrationHistory);
+
+router.put(
+  '/users/:id/role',
+  [
+    [
+      ...userIdCheck,
+      check('role', 'Role must be user, organizer or admin').isIn(['user', 'organizer', 'admin'])
+    ],
+    validateRequest
+  ],
+  updateUserRole
+);
+
+router.put(
+  '/users/:id/suspend',
+  [
+    [
+      ...userIdCheck,
+      check('reason', 'Reason must be text').optional().isString().trim()
+    ],
+    validateRequest
+  ],
+  suspendUser
+);
+
+router.put('/users/:id/reactivate', [userIdCheck, validateRequest], reactivateUser);
+
+router.get('/audit-logs', getAuditLogs);
+
+module.exports = router;
@@ -1,11 +1,35 @@
 const express = require('express');
 const { check } = require('express-validator');
 const { validateRequest } = require('../middleware/validateRequest');
-const { registerUser, loginUser, getUserProfile } = require('../controllers/authController');
+const {
+  registerUser,
+  loginUser,
+  getUserProfile,
+  updateUserProfile,
+  changePassword,
+  deleteAccount,
+  refreshAccessToken,
+  logoutUser,
+  logoutAllSessions,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail
+} = require('../controllers/authController');
 const { protect } = require('../middleware/authMiddleware');
+const { createRateLimiter } = require('../utils/rateLimiter');
 
 const router = express.Router();
 
+// Limit every auth request per IP, set RATE_LIMIT_MAX=0 to turn it off
+const authLimiter = createRateLimiter({
+  prefix: 'auth',
+  windowMs: Number(process.env.RATE_LIMIT_WINDOW) || 15 * 60 * 1000,
+  max: process.env.RATE_LIMIT_MAX !== undefined ? Number(process.env.RATE_LIMIT_MAX) : 100
+});
+
+router.use(authLimiter);
+
 router.post(
   '/register',
   [
@@ -27,6 +51,86 @@ router.post(
   loginUser
 );
 
+router.post(
+  '/refresh',
+  [
+    check('refreshToken', 'Refresh token is required').not().isEmpty()
+  ],
+  validateRequest,
+  refreshAccessToken
+);
+
+router.post('/logout', protect, logoutUser);
+router.post('/logout-all', protect, logoutAllSessions);
+
+router.post(
+  '/forgot-password',
+  [
+    check('email', 'Please include a valid email').isEmail()
+  ],
+  validateRequest,
+  forgotPassword
+);
+
+router.post(
+  '/reset-password',
+  [
+    check('token', 'Reset token is required').not().isEmpty(),
+    check('password', 'Please enter a password with 6 or more characters').isLength({ min: 6 })
+  ],
+  validateRequest,
+  resetPassword
+);
+
+router.post(
+  '/verify-email',
+  [
+    check('token', 'Verification token is required').not().isEmpty()
+  ],
+  validateRequest,
+  verifyEmail
+);
+
+router.post('/resend-verification', protect, resendVerificationEmail);
+
 router.get('/profile', protect, getUserProfile);
 
+router.put(
+  '/profile',
+  [
+    protect,
+    [
+      check('name', 'Name cannot be empty').optional().trim().not().isEmpty(),
+      check('email', 'Please include a valid email').optional().isEmail()
+    ],
+    validateRequest
+  ],
+  updateUserProfile
+);
+
+router.put(
+  '/password',
+  [
+    protect,
+    [
+      check('currentPassword', 'Current password is required').not().isEmpty(),
+      check('newPassword', 'Please enter a password with 6 or more characters').isLength({ min: 6 })
+    ],
+    validateRequest
+  ],
+  changePassword
+);
+
+router.delete(
+  '/account',
+  [
+    protect,
+    [
+      check('password', 'Password is required to delete your account').not().isEmpty()
+    ],
+    validateRequest
+  ],
+  deleteAccount
+);
+
 module.exports = router;
\ No newline at end of file
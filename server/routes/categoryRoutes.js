@@ -0,0 +1,50 @@
+const express = require('express');
+const { check } = require('express-validator');
+const { validateRequest } = require('../middleware/validateRequest');
+const {
+  getCategories,
+  getCategoryById,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} = require('../controllers/categoryController');
+const { protect, admin } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Public routes
+router.get('/', getCategories);
+router.get('/:id', getCategoryById);
+
+// Protected admin routes
+router.post(
+  '/',
+  [
+    protect,
+    admin,
+    [
+      check('name', 'Name is required').trim().not().isEmpty(),
+      check('description', 'Description must be text').optional().isString()
+    ],
+    validateRequest
+  ],
+  createCategory
+);
+
+router.put(
+  '/:id',
+  [
+    protect,
+    admin,
+    [
+      check('name', 'Name cannot be empty').optional().trim().not().isEmpty(),
+      check('description', 'Description must be text').optional().isString()
+    ],
+    validateRequest
+  ],
+  updateCategory
+);
+
+router.delete('/:id', [protect, admin], deleteCategory);
+
+module.exports = router;
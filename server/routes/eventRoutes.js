@@ -1,60 +1,150 @@
 const express = require('express');
-const { check } = require('express-validator');
+const { check, body } = require('express-validator');
 const { validateRequest } = require('../middleware/validateRequest');
 const { 
   getEvents, 
   getEventById, 
+  getManagedEvents,
+  getEventCalendar,
   createEvent, 
   updateEvent, 
   deleteEvent,
+  cancelEvent,
   getEventStats
 } = require('../controllers/eventController');
-const { protect, admin } = require('../middleware/authMiddleware');
+const { checkInAttendee } = require('../controllers/registrationController');
+const { importEvents } = require('../controllers/importController');
+const { uploadImportFile } = require('../middleware/uploadMiddleware');
+const { protect, organizer } = require('../middleware/authMiddleware');
+const { manageEvent } = require('../middleware/eventAccessMiddleware');
+const { FIELD_TYPES } = require('../utils/registrationForms');
+const { REGISTRATION_MODES } = require('../utils/registrationApproval');
 
 const router = express.Router();
 
 // Public routes
 router.get('/', getEvents);
+
+// Events the current organizer can manage
+router.get('/managed', [protect, organizer], getManagedEvents);
+
 router.get('/:id', getEventById);
+router.get('/:id/ics', getEventCalendar);
 
-// Protected admin routes
+// Organizer routes, admins manage every event and organizers only their own
 router.post(
   '/',
   [
     protect,
-    admin,
+    organizer,
     [
       check('title', 'Title is required').not().isEmpty(),
       check('description', 'Description is required').not().isEmpty(),
       check('date', 'Valid date is required').isISO8601().toDate(),
       check('time', 'Time is required').not().isEmpty(),
       check('location', 'Location is required').not().isEmpty(),
-      check('totalSeats', 'Number of available seats is required').isInt({ min: 1 })
+      check('duration', 'Duration must be a positive number of minutes').optional().isInt({ min: 1 }),
+      check('totalSeats', 'Number of available seats is required')
+        .if(body('ticketTypes').not().isArray({ min: 1 }))
+        .isInt({ min: 1 }),
+      check('maxSeatsPerRegistration', 'Seats per registration must be a positive number').optional().isInt({ min: 1 }),
+      check('price', 'Price must be zero or more').optional().isFloat({ min: 0 }),
+      check('ticketTypes', 'Ticket types must be a list').optional().isArray(),
+      check('ticketTypes.*.name', 'Every ticket type needs a name').trim().not().isEmpty(),
+      check('ticketTypes.*.capacity', 'Ticket type capacity must be a positive number').isInt({ min: 1 }),
+      check('ticketTypes.*.price', 'Ticket type price must be zero or more').optional().isFloat({ min: 0 }),
+      check('ticketTypes.*.salesStart', 'Sales start must be a valid date').optional({ checkFalsy: true }).isISO8601(),
+      check('ticketTypes.*.salesEnd', 'Sales end must be a valid date').optional({ checkFalsy: true }).isISO8601(),
+      check('registrationForm', 'Registration form must be a list of questions').optional().isArray(),
+      check('registrationForm.*.label', 'Every question needs a label').trim().not().isEmpty(),
+      check('registrationForm.*.type', `Question type must be one of ${FIELD_TYPES.join(', ')}`).isIn(FIELD_TYPES),
+      check('registrationMode', `Registration mode must be one of ${REGISTRATION_MODES.join(', ')}`).optional().isIn(REGISTRATION_MODES),
+      check('inviteCode', 'Invite code must be 4 to 64 characters').optional({ checkFalsy: true }).trim().isLength({ min: 4, max: 64 }),
+      check('invitedEmails', 'Invited emails must be a list').optional().isArray(),
+      check('invitedEmails.*', 'Invited emails must be valid email addresses').trim().isEmail(),
+      check('holdSeatsForPending', 'holdSeatsForPending must be true or false').optional().isBoolean().toBoolean(),
+      check('categories', 'Categories must be a list of category IDs').optional().isArray(),
+      check('categories.*', 'Invalid category ID').optional().isMongoId(),
+      check('coOrganizers', 'Co-organizers must be a list of user IDs').optional().isArray(),
+      check('coOrganizers.*', 'Invalid user ID').optional().isMongoId()
     ],
     validateRequest
   ],
   createEvent
 );
 
+// Bulk import from a CSV or JSON file, use ?dryRun=true to only validate
+router.post('/import', [protect, organizer, uploadImportFile], importEvents);
+
 router.put(
   '/:id',
   [
     protect,
-    admin,
+    manageEvent(),
     [
       check('title', 'Title is required').not().isEmpty(),
       check('description', 'Description is required').not().isEmpty(),
       check('date', 'Valid date is required').isISO8601().toDate(),
       check('time', 'Time is required').not().isEmpty(),
       check('location', 'Location is required').not().isEmpty(),
-      check('totalSeats', 'Number of available seats is required').isInt({ min: 1 })
+      check('duration', 'Duration must be a positive number of minutes').optional().isInt({ min: 1 }),
+      check('totalSeats', 'Number of available seats is required')
+        .if(body('ticketTypes').not().isArray({ min: 1 }))
+        .isInt({ min: 1 }),
+      check('maxSeatsPerRegistration', 'Seats per registration must be a positive number').optional().isInt({ min: 1 }),
+      check('price', 'Price must be zero or more').optional().isFloat({ min: 0 }),
+      check('ticketTypes', 'Ticket types must be a list').optional().isArray(),
+      check('ticketTypes.*.name', 'Every ticket type needs a name').trim().not().isEmpty(),
+      check('ticketTypes.*.capacity', 'Ticket type capacity must be a positive number').isInt({ min: 1 }),
+      check('ticketTypes.*.price', 'Ticket type price must be zero or more').optional().isFloat({ min: 0 }),
+      check('ticketTypes.*.salesStart', 'Sales start must be a valid date').optional({ checkFalsy: true }).isISO8601(),
+      check('ticketTypes.*.salesEnd', 'Sales end must be a valid date').optional({ checkFalsy: true }).isISO8601(),
+      check('registrationForm', 'Registration form must be a list of questions').optional().isArray(),
+      check('registrationForm.*.label', 'Every question needs a label').trim().not().isEmpty(),
+      check('registrationForm.*.type', `Question type must be one of ${FIELD_TYPES.join(', ')}`).isIn(FIELD_TYPES),
+      check('registrationMode', `Registration mode must be one of ${REGISTRATION_MODES.join(', ')}`).optional().isIn(REGISTRATION_MODES),
+      check('inviteCode', 'Invite code must be 4 to 64 characters').optional({ checkFalsy: true }).trim().isLength({ min: 4, max: 64 }),
+      check('invitedEmails', 'Invited emails must be a list').optional().isArray(),
+      check('invitedEmails.*', 'Invited emails must be valid email addresses').trim().isEmail(),
+      check('holdSeatsForPending', 'holdSeatsForPending must be true or false').optional().isBoolean().toBoolean(),
+      check('categories', 'Categories must be a list of category IDs').optional().isArray(),
+      check('categories.*', 'Invalid category ID').optional().isMongoId(),
+      check('coOrganizers', 'Co-organizers must be a list of user IDs').optional().isArray(),
+      check('coOrganizers.*', 'Invalid user ID').optional().isMongoId()
     ],
     validateRequest
   ],
   updateEvent
 );
 
-router.delete('/:id', [protect, admin], deleteEvent);
-router.get('/:id/stats', [protect, admin], getEventStats);
+router.delete('/:id', [protect, manageEvent()], deleteEvent);
+
+router.post(
+  '/:id/cancel',
+  [
+    protect,
+    manageEvent(),
+    [
+      check('reason', 'A cancellation reason is required').trim().not().isEmpty(),
+      check('archive', 'Archive must be true or false').optional().isBoolean()
+    ],
+    validateRequest
+  ],
+  cancelEvent
+);
+router.get('/:id/stats', [protect, manageEvent()], getEventStats);
+
+router.post(
+  '/:id/check-in',
+  [
+    protect,
+    manageEvent(),
+    [
+      check('code', 'Ticket code is required').trim().not().isEmpty()
+    ],
+    validateRequest
+  ],
+  checkInAttendee
+);
 
 module.exports = router;
\ No newline at end of file
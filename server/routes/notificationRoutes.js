@@ -0,0 +1,20 @@
+const express = require('express');
+const {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification,
+  deleteAllNotifications
+} = require('../controllers/notificationController');
+const { protect } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// All notification routes belong to the logged in user
+router.get('/', protect, getNotifications);
+router.put('/read-all', protect, markAllNotificationsRead);
+router.put('/:id/read', protect, markNotificationRead);
+router.delete('/', protect, deleteAllNotifications);
+router.delete('/:id', protect, deleteNotification);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const { handlePaymentWebhook } = require('../controllers/paymentController');
+
+const router = express.Router();
+
+// Webhooks are verified against the exact bytes sent, so keep the body raw
+router.post('/webhook', express.raw({ type: 'application/json' }), handlePaymentWebhook);
+
+module.exports = router;
@@ -1,4 +1,6 @@
 const express = require('express');
+const { check } = require('express-validator');
+const { validateRequest } = require('../middleware/validateRequest');
 const { 
   registerForEvent, 
   getUserRegistrations, 
@@ -6,21 +8,96 @@ const {
   cancelRegistration,
   checkRegistrationStatus,
   getRegistrationStats,
-  updateRegistrationStatus // Add this new controller function
+  updateRegistrationStatus, // Add this new controller function
+  reviewRegistrations,
+  refundRegistration,
+  getWaitlistStatus,
+  leaveWaitlist,
+  getRegistrationTicket,
+  exportEventRegistrations,
+  exportAllRegistrations,
+  getCalendarSubscription,
+  resetCalendarSubscription,
+  getCalendarFeed
 } = require('../controllers/registrationController');
-const { protect, admin } = require('../middleware/authMiddleware');
+const { importEventAttendees } = require('../controllers/importController');
+const { protect, admin, requireVerifiedEmail } = require('../middleware/authMiddleware');
+const { manageEvent, manageRegistrationEvent } = require('../middleware/eventAccessMiddleware');
+const { uploadImportFile } = require('../middleware/uploadMiddleware');
 
 const router = express.Router();
 
+// Seats booked by one registration, their ticket type, the guests coming along
+// the answers to the event's registration form and an invite code for invite only events
+const bookingChecks = [
+  check('seats', 'Seats must be a positive number').optional().isInt({ min: 1 }),
+  check('guests', 'Guests must be a list').optional().isArray(),
+  check('guests.*.name', 'Every guest needs a name').trim().not().isEmpty(),
+  check('guests.*.email', 'Guest email must be valid').optional({ checkFalsy: true }).isEmail(),
+  check('ticketType', 'Invalid ticket type ID').optional().isMongoId(),
+  check('answers', 'Answers must be an object keyed by question ID').optional().isObject(),
+  check('inviteCode', 'Invite code must be text').optional().isString().trim()
+];
+
+// Calendar subscription feed, authenticated by the token in the URL
+router.get('/calendar/:token.ics', getCalendarFeed);
+
 // User registration routes
-router.post('/:eventId', protect, registerForEvent);
+router.post('/:eventId', [protect, requireVerifiedEmail, bookingChecks, validateRequest], registerForEvent);
 router.get('/mine', protect, getUserRegistrations);
-router.put('/:id/cancel', protect, cancelRegistration);
+router.put(
+  '/:id/cancel',
+  [
+    protect,
+    [
+      check('seats', 'Seats must be a positive number').optional().isInt({ min: 1 }),
+      check('guestIds', 'Guest IDs must be a list').optional().isArray(),
+      check('guestIds.*', 'Invalid guest ID').isMongoId()
+    ],
+    validateRequest
+  ],
+  cancelRegistration
+);
+router.get('/:id/ticket', protect, getRegistrationTicket);
 router.get('/check/:eventId', protect, checkRegistrationStatus);
+router.get('/waitlist/:eventId', protect, getWaitlistStatus);
+router.delete('/waitlist/:eventId', protect, leaveWaitlist);
+router.get('/calendar', protect, getCalendarSubscription);
+router.post('/calendar/reset', protect, resetCalendarSubscription);
+
+// Organizer routes, limited to events the user manages
+router.get('/event/:eventId', [protect, manageEvent('eventId')], getEventRegistrations);
+router.get('/event/:eventId/export', [protect, manageEvent('eventId')], exportEventRegistrations);
+router.post('/event/:eventId/import', [protect, manageEvent('eventId'), uploadImportFile], importEventAttendees);
+router.put('/:id/status', [protect, manageRegistrationEvent()], updateRegistrationStatus); // Add this new route
+router.put(
+  '/event/:eventId/review',
+  [
+    protect,
+    manageEvent('eventId'),
+    [
+      check('registrationIds', 'Registration IDs must be a list of 1 to 500 IDs').isArray({ min: 1, max: 500 }),
+      check('registrationIds.*', 'Invalid registration ID').isMongoId(),
+      check('decision', 'Decision must be approve or reject').isIn(['approve', 'reject']),
+      check('reason', 'Reason must be text').optional().isString().trim()
+    ],
+    validateRequest
+  ],
+  reviewRegistrations
+);
 
 // Admin routes
-router.get('/event/:eventId', [protect, admin], getEventRegistrations);
+router.get('/export', [protect, admin], exportAllRegistrations);
 router.get('/stats', [protect, admin], getRegistrationStats);
-router.put('/:id/status', [protect, admin], updateRegistrationStatus); // Add this new route
+router.post(
+  '/:id/refund',
+  [
+    protect,
+    admin,
+    [check('reason', 'Reason must be text').optional().isString().trim()],
+    validateRequest
+  ],
+  refundRegistration
+);
 
 module.exports = router;
\ No newline at end of file
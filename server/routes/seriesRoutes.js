@@ -0,0 +1,106 @@
+const express = require('express');
+const { check } = require('express-validator');
+const { validateRequest } = require('../middleware/validateRequest');
+const {
+  createSeries,
+  getSeriesById,
+  updateSeries,
+  cancelSeries,
+  registerForSeries
+} = require('../controllers/seriesController');
+const { protect, organizer, requireVerifiedEmail } = require('../middleware/authMiddleware');
+const { manageSeries } = require('../middleware/eventAccessMiddleware');
+
+const router = express.Router();
+
+// Seats booked on each occurrence, the guests coming along, the ticket type,
+// form answers and invite code, each of which occurrences[eventId] can override
+const bookingChecks = [
+  check('seats', 'Seats must be a positive number').optional().isInt({ min: 1 }),
+  check('guests', 'Guests must be a list').optional().isArray(),
+  check('guests.*.name', 'Every guest needs a name').trim().not().isEmpty(),
+  check('guests.*.email', 'Guest email must be valid').optional({ checkFalsy: true }).isEmail(),
+  check('ticketType', 'Invalid ticket type ID').optional().isMongoId(),
+  check('answers', 'Answers must be an object keyed by question ID').optional().isObject(),
+  check('inviteCode', 'Invite code must be text').optional().isString().trim(),
+  check('occurrences', 'Occurrences must be an object keyed by event ID').optional().isObject(),
+  check('occurrences.*.ticketType', 'Invalid ticket type ID').optional().isMongoId(),
+  check('occurrences.*.answers', 'Answers must be an object keyed by question ID').optional().isObject(),
+  check('occurrences.*.inviteCode', 'Invite code must be text').optional().isString().trim()
+];
+
+// Public routes
+router.get('/:id', getSeriesById);
+
+// Register for every upcoming date at once
+router.post(
+  '/:id/register',
+  [
+    protect,
+    requireVerifiedEmail,
+    bookingChecks,
+    validateRequest
+  ],
+  registerForSeries
+);
+
+// Organizer routes
+router.post(
+  '/',
+  [
+    protect,
+    organizer,
+    [
+      check('title', 'Title is required').not().isEmpty(),
+      check('description', 'Description is required').not().isEmpty(),
+      check('startDate', 'Valid start date is required').isISO8601(),
+      check('time', 'Time is required').not().isEmpty(),
+      check('location', 'Location is required').not().isEmpty(),
+      check('duration', 'Duration must be a positive number of minutes').optional().isInt({ min: 1 }),
+      check('totalSeats', 'Number of available seats is required').isInt({ min: 1 }),
+      check('maxSeatsPerRegistration', 'Seats per registration must be a positive number').optional().isInt({ min: 1 }),
+      check('recurrence', 'Recurrence must be an object').optional().isObject(),
+      check('rrule', 'RRULE must be text').optional().isString(),
+      check('categories', 'Categories must be a list of category IDs').optional().isArray(),
+      check('categories.*', 'Invalid category ID').optional().isMongoId(),
+      check('coOrganizers', 'Co-organizers must be a list of user IDs').optional().isArray(),
+      check('coOrganizers.*', 'Invalid user ID').optional().isMongoId()
+    ],
+    validateRequest
+  ],
+  createSeries
+);
+
+router.put(
+  '/:id',
+  [
+    protect,
+    manageSeries(),
+    [
+      check('title', 'Title cannot be empty').optional().not().isEmpty(),
+      check('duration', 'Duration must be a positive number of minutes').optional().isInt({ min: 1 }),
+      check('totalSeats', 'Total seats must be a positive number').optional().isInt({ min: 1 }),
+      check('maxSeatsPerRegistration', 'Seats per registration must be a positive number').optional().isInt({ min: 1 }),
+      check('categories', 'Categories must be a list of category IDs').optional().isArray(),
+      check('categories.*', 'Invalid category ID').optional().isMongoId(),
+      check('from', 'from must be an occurrence ID').optional().isMongoId()
+    ],
+    validateRequest
+  ],
+  updateSeries
+);
+
+router.post(
+  '/:id/cancel',
+  [
+    protect,
+    manageSeries(),
+    [
+      check('reason', 'A cancellation reason is required').trim().not().isEmpty()
+    ],
+    validateRequest
+  ],
+  cancelSeries
+);
+
+module.exports = router;
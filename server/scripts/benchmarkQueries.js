@@ -0,0 +1,165 @@
+// Compare the number of database queries and time taken by the event listing
+// and admin dashboard before and after moving to seat counters and aggregation.
+//
+// Usage: MONGO_URI=mongodb://localhost:27017 node scripts/benchmarkQueries.js
+// Options: BENCHMARK_EVENTS (default 500), BENCHMARK_REGISTRATIONS (per event, default 20)
+//
+// Data is written to a separate eventx_benchmark database that is dropped afterwards.
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const Event = require('../models/eventModel');
+const Registration = require('../models/registrationModel');
+const { getEvents } = require('../controllers/eventController');
+const { getAdminDashboard } = require('../controllers/adminDashboardController');
+
+const EVENT_COUNT = Number(process.env.BENCHMARK_EVENTS) || 500;
+const REGISTRATIONS_PER_EVENT = Number(process.env.BENCHMARK_REGISTRATIONS) || 20;
+const PAGE_SIZE = 50;
+
+let queryCount = 0;
+
+// Count every query Mongoose sends
+mongoose.set('debug', () => {
+  queryCount += 1;
+});
+
+// Run a function and report how many queries it made and how long it took
+const measure = async (label, fn) => {
+  queryCount = 0;
+  const started = process.hrtime.bigint();
+  await fn();
+  const elapsedMs = Number(process.hrtime.bigint() - started) / 1e6;
+
+  return { label, queries: queryCount, ms: Math.round(elapsedMs) };
+};
+
+// Minimal response object for calling controllers directly
+const createResponse = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+// Call a controller and fail loudly if it did not succeed
+const callController = async (controller, req) => {
+  const res = createResponse();
+  await controller(req, res);
+
+  if (res.statusCode >= 400) {
+    throw new Error(`${controller.name} failed: ${JSON.stringify(res.body)}`);
+  }
+
+  return res.body;
+};
+
+const seed = async () => {
+  const organizer = new mongoose.Types.ObjectId();
+  const start = Date.now() + 24 * 60 * 60 * 1000;
+
+  const events = Array.from({ length: EVENT_COUNT }, (_, index) => ({
+    title: `Benchmark event ${index}`,
+    description: 'Seeded by scripts/benchmarkQueries.js',
+    date: new Date(start + index * 60 * 60 * 1000),
+    time: '18:00',
+    location: 'Benchmark hall',
+    totalSeats: REGISTRATIONS_PER_EVENT * 2,
+    registeredUsers: REGISTRATIONS_PER_EVENT,
+    createdBy: organizer
+  }));
+
+  const inserted = await Event.insertMany(events);
+
+  const users = Array.from({ length: REGISTRATIONS_PER_EVENT }, () => new mongoose.Types.ObjectId());
+
+  for (const event of inserted) {
+    await Registration.insertMany(users.map(user => ({
+      user,
+      event: event._id,
+      status: 'confirmed'
+    })));
+  }
+};
+
+// The listing as it used to work: one count query per event on the page
+const legacyEventListing = async () => {
+  const events = await Event.find({ isArchived: { $ne: true } })
+    .populate('createdBy', 'name')
+    .populate('categories', 'name')
+    .sort({ date: 1 })
+    .limit(PAGE_SIZE);
+
+  await Event.countDocuments({ isArchived: { $ne: true } });
+
+  return Promise.all(events.map(async (event) => {
+    const confirmed = await Registration.countDocuments({ event: event._id, status: 'confirmed' });
+    return { ...event.toObject(), availableSeats: event.totalSeats - confirmed };
+  }));
+};
+
+// The dashboard occupancy as it used to work: every event loaded and counted one by one
+const legacyOccupancy = async () => {
+  const events = await Event.find();
+  const rates = [];
+
+  for (const event of events) {
+    const count = await Registration.countDocuments({ event: event._id, status: 'confirmed' });
+    rates.push({ eventId: event._id, occupancyRate: (count / event.totalSeats) * 100 });
+  }
+
+  return rates.sort((a, b) => b.occupancyRate - a.occupancyRate).slice(0, 5);
+};
+
+const run = async () => {
+  if (!process.env.MONGO_URI) {
+    throw new Error('Set MONGO_URI to a MongoDB server to run the benchmark');
+  }
+
+  await mongoose.connect(process.env.MONGO_URI, { dbName: 'eventx_benchmark' });
+  await mongoose.connection.dropDatabase();
+  await Promise.all([Event.init(), Registration.init()]);
+
+  console.log(`Seeding ${EVENT_COUNT} events with ${REGISTRATIONS_PER_EVENT} registrations each...`);
+  await seed();
+
+  const results = [];
+
+  results.push(await measure('Event listing, before (count per event)', legacyEventListing));
+  results.push(await measure('Event listing, after (seat counter)', () =>
+    callController(getEvents, { query: { limit: String(PAGE_SIZE) } })));
+
+  // Follow one cursor to show the next page costs the same without a count
+  const firstPage = await callController(getEvents, { query: { limit: String(PAGE_SIZE) } });
+  results.push(await measure('Event listing, after (next page by cursor)', () =>
+    callController(getEvents, {
+      query: { limit: String(PAGE_SIZE), cursor: firstPage.data.pagination.nextCursor }
+    })));
+
+  results.push(await measure('Dashboard occupancy, before (count per event)', legacyOccupancy));
+  results.push(await measure('Admin dashboard, after (aggregation)', () =>
+    callController(getAdminDashboard, { query: {} })));
+
+  console.table(results);
+};
+
+run()
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    if (mongoose.connection.readyState === 1) {
+      await mongoose.connection.dropDatabase();
+      await mongoose.disconnect();
+    }
+  });
@@ -0,0 +1,47 @@
+// Report the outcome of a mock payment to the local webhook, as the provider would.
+//
+// Usage: node scripts/mockPayment.js <paymentId> [succeeded|failed]
+// Options: API_URL (default http://localhost:<PORT or 4000>)
+//
+// The payment ID is the last part of the checkout URL returned on registration.
+
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { signWebhookPayload } = require('../utils/paymentProvider');
+
+const [paymentId, outcome = 'succeeded'] = process.argv.slice(2);
+const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 4000}`;
+
+const run = async () => {
+  if (!paymentId || !['succeeded', 'failed'].includes(outcome)) {
+    throw new Error('Usage: node scripts/mockPayment.js <paymentId> [succeeded|failed]');
+  }
+
+  const payload = JSON.stringify({
+    type: `payment.${outcome}`,
+    paymentId,
+    reason: outcome === 'failed' ? 'Card declined (mock)' : undefined
+  });
+
+  const response = await fetch(`${apiUrl}/api/payments/webhook`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Payment-Signature': signWebhookPayload(payload)
+    },
+    body: payload
+  });
+
+  console.log(response.status, await response.text());
+
+  if (!response.ok) {
+    process.exitCode = 1;
+  }
+};
+
+run().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
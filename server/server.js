@@ -3,6 +3,7 @@ const cors = require('cors');
 const dotenv = require('dotenv');
 const connectDB = require('./config/db');
 const { errorHandler } = require('./middleware/errorMiddleware');
+const { createScheduler } = require('./utils/scheduler');
 
 // Load env vars
 dotenv.config();
@@ -14,14 +15,22 @@ const app = express();
 
 // Middleware
 app.use(cors());
+
+// Payment webhooks need the raw body for signature checks, so they go before the JSON parser
+app.use('/api/payments', require('./routes/paymentRoutes'));
+
 app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
 
 // Routes
 app.use('/api/auth', require('./routes/authRoutes'));
 app.use('/api/events', require('./routes/eventRoutes'));
+app.use('/api/series', require('./routes/seriesRoutes'));
+app.use('/api/categories', require('./routes/categoryRoutes'));
 app.use('/api/registrations', require('./routes/registrationRoutes'));
 app.use('/api/dashboard', require('./routes/dashboardRoutes'));
+app.use('/api/notifications', require('./routes/notificationRoutes'));
+app.use('/api/admin', require('./routes/adminRoutes'));
 
 // Basic route
 app.get('/', (req, res) => {
@@ -35,4 +44,9 @@ app.use(errorHandler);
 const PORT = process.env.PORT || 4000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+
+  // Start background jobs for event status changes and reminders
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    createScheduler().start();
+  }
 });
\ No newline at end of file
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const Event = require('../models/eventModel');
+const Registration = require('../models/registrationModel');
+const { deleteUserAccount } = require('../utils/accountDeletion');
+const { setProvider } = require('../utils/paymentProvider');
+const db = require('./helpers/db');
+const { DAY, createEvent } = require('./helpers/fixtures');
+
+const guests = [{ name: 'Guest One', email: 'guest@example.com' }];
+const answers = [{ field: new mongoose.Types.ObjectId(), label: 'Diet', value: 'Vegan' }];
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+describe('deleteUserAccount', () => {
+  it('cancels upcoming registrations, frees their seats and drops guest data', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const event = await createEvent({ totalSeats: 5, registeredUsers: 2, maxSeatsPerRegistration: 2 });
+    const registration = await Registration.create({ user: userId, event: event._id, status: 'confirmed', seats: 2, guests, answers });
+
+    const result = await deleteUserAccount(userId);
+    const after = await Registration.findById(registration._id).lean();
+
+    expect(result).toEqual({ cancelled: 1, anonymized: 0, refunded: 0, failedRefunds: 0 });
+    expect(after.status).toBe('cancelled');
+    expect(after.isAnonymized).toBe(true);
+    expect(after.guests).toBeUndefined();
+    expect(after.answers).toBeUndefined();
+    expect((await Event.findById(event._id)).registeredUsers).toBe(0);
+  });
+
+  it('only anonymizes past and already cancelled registrations', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const past = await createEvent({ registeredUsers: 1 });
+    await Event.collection.updateOne({ _id: past._id }, { $set: { date: new Date(Date.now() - DAY) } });
+    const upcoming = await createEvent();
+
+    const attended = await Registration.create({ user: userId, event: past._id, status: 'confirmed', guests, answers });
+    await Registration.create({ user: userId, event: upcoming._id, status: 'cancelled' });
+
+    const result = await deleteUserAccount(userId);
+    const after = await Registration.findById(attended._id).lean();
+
+    expect(result).toEqual({ cancelled: 0, anonymized: 2, refunded: 0, failedRefunds: 0 });
+    expect(after.status).toBe('confirmed');
+    expect(after.isAnonymized).toBe(true);
+    expect(after.guests).toBeUndefined();
+    expect(after.answers).toBeUndefined();
+    expect((await Event.findById(past._id)).registeredUsers).toBe(1);
+  });
+
+  it('refunds the payment of a cancelled paid registration', async () => {
+    const refunds = [];
+    setProvider({
+      name: 'stub',
+      refundPayment: async ({ paymentId }) => {
+        refunds.push(paymentId);
+        return { refundId: `refund_${paymentId}` };
+      }
+    });
+
+    try {
+      const userId = new mongoose.Types.ObjectId();
+      const event = await createEvent({ price: 20, registeredUsers: 1 });
+      const registration = await Registration.create({
+        user: userId,
+        event: event._id,
+        status: 'confirmed',
+        payment: { provider: 'stub', paymentId: 'pay_1', amount: 20, currency: 'usd', status: 'paid', paidAt: new Date() }
+      });
+
+      const result = await deleteUserAccount(userId);
+      const after = await Registration.findById(registration._id);
+
+      expect(result).toEqual({ cancelled: 1, anonymized: 0, refunded: 1, failedRefunds: 0 });
+      expect(refunds).toEqual(['pay_1']);
+      expect(after.status).toBe('cancelled');
+      expect(after.payment.status).toBe('refunded');
+      expect((await Event.findById(event._id)).registeredUsers).toBe(0);
+    } finally {
+      setProvider(null);
+    }
+  });
+});
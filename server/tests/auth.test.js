@@ -0,0 +1,91 @@
+const User = require('../models/userModel');
+const { loginUser, resetPassword, logoutUser } = require('../controllers/authController');
+const { issueTokens, findSession, isSessionActive } = require('../utils/tokens');
+const db = require('./helpers/db');
+const { createResponse } = require('./helpers/fixtures');
+
+const PASSWORD = 'correct-horse';
+
+const login = async (email, password) => {
+  const res = createResponse();
+  await loginUser({ body: { email, password }, ip: '127.0.0.1', get: () => 'jest' }, res);
+  return res;
+};
+
+const createLockedUser = () => User.create({
+  name: 'Locked User',
+  email: 'locked@example.com',
+  password: PASSWORD,
+  lockUntil: Date.now() + 15 * 60 * 1000
+});
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+describe('login lockout', () => {
+  it('answers a locked account exactly like an unknown email', async () => {
+    await createLockedUser();
+
+    const locked = await login('locked@example.com', 'wrong-password');
+    const lockedRightPassword = await login('locked@example.com', PASSWORD);
+    const unknown = await login('nobody@example.com', 'wrong-password');
+
+    expect(locked.statusCode).toBe(401);
+    expect(lockedRightPassword.statusCode).toBe(401);
+    expect(locked.body).toEqual(unknown.body);
+    expect(lockedRightPassword.body).toEqual(unknown.body);
+  });
+
+  it('locks the account after too many failed logins', async () => {
+    await User.create({ name: 'User', email: 'user@example.com', password: PASSWORD });
+
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      await login('user@example.com', 'wrong-password');
+    }
+
+    const user = await User.findOne({ email: 'user@example.com' });
+    expect(user.isLocked()).toBe(true);
+  });
+
+  it('unlocks the account when the password is reset', async () => {
+    const user = await createLockedUser();
+    await User.updateOne({ _id: user._id }, { $set: { failedLoginAttempts: 3 } });
+
+    const token = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    const res = createResponse();
+    await resetPassword({ body: { token, password: 'new-password' } }, res);
+    const after = await User.findById(user._id);
+
+    expect(res.statusCode).toBe(200);
+    expect(after.isLocked()).toBe(false);
+    expect(after.failedLoginAttempts).toBe(0);
+    expect(after.lockUntil).toBeUndefined();
+  });
+});
+
+describe('logout', () => {
+  const secret = process.env.JWT_SECRET;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = secret || 'test-jwt-secret';
+  });
+
+  afterAll(() => {
+    process.env.JWT_SECRET = secret;
+  });
+
+  it('revokes the session of a request sent without a body', async () => {
+    const user = await User.create({ name: 'User', email: 'user@example.com', password: PASSWORD });
+    const { refreshToken } = await issueTokens(user);
+    const { family } = await findSession(refreshToken);
+
+    const res = createResponse();
+    await logoutUser({ user, sessionId: family }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(await isSessionActive(family)).toBe(false);
+  });
+});
@@ -0,0 +1,216 @@
+const mongoose = require('mongoose');
+const Event = require('../models/eventModel');
+const Registration = require('../models/registrationModel');
+const { updateEvent, deleteEvent, cancelEvent, getEventStats } = require('../controllers/eventController');
+const { cancelEventCascade } = require('../utils/eventCancellation');
+const { bookRegistration } = require('../utils/registrationBooking');
+const { setProvider } = require('../utils/paymentProvider');
+const db = require('./helpers/db');
+const { buildUser, createEvent, createResponse } = require('./helpers/fixtures');
+
+const organizer = buildUser({ role: 'organizer' });
+
+const update = async (event, body) => {
+  const res = createResponse();
+  await updateEvent({ params: { id: event._id.toString() }, body, user: organizer }, res);
+  return res;
+};
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+describe('cancelling through updateEvent', () => {
+  it('leaves the event and its registrations alone when another change is invalid', async () => {
+    const event = await createEvent({ createdBy: organizer._id, registeredUsers: 1 });
+    await Registration.create({ user: new mongoose.Types.ObjectId(), event: event._id, status: 'confirmed' });
+
+    const res = await update(event, { status: 'cancelled', categories: [new mongoose.Types.ObjectId().toString()] });
+    const after = await Event.findById(event._id);
+
+    expect(res.statusCode).toBe(400);
+    expect(after.status).not.toBe('cancelled');
+    expect(after.registeredUsers).toBe(1);
+    expect(await Registration.countDocuments({ event: event._id, status: 'confirmed' })).toBe(1);
+  });
+
+  it('does not run the cascade or resize the event when the schema rejects a field', async () => {
+    const event = await createEvent({ createdBy: organizer._id, totalSeats: 5, registeredUsers: 1 });
+    await Registration.create({ user: new mongoose.Types.ObjectId(), event: event._id, status: 'confirmed' });
+
+    const res = await update(event, { status: 'cancelled', totalSeats: 8, duration: 0, registrationMode: 'secret' });
+    const after = await Event.findById(event._id);
+
+    expect(res.statusCode).toBe(400);
+    expect(after.status).not.toBe('cancelled');
+    expect(after.totalSeats).toBe(5);
+    expect(after.registeredUsers).toBe(1);
+    expect(await Registration.countDocuments({ event: event._id, status: 'confirmed' })).toBe(1);
+  });
+
+  it('cancels the registrations when every change is valid', async () => {
+    const event = await createEvent({ createdBy: organizer._id, registeredUsers: 1 });
+    await Registration.create({ user: new mongoose.Types.ObjectId(), event: event._id, status: 'confirmed' });
+
+    const res = await update(event, { status: 'cancelled', title: 'Called off', cancellationReason: 'Venue closed' });
+    const after = await Event.findById(event._id);
+
+    expect(res.statusCode).toBe(200);
+    expect(after.status).toBe('cancelled');
+    expect(after.title).toBe('Called off');
+    expect(after.registeredUsers).toBe(0);
+    expect(await Registration.countDocuments({ event: event._id, status: 'cancelled' })).toBe(1);
+  });
+
+  it('cancels through POST /api/events/:id/cancel without a body', async () => {
+    const event = await createEvent({ createdBy: organizer._id, registeredUsers: 1 });
+    await Registration.create({ user: new mongoose.Types.ObjectId(), event: event._id, status: 'confirmed' });
+
+    const res = createResponse();
+    await cancelEvent({ params: { id: event._id.toString() }, user: organizer }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect((await Event.findById(event._id)).status).toBe('cancelled');
+    expect(await Registration.countDocuments({ event: event._id, status: 'cancelled' })).toBe(1);
+  });
+
+  it('does not reopen a cancelled event', async () => {
+    const event = await createEvent({ createdBy: organizer._id, status: 'cancelled' });
+
+    const res = await update(event, { status: 'scheduled' });
+    const after = await Event.findById(event._id);
+
+    expect(res.statusCode).toBe(400);
+    expect(after.status).toBe('cancelled');
+  });
+});
+
+describe('cancelEventCascade', () => {
+  it('releases the seats of every ticket type along with the event counter', async () => {
+    const event = await createEvent({
+      totalSeats: 5,
+      registeredUsers: 3,
+      ticketTypes: [
+        { name: 'Standard', capacity: 3, sold: 2 },
+        { name: 'VIP', capacity: 2, sold: 1 }
+      ]
+    });
+
+    const { event: cancelled } = await cancelEventCascade(event._id, { reason: 'Storm' });
+
+    expect(cancelled.status).toBe('cancelled');
+    expect(cancelled.cancellationReason).toBe('Storm');
+    expect(cancelled.registeredUsers).toBe(0);
+    expect(cancelled.ticketTypes.map(ticketType => ticketType.sold)).toEqual([0, 0]);
+    expect(cancelled.ticketTypes.map(ticketType => ticketType.name)).toEqual(['Standard', 'VIP']);
+  });
+
+  it('cancels events saved before ticket types existed', async () => {
+    const event = await createEvent({ registeredUsers: 2 });
+    await Event.collection.updateOne({ _id: event._id }, { $unset: { ticketTypes: 1 } });
+
+    const { event: cancelled } = await cancelEventCascade(event._id);
+
+    expect(cancelled.status).toBe('cancelled');
+    expect(cancelled.registeredUsers).toBe(0);
+  });
+});
+
+describe('refunds when an event is cancelled', () => {
+  const refunds = [];
+
+  const paidRegistration = (event, paymentId) => Registration.create({
+    user: new mongoose.Types.ObjectId(),
+    event: event._id,
+    status: 'confirmed',
+    payment: { provider: 'stub', paymentId, amount: 20, currency: 'usd', status: 'paid', paidAt: new Date() }
+  });
+
+  beforeEach(() => {
+    refunds.length = 0;
+    setProvider({
+      name: 'stub',
+      refundPayment: async ({ paymentId }) => {
+        if (paymentId === 'declined') {
+          throw new Error('Refund declined');
+        }
+        refunds.push(paymentId);
+        return { refundId: `refund_${paymentId}` };
+      }
+    });
+  });
+
+  afterAll(() => setProvider(null));
+
+  it('refunds every paid registration', async () => {
+    const event = await createEvent({ price: 20, registeredUsers: 2 });
+    await paidRegistration(event, 'pay_1');
+    await paidRegistration(event, 'pay_2');
+    await Registration.create({ user: new mongoose.Types.ObjectId(), event: event._id, status: 'waitlisted' });
+
+    const cancellation = await cancelEventCascade(event._id, { reason: 'Venue closed' });
+    const registrations = await Registration.find({ event: event._id, payment: { $exists: true } });
+
+    expect(cancellation.cancelledRegistrations).toBe(3);
+    expect(cancellation.refundedRegistrations).toBe(2);
+    expect(cancellation.failedRefunds).toBe(0);
+    expect(refunds.sort()).toEqual(['pay_1', 'pay_2']);
+    registrations.forEach(registration => {
+      expect(registration.status).toBe('cancelled');
+      expect(registration.payment.status).toBe('refunded');
+    });
+  });
+
+  it('leaves a refund the provider declines paid, to be retried', async () => {
+    const event = await createEvent({ price: 20, registeredUsers: 1 });
+    const registration = await paidRegistration(event, 'declined');
+
+    const cancellation = await cancelEventCascade(event._id);
+    const after = await Registration.findById(registration._id);
+
+    expect(cancellation.failedRefunds).toBe(1);
+    expect(after.status).toBe('cancelled');
+    expect(after.payment.status).toBe('paid');
+  });
+
+  it('counts a payment whose refund failed in the event revenue', async () => {
+    const event = await createEvent({ price: 20, registeredUsers: 2 });
+    await paidRegistration(event, 'declined');
+    await paidRegistration(event, 'pay_1');
+    await cancelEventCascade(event._id);
+
+    const res = createResponse();
+    await getEventStats({ params: { id: event._id.toString() }, user: organizer }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.revenue).toBe(20);
+  });
+
+  it('keeps an event with an unrefunded payment from being deleted', async () => {
+    const event = await createEvent({ createdBy: organizer._id, price: 20, registeredUsers: 1 });
+    const registration = await paidRegistration(event, 'declined');
+    await cancelEventCascade(event._id);
+
+    const res = createResponse();
+    await deleteEvent({ params: { id: event._id.toString() }, user: organizer }, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(await Event.exists({ _id: event._id })).toBeTruthy();
+    expect(await Registration.findById(registration._id)).not.toBeNull();
+  });
+
+  it('does not let a user re-register over an unrefunded payment', async () => {
+    const event = await createEvent({ registeredUsers: 1 });
+    const registration = await paidRegistration(event, 'pay_1');
+    await Registration.updateOne({ _id: registration._id }, { $set: { status: 'cancelled' } });
+    await Event.updateOne({ _id: event._id }, { $set: { registeredUsers: 0 } });
+
+    const result = await bookRegistration(buildUser({ _id: registration.user }), await Event.findById(event._id));
+    const after = await Registration.findById(registration._id);
+
+    expect(result.statusCode).toBe(400);
+    expect(after.status).toBe('cancelled');
+    expect(after.payment.paymentId).toBe('pay_1');
+    expect(after.payment.status).toBe('paid');
+  });
+});
@@ -0,0 +1,32 @@
+const { buildEventQuery, OFFSET_ONLY_SORTS } = require('../utils/eventQuery');
+const { encodeCursor } = require('../utils/pagination');
+const { getEvents } = require('../controllers/eventController');
+const { createResponse } = require('./helpers/fixtures');
+
+const listEvents = async (query) => {
+  const res = createResponse();
+  await getEvents({ query }, res);
+  return res;
+};
+
+describe('cursor pagination of events', () => {
+  it('is refused for orders that change between requests', async () => {
+    for (const sortKey of OFFSET_ONLY_SORTS) {
+      const query = { sort: sortKey, q: 'concert' };
+      const { sort } = buildEventQuery(query);
+      const cursor = encodeCursor({ registeredUsers: 3, date: new Date(), _id: null }, sort);
+
+      const res = await listEvents({ ...query, cursor });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toMatch(`cursor cannot be used with sort=${sortKey}`);
+    }
+  });
+
+  it('reports the sort it fell back to for an unknown order', () => {
+    const { sortKey, errors } = buildEventQuery({ sort: 'loudest' });
+
+    expect(sortKey).toBe('date');
+    expect(errors).toHaveLength(1);
+  });
+});
@@ -0,0 +1,50 @@
+// In-memory MongoDB for tests, started once per test file
+//
+// Set MONGO_TEST_URI to run against an existing server instead, e.g. a local
+// replica set when the MongoDB binary cannot be downloaded.
+
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+let server = null;
+
+const connect = async () => {
+  let uri = process.env.MONGO_TEST_URI;
+
+  if (!uri) {
+    server = await MongoMemoryServer.create();
+    uri = server.getUri();
+  }
+
+  await mongoose.connect(uri, { dbName: `test-${process.pid}-${Date.now()}` });
+
+  // Build the unique indexes the code relies on before any test writes
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+};
+
+const clear = async () => {
+  if (mongoose.connection.readyState !== 1) {
+    return;
+  }
+
+  await Promise.all(Object.values(mongoose.connection.collections)
+    .map(collection => collection.deleteMany({})));
+};
+
+const disconnect = async () => {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.dropDatabase();
+  }
+  await mongoose.disconnect();
+
+  if (server) {
+    await server.stop();
+    server = null;
+  }
+};
+
+module.exports = {
+  connect,
+  clear,
+  disconnect
+};
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const Event = require('../../models/eventModel');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Plain user object as set on req.user by the auth middleware
+const buildUser = (overrides = {}) => {
+  const _id = new mongoose.Types.ObjectId();
+
+  return {
+    _id,
+    name: `User ${_id}`,
+    email: `user-${_id}@example.com`,
+    role: 'user',
+    isEmailVerified: true,
+    ...overrides
+  };
+};
+
+const createEvent = (overrides = {}) => {
+  return Event.create({
+    title: 'Test event',
+    description: 'An event used by the tests',
+    date: new Date(Date.now() + 7 * DAY),
+    time: '18:00',
+    location: 'Test hall',
+    totalSeats: 5,
+    createdBy: new mongoose.Types.ObjectId(),
+    ...overrides
+  });
+};
+
+// Minimal response object for calling controllers directly
+const createResponse = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+module.exports = {
+  DAY,
+  buildUser,
+  createEvent,
+  createResponse
+};
@@ -0,0 +1,90 @@
+const { signWebhookPayload, verifyWebhookSignature, createMockProvider } = require('../utils/paymentProvider');
+
+const SECRET = 'test-webhook-secret';
+const payload = JSON.stringify({ type: 'payment.succeeded', paymentId: 'mock_123' });
+
+describe('webhook signatures', () => {
+  it('accepts a fresh signature made with the secret', () => {
+    const header = signWebhookPayload(payload, { secret: SECRET });
+
+    expect(verifyWebhookSignature(payload, header, { secret: SECRET })).toBe(true);
+  });
+
+  it('rejects a signature made with another secret', () => {
+    const header = signWebhookPayload(payload, { secret: 'someone-else' });
+
+    expect(verifyWebhookSignature(payload, header, { secret: SECRET })).toBe(false);
+  });
+
+  it('rejects a body that was changed after signing', () => {
+    const header = signWebhookPayload(payload, { secret: SECRET });
+    const tampered = payload.replace('succeeded', 'failed');
+
+    expect(verifyWebhookSignature(tampered, header, { secret: SECRET })).toBe(false);
+  });
+
+  it('rejects a stale timestamp, so a captured request cannot be replayed later', () => {
+    const now = Date.now();
+    const timestamp = Math.floor(now / 1000) - 10 * 60;
+    const header = signWebhookPayload(payload, { secret: SECRET, timestamp });
+
+    expect(verifyWebhookSignature(payload, header, { secret: SECRET, now })).toBe(false);
+  });
+
+  it('rejects a timestamp moved forward without re-signing', () => {
+    const header = signWebhookPayload(payload, { secret: SECRET });
+    const [, signature] = header.split(',');
+    const forged = `t=${Math.floor(Date.now() / 1000) + 60},${signature}`;
+
+    expect(verifyWebhookSignature(payload, forged, { secret: SECRET })).toBe(false);
+  });
+
+  it('rejects missing or malformed headers', () => {
+    expect(verifyWebhookSignature(payload, undefined, { secret: SECRET })).toBe(false);
+    expect(verifyWebhookSignature(payload, 'garbage', { secret: SECRET })).toBe(false);
+    expect(verifyWebhookSignature(payload, 't=abc,v1=def', { secret: SECRET })).toBe(false);
+  });
+});
+
+describe('mock provider webhooks', () => {
+  const originalSecret = process.env.PAYMENT_WEBHOOK_SECRET;
+  const originalJwtSecret = process.env.JWT_SECRET;
+
+  afterEach(() => {
+    process.env.PAYMENT_WEBHOOK_SECRET = originalSecret;
+    process.env.JWT_SECRET = originalJwtSecret;
+
+    if (originalSecret === undefined) {
+      delete process.env.PAYMENT_WEBHOOK_SECRET;
+    }
+    if (originalJwtSecret === undefined) {
+      delete process.env.JWT_SECRET;
+    }
+  });
+
+  it('parses a correctly signed webhook', () => {
+    process.env.PAYMENT_WEBHOOK_SECRET = SECRET;
+    const header = signWebhookPayload(payload);
+
+    expect(createMockProvider().parseWebhook(Buffer.from(payload), { 'payment-signature': header }))
+      .toEqual({ type: 'payment.succeeded', paymentId: 'mock_123', reason: undefined });
+  });
+
+  it('rejects a bad signature', () => {
+    process.env.PAYMENT_WEBHOOK_SECRET = SECRET;
+    const header = signWebhookPayload(payload, { secret: 'someone-else' });
+
+    expect(() => createMockProvider().parseWebhook(Buffer.from(payload), { 'payment-signature': header }))
+      .toThrow('Invalid webhook signature');
+  });
+
+  it('rejects every webhook while no webhook secret is set, even one signed with the JWT secret', () => {
+    delete process.env.PAYMENT_WEBHOOK_SECRET;
+    process.env.JWT_SECRET = 'jwt-secret';
+    const header = signWebhookPayload(payload, { secret: 'jwt-secret' });
+
+    expect(() => createMockProvider().parseWebhook(Buffer.from(payload), { 'payment-signature': header }))
+      .toThrow(expect.objectContaining({ statusCode: 503 }));
+    expect(() => signWebhookPayload(payload)).toThrow('PAYMENT_WEBHOOK_SECRET is not set');
+  });
+});
@@ -0,0 +1,239 @@
+const Event = require('../models/eventModel');
+const Registration = require('../models/registrationModel');
+const { bookRegistration } = require('../utils/registrationBooking');
+const { settlePayment, expirePaymentHolds } = require('../utils/paymentSettlement');
+const { signWebhookPayload, createMockProvider, setProvider } = require('../utils/paymentProvider');
+const { handlePaymentWebhook } = require('../controllers/paymentController');
+const { updateRegistrationStatus, cancelRegistration, refundRegistration } = require('../controllers/registrationController');
+const { deleteEvent } = require('../controllers/eventController');
+const db = require('./helpers/db');
+const { buildUser, createEvent, createResponse } = require('./helpers/fixtures');
+
+const MINUTE = 60 * 1000;
+const SECRET = 'test-webhook-secret';
+
+let payments = 0;
+let refunds = [];
+
+// The mock provider's webhook parsing, with payments and refunds recorded
+const stubProvider = {
+  ...createMockProvider(),
+  createPayment: async () => {
+    payments += 1;
+    return { paymentId: `pay_${payments}`, checkoutUrl: `https://pay.example.com/pay_${payments}` };
+  },
+  refundPayment: async ({ paymentId }) => {
+    refunds.push(paymentId);
+    return { refundId: `refund_${paymentId}` };
+  }
+};
+
+// Send a signed webhook through the controller, as the provider would
+const deliverWebhook = async (body) => {
+  const payload = JSON.stringify(body);
+  const res = createResponse();
+
+  await handlePaymentWebhook({
+    body: Buffer.from(payload),
+    headers: { 'payment-signature': signWebhookPayload(payload) }
+  }, res);
+
+  return res;
+};
+
+const seatsTaken = async (eventId) => (await Event.findById(eventId)).registeredUsers;
+
+beforeAll(async () => {
+  process.env.PAYMENT_WEBHOOK_SECRET = SECRET;
+  setProvider(stubProvider);
+  await db.connect();
+});
+
+beforeEach(() => {
+  payments = 0;
+  refunds = [];
+});
+
+afterEach(db.clear);
+
+afterAll(async () => {
+  setProvider(null);
+  delete process.env.PAYMENT_WEBHOOK_SECRET;
+  await db.disconnect();
+});
+
+describe('payment webhooks', () => {
+  it('confirms a paid booking once, however often the webhook is delivered', async () => {
+    const event = await createEvent({ totalSeats: 2, price: 25 });
+    const { registration } = await bookRegistration(buildUser(), event);
+
+    expect(registration.status).toBe('pending_payment');
+    expect(await seatsTaken(event._id)).toBe(1);
+
+    const body = { type: 'payment.succeeded', paymentId: registration.payment.paymentId };
+    const first = await deliverWebhook(body);
+    const replay = await deliverWebhook(body);
+    const after = await Registration.findById(registration._id);
+
+    expect(first.statusCode).toBe(200);
+    expect(first.body.data.result).toBe('confirmed');
+    expect(replay.statusCode).toBe(200);
+    expect(replay.body.data.result).toBe('ignored');
+    expect(after.status).toBe('confirmed');
+    expect(after.payment.status).toBe('paid');
+    expect(await seatsTaken(event._id)).toBe(1);
+  });
+
+  it('rejects a webhook with a bad signature without touching the registration', async () => {
+    const event = await createEvent({ totalSeats: 2, price: 25 });
+    const { registration } = await bookRegistration(buildUser(), event);
+    const payload = JSON.stringify({ type: 'payment.succeeded', paymentId: registration.payment.paymentId });
+    const res = createResponse();
+
+    await handlePaymentWebhook({
+      body: Buffer.from(payload),
+      headers: { 'payment-signature': signWebhookPayload(payload, { secret: 'forged' }) }
+    }, res);
+
+    expect(res.statusCode).toBe(400);
+    expect((await Registration.findById(registration._id)).status).toBe('pending_payment');
+  });
+
+  it('rejects a replayed request once its signature has gone stale', async () => {
+    const event = await createEvent({ totalSeats: 2, price: 25 });
+    const { registration } = await bookRegistration(buildUser(), event);
+    const payload = JSON.stringify({ type: 'payment.succeeded', paymentId: registration.payment.paymentId });
+    const captured = signWebhookPayload(payload, { timestamp: Math.floor((Date.now() - 10 * MINUTE) / 1000) });
+    const res = createResponse();
+
+    await handlePaymentWebhook({ body: Buffer.from(payload), headers: { 'payment-signature': captured } }, res);
+
+    expect(res.statusCode).toBe(400);
+    expect((await Registration.findById(registration._id)).status).toBe('pending_payment');
+  });
+
+  it('releases the seats of a failed payment once', async () => {
+    const event = await createEvent({ totalSeats: 2, price: 25 });
+    const { registration } = await bookRegistration(buildUser(), event);
+    const body = { type: 'payment.failed', paymentId: registration.payment.paymentId, reason: 'Card declined' };
+
+    expect((await settlePayment(body)).result).toBe('failed');
+    expect((await settlePayment(body)).result).toBe('ignored');
+    expect(await seatsTaken(event._id)).toBe(0);
+  });
+
+  it('refunds a payment that arrives after its seats went to someone else, only once', async () => {
+    const event = await createEvent({ totalSeats: 1, price: 25 });
+    const { registration } = await bookRegistration(buildUser(), event);
+
+    await expirePaymentHolds(new Date(Date.now() + 60 * MINUTE));
+    await bookRegistration(buildUser(), event);
+
+    const body = { type: 'payment.succeeded', paymentId: registration.payment.paymentId };
+
+    expect((await settlePayment(body)).result).toBe('refunded');
+    expect((await settlePayment(body)).result).toBe('ignored');
+    expect(refunds).toEqual([registration.payment.paymentId]);
+    expect((await Registration.findById(registration._id)).payment.status).toBe('refunded');
+    expect(await seatsTaken(event._id)).toBe(1);
+  });
+
+  it('gives a late payment its seats back when they are still free', async () => {
+    const event = await createEvent({ totalSeats: 1, price: 25 });
+    const { registration } = await bookRegistration(buildUser(), event);
+
+    await expirePaymentHolds(new Date(Date.now() + 60 * MINUTE));
+    expect(await seatsTaken(event._id)).toBe(0);
+
+    const result = await settlePayment({ type: 'payment.succeeded', paymentId: registration.payment.paymentId });
+
+    expect(result.result).toBe('confirmed');
+    expect(result.registration.status).toBe('confirmed');
+    expect(refunds).toEqual([]);
+    expect(await seatsTaken(event._id)).toBe(1);
+  });
+
+  it('does not let an organizer confirm a held payment by hand, so the payment still confirms it', async () => {
+    const event = await createEvent({ totalSeats: 2, price: 25 });
+    const { registration } = await bookRegistration(buildUser(), event);
+    const res = createResponse();
+
+    await updateRegistrationStatus({
+      params: { id: registration._id.toString() },
+      body: { status: 'confirmed' },
+      user: buildUser({ role: 'admin' })
+    }, res);
+
+    expect(res.statusCode).toBe(400);
+    expect((await Registration.findById(registration._id)).payment.status).toBe('pending');
+
+    const result = await settlePayment({ type: 'payment.succeeded', paymentId: registration.payment.paymentId });
+    const after = await Registration.findById(registration._id);
+
+    expect(result.result).toBe('confirmed');
+    expect(after.status).toBe('confirmed');
+    expect(after.payment.status).toBe('paid');
+    expect(refunds).toEqual([]);
+    expect(await seatsTaken(event._id)).toBe(1);
+  });
+
+  it('refunds a checkout completed after the user cancelled and booked again', async () => {
+    const event = await createEvent({ totalSeats: 2, price: 25 });
+    const user = buildUser();
+    const { registration: first } = await bookRegistration(user, event);
+
+    await cancelRegistration({ params: { id: first._id.toString() }, user }, createResponse());
+    const { registration: second } = await bookRegistration(user, await Event.findById(event._id));
+
+    expect(second._id).toEqual(first._id);
+    expect(second.payment.paymentId).not.toBe(first.payment.paymentId);
+
+    const body = { type: 'payment.succeeded', paymentId: first.payment.paymentId };
+
+    expect((await settlePayment(body)).result).toBe('refunded');
+    expect((await settlePayment(body)).result).toBe('ignored');
+
+    const after = await Registration.findById(first._id);
+
+    expect(refunds).toEqual([first.payment.paymentId]);
+    expect(after.status).toBe('pending_payment');
+    expect(after.payment.paymentId).toBe(second.payment.paymentId);
+    expect(after.paymentHistory[0].status).toBe('refunded');
+    expect(await seatsTaken(event._id)).toBe(1);
+  });
+
+  it('keeps the payment record of a deleted event so a late checkout is refunded', async () => {
+    const organizer = buildUser({ role: 'organizer' });
+    const event = await createEvent({ createdBy: organizer._id, totalSeats: 2, price: 25 });
+    const { registration } = await bookRegistration(buildUser(), event);
+
+    await expirePaymentHolds(new Date(Date.now() + 60 * MINUTE));
+
+    const res = createResponse();
+    await deleteEvent({ params: { id: event._id.toString() }, user: organizer }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(await Event.exists({ _id: event._id })).toBeNull();
+
+    const result = await settlePayment({ type: 'payment.succeeded', paymentId: registration.payment.paymentId });
+
+    expect(result.result).toBe('refunded');
+    expect(refunds).toEqual([registration.payment.paymentId]);
+  });
+
+  it('refunds a paid registration for an admin request without a body', async () => {
+    const event = await createEvent({ totalSeats: 2, price: 25 });
+    const { registration } = await bookRegistration(buildUser(), event);
+    await settlePayment({ type: 'payment.succeeded', paymentId: registration.payment.paymentId });
+
+    const res = createResponse();
+    await refundRegistration({ params: { id: registration._id.toString() }, user: buildUser({ role: 'admin' }) }, res);
+    const after = await Registration.findById(registration._id);
+
+    expect(res.statusCode).toBe(200);
+    expect(refunds).toEqual([registration.payment.paymentId]);
+    expect(after.status).toBe('cancelled');
+    expect(after.payment.status).toBe('refunded');
+    expect(await seatsTaken(event._id)).toBe(0);
+  });
+});
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const Event = require('../models/eventModel');
+const Registration = require('../models/registrationModel');
+const { bookRegistration } = require('../utils/registrationBooking');
+const { approveRegistration, rejectRegistration, checkRegistrationAccess } = require('../utils/registrationApproval');
+const { updateRegistrationStatus } = require('../controllers/registrationController');
+const db = require('./helpers/db');
+const { buildUser, createEvent, createResponse } = require('./helpers/fixtures');
+
+const reviewerId = new mongoose.Types.ObjectId();
+
+// Confirmed and awaiting-payment seats, which the counter must always match
+const heldSeats = async (eventId, statuses = ['confirmed', 'pending_payment']) => {
+  const registrations = await Registration.find({ event: eventId, status: { $in: statuses } });
+  return registrations.reduce((sum, registration) => sum + (registration.seats || 1), 0);
+};
+
+const seatsTaken = async (eventId) => (await Event.findById(eventId)).registeredUsers;
+
+const requestSeats = async (event, count) => {
+  const registrations = [];
+
+  for (let index = 0; index < count; index += 1) {
+    const { registration } = await bookRegistration(buildUser(), event);
+    registrations.push(registration);
+  }
+
+  return registrations;
+};
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+describe('approval without held seats', () => {
+  it('takes seats only on approval and waitlists approvals beyond capacity', async () => {
+    const event = await createEvent({ totalSeats: 2, registrationMode: 'approval' });
+    const [first, second, third] = await requestSeats(event, 3);
+
+    expect([first, second, third].map(registration => registration.status)).toEqual(['pending', 'pending', 'pending']);
+    expect(await seatsTaken(event._id)).toBe(0);
+
+    expect((await approveRegistration(first, event, { reviewerId })).registration.status).toBe('confirmed');
+    expect((await approveRegistration(second, event, { reviewerId })).registration.status).toBe('confirmed');
+    expect((await approveRegistration(third, event, { reviewerId })).registration.status).toBe('waitlisted');
+
+    expect(await seatsTaken(event._id)).toBe(2);
+    expect(await heldSeats(event._id)).toBe(2);
+  });
+
+  it('does not touch the seats when a request is rejected', async () => {
+    const event = await createEvent({ totalSeats: 2, registrationMode: 'approval' });
+    const [registration] = await requestSeats(event, 1);
+
+    const { registration: rejected } = await rejectRegistration(registration, event, { reviewerId, reason: 'Members only' });
+
+    expect(rejected.status).toBe('rejected');
+    expect(rejected.reviewReason).toBe('Members only');
+    expect(rejected.reviewedBy.toString()).toBe(reviewerId.toString());
+    expect(await seatsTaken(event._id)).toBe(0);
+  });
+
+  it('does not let a plain status change confirm a pending or rejected request', async () => {
+    const event = await createEvent({ totalSeats: 2, registrationMode: 'approval' });
+    const [pending, rejected] = await requestSeats(event, 2);
+    await rejectRegistration(rejected, event, { reviewerId });
+
+    for (const registration of [pending, rejected]) {
+      const res = createResponse();
+      await updateRegistrationStatus({
+        params: { id: registration._id.toString() },
+        body: { status: 'confirmed' },
+        user: buildUser({ role: 'admin' })
+      }, res);
+
+      expect(res.statusCode).toBe(400);
+    }
+
+    expect((await Registration.findById(pending._id)).status).toBe('pending');
+    expect((await Registration.findById(rejected._id)).status).toBe('rejected');
+    expect(await seatsTaken(event._id)).toBe(0);
+  });
+
+  it('hands back the seats of an approval that lost a race', async () => {
+    const event = await createEvent({ totalSeats: 2, registrationMode: 'approval' });
+    const [registration] = await requestSeats(event, 1);
+
+    await approveRegistration(registration, event, { reviewerId });
+    const again = await approveRegistration(registration, event, { reviewerId });
+    const rejectedLate = await rejectRegistration(registration, event, { reviewerId });
+
+    expect(again.statusCode).toBe(409);
+    expect(rejectedLate.statusCode).toBe(409);
+    expect(await seatsTaken(event._id)).toBe(1);
+    expect(await heldSeats(event._id)).toBe(1);
+  });
+
+  it('never confirms more seats than the event has when approving in parallel', async () => {
+    const event = await createEvent({ totalSeats: 3, registrationMode: 'approval' });
+    const registrations = await requestSeats(event, 10);
+
+    await Promise.all(registrations.map(registration => approveRegistration(registration, event, { reviewerId })));
+
+    expect(await seatsTaken(event._id)).toBe(3);
+    expect(await heldSeats(event._id)).toBe(3);
+    expect(await Registration.countDocuments({ event: event._id, status: 'waitlisted' })).toBe(7);
+  });
+});
+
+describe('approval with held seats', () => {
+  it('holds seats from the request and frees them on rejection', async () => {
+    const event = await createEvent({ totalSeats: 2, registrationMode: 'approval', holdSeatsForPending: true });
+    const [first, second] = await requestSeats(event, 2);
+
+    expect(await seatsTaken(event._id)).toBe(2);
+
+    // Requests are refused rather than queued while every seat is held
+    const full = await bookRegistration(buildUser(), event);
+    expect(full.statusCode).toBe(400);
+
+    await approveRegistration(first, event, { reviewerId });
+    expect(await seatsTaken(event._id)).toBe(2);
+
+    await rejectRegistration(second, event, { reviewerId });
+    expect(await seatsTaken(event._id)).toBe(1);
+    expect(await heldSeats(event._id)).toBe(1);
+  });
+});
+
+describe('invite only events', () => {
+  const createInviteEvent = () => createEvent({
+    registrationMode: 'invite',
+    inviteCode: 'secret-code',
+    invitedEmails: ['guest@example.com']
+  });
+
+  it('lets in invited emails only once they are verified', async () => {
+    const event = await createInviteEvent();
+
+    const verified = await checkRegistrationAccess(event, buildUser({ email: 'Guest@example.com', isEmailVerified: true }));
+    const unverified = await checkRegistrationAccess(event, buildUser({ email: 'guest@example.com', isEmailVerified: false }));
+
+    expect(verified).toEqual({});
+    expect(unverified.statusCode).toBe(403);
+  });
+
+  it('lets in anyone with the invite code', async () => {
+    const event = await createInviteEvent();
+    const user = buildUser({ email: 'stranger@example.com', isEmailVerified: false });
+
+    expect(await checkRegistrationAccess(event, user, 'secret-code')).toEqual({});
+    expect((await checkRegistrationAccess(event, user, 'wrong-code')).error).toBe('Invalid invite code');
+  });
+});
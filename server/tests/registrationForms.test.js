@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const { validateRegistrationForm, validateAnswers, formatAnswer } = require('../utils/registrationForms');
+
+const field = (overrides) => ({ _id: new mongoose.Types.ObjectId(), required: false, options: [], ...overrides });
+
+const diet = field({ label: 'Diet', type: 'select', options: ['None', 'Vegetarian', 'Vegan'], required: true });
+const size = field({ label: 'T-shirt size', type: 'text', min: 1, max: 3 });
+const age = field({ label: 'Age', type: 'number', min: 18, max: 120 });
+const terms = field({ label: 'Accept the terms', type: 'checkbox', required: true });
+
+const event = { registrationForm: [diet, size, age, terms] };
+
+const answer = (values) => Object.fromEntries(values.map(([item, value]) => [item._id.toString(), value]));
+
+describe('validateRegistrationForm', () => {
+  it('normalizes valid questions', () => {
+    const { isValid, fields } = validateRegistrationForm([
+      { label: ' Diet ', type: 'select', options: ['Vegan', ' None '], required: 'true' },
+      { label: 'Age', type: 'number', min: '18' }
+    ]);
+
+    expect(isValid).toBe(true);
+    expect(fields[0]).toMatchObject({ label: 'Diet', options: ['Vegan', 'None'], required: true });
+    expect(fields[1]).toMatchObject({ label: 'Age', min: 18, max: undefined, required: false });
+  });
+
+  it('reports every problem with a question', () => {
+    const { isValid, errors } = validateRegistrationForm([
+      { label: '', type: 'color' },
+      { label: 'Diet', type: 'select', options: [] },
+      { label: 'diet', type: 'select', options: ['A', 'a'] },
+      { label: 'Age', type: 'number', min: 10, max: 5 },
+      { label: 'Bio', type: 'text', min: 1.5 }
+    ]);
+
+    expect(isValid).toBe(false);
+    expect(errors).toEqual([
+      'Question 1: label is required',
+      'Question 1: type must be one of text, select, checkbox, number',
+      'Question 2: select questions need at least one option',
+      'Question 3: options must be unique',
+      'Question 3: duplicate label "diet"',
+      'Question 4: min cannot be more than max',
+      'Question 5: length limits must be whole numbers of zero or more'
+    ]);
+  });
+
+  it('keeps the IDs of existing questions and rejects unknown ones', () => {
+    const current = { registrationForm: [diet] };
+    const kept = validateRegistrationForm([{ _id: diet._id.toString(), label: 'Diet', type: 'select', options: ['None'] }], current);
+    const unknown = validateRegistrationForm([{ _id: new mongoose.Types.ObjectId().toString(), label: 'Diet', type: 'text' }], current);
+
+    expect(kept.fields[0]._id).toBe(diet._id);
+    expect(unknown.errors).toEqual(['Question 1: question not found']);
+  });
+
+  it('rejects anything but a list', () => {
+    expect(validateRegistrationForm({ label: 'Diet' }).errors).toEqual(['Registration form must be a list of questions']);
+  });
+});
+
+describe('validateAnswers', () => {
+  it('accepts valid answers and copies the question labels', () => {
+    const { isValid, answers } = validateAnswers(event, answer([[diet, 'Vegan'], [size, ' M '], [age, '30'], [terms, true]]));
+
+    expect(isValid).toBe(true);
+    expect(answers).toEqual([
+      { field: diet._id, label: 'Diet', value: 'Vegan' },
+      { field: size._id, label: 'T-shirt size', value: 'M' },
+      { field: age._id, label: 'Age', value: 30 },
+      { field: terms._id, label: 'Accept the terms', value: true }
+    ]);
+  });
+
+  it('leaves out blank optional answers but requires the required ones', () => {
+    const { isValid, errors } = validateAnswers(event, answer([[size, '  '], [age, null]]));
+
+    expect(isValid).toBe(false);
+    expect(errors).toEqual(['"Diet" is required', '"Accept the terms" is required']);
+  });
+
+  it('checks each answer against its question', () => {
+    const { isValid, answers, errors } = validateAnswers(event, answer([
+      [diet, 'Pescatarian'],
+      [size, 'XXXL'],
+      [age, 12],
+      [terms, false]
+    ]));
+
+    expect(isValid).toBe(false);
+    expect(answers).toEqual([]);
+    expect(errors).toEqual([
+      '"Diet" must be one of None, Vegetarian, Vegan',
+      '"T-shirt size" must be at most 3 characters',
+      '"Age" must be at least 18',
+      '"Accept the terms" must be checked'
+    ]);
+  });
+
+  it('rejects values of the wrong type', () => {
+    const { errors } = validateAnswers(event, answer([
+      [diet, 'None'],
+      [size, { text: 'M' }],
+      [age, 'thirty'],
+      [terms, 'yes']
+    ]));
+
+    expect(errors).toEqual([
+      '"T-shirt size" must be text',
+      '"Age" must be a number',
+      '"Accept the terms" must be true or false'
+    ]);
+  });
+
+  it('rejects answers to questions the form does not have', () => {
+    const stray = new mongoose.Types.ObjectId().toString();
+    const { errors } = validateAnswers(event, { ...answer([[diet, 'None'], [terms, true]]), [stray]: 'x' });
+
+    expect(errors).toEqual([`Unknown question: ${stray}`]);
+  });
+
+  it('requires an object keyed by question ID', () => {
+    expect(validateAnswers(event, ['Vegan']).errors).toEqual(['Answers must be an object keyed by question ID']);
+  });
+
+  it('accepts no answers for events without a form', () => {
+    expect(validateAnswers({}, undefined)).toEqual({ isValid: true, answers: [], errors: [] });
+  });
+});
+
+describe('formatAnswer', () => {
+  it('shows checkboxes as Yes or No and missing answers as blank', () => {
+    expect(formatAnswer(true)).toBe('Yes');
+    expect(formatAnswer(false)).toBe('No');
+    expect(formatAnswer(undefined)).toBe('');
+    expect(formatAnswer(42)).toBe(42);
+  });
+});
@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const Event = require('../models/eventModel');
+const Registration = require('../models/registrationModel');
+const Notification = require('../models/notificationModel');
+const { getEventDateTime } = require('../utils/eventValidation');
+const { parseOffsets, createScheduler } = require('../utils/scheduler');
+const db = require('./helpers/db');
+const { DAY, createEvent } = require('./helpers/fixtures');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Scheduler whose clock the test moves by hand
+const createTestScheduler = (startAt) => {
+  let now = new Date(startAt);
+  const scheduler = createScheduler({
+    clock: () => now,
+    reminderOffsets: '24h,1h',
+    defaultDuration: 120
+  });
+
+  return {
+    ...scheduler,
+    setTime: (time) => {
+      now = new Date(time);
+    }
+  };
+};
+
+// An event 10 days out with the given confirmed and waitlisted attendees
+const createScheduledEvent = async ({ confirmed = 0, waitlisted = 0, duration } = {}) => {
+  const event = await createEvent({ date: new Date(Date.now() + 10 * DAY), time: '18:00', duration });
+  const statuses = [...Array(confirmed).fill('confirmed'), ...Array(waitlisted).fill('waitlisted')];
+
+  await Promise.all(statuses.map(status => Registration.create({
+    user: new mongoose.Types.ObjectId(),
+    event: event._id,
+    status
+  })));
+
+  return { event, start: getEventDateTime(event.date, event.time).getTime() };
+};
+
+const countReminders = (eventId) => Notification.countDocuments({ type: 'reminder', 'relatedTo.eventId': eventId });
+
+describe('parseOffsets', () => {
+  it('parses offsets largest first', () => {
+    expect(parseOffsets('1h, 30m,2d').map(offset => offset.label)).toEqual(['2d', '1h', '30m']);
+  });
+
+  it('rejects unknown units', () => {
+    expect(() => parseOffsets('1w')).toThrow('Invalid reminder offset "1w"');
+  });
+});
+
+describe('scheduler', () => {
+  beforeAll(db.connect);
+  afterEach(db.clear);
+  afterAll(db.disconnect);
+
+  it('moves events to ongoing at their start and completed at their end', async () => {
+    const { event, start } = await createScheduledEvent({ duration: 90 });
+    const scheduler = createTestScheduler(start - MINUTE);
+
+    await scheduler.runOnce();
+    expect((await Event.findById(event._id)).status).toBe('scheduled');
+
+    scheduler.setTime(start + MINUTE);
+    expect((await scheduler.runOnce()).statuses).toEqual({ ongoing: 1, completed: 0 });
+    expect((await Event.findById(event._id)).status).toBe('ongoing');
+
+    scheduler.setTime(start + 90 * MINUTE);
+    expect((await scheduler.runOnce()).statuses).toEqual({ ongoing: 0, completed: 1 });
+    expect((await Event.findById(event._id)).status).toBe('completed');
+
+    // Nothing left to change on a second run
+    expect((await scheduler.runOnce()).statuses).toEqual({ ongoing: 0, completed: 0 });
+  });
+
+  it('leaves cancelled events alone', async () => {
+    const { event, start } = await createScheduledEvent();
+    await Event.updateOne({ _id: event._id }, { $set: { status: 'cancelled' } });
+    const scheduler = createTestScheduler(start + MINUTE);
+
+    await scheduler.runOnce();
+
+    expect((await Event.findById(event._id)).status).toBe('cancelled');
+    expect(await countReminders(event._id)).toBe(0);
+  });
+
+  it('sends each reminder once, to confirmed attendees only', async () => {
+    const { event, start } = await createScheduledEvent({ confirmed: 2, waitlisted: 1 });
+    const scheduler = createTestScheduler(start - 25 * HOUR);
+
+    expect((await scheduler.runOnce()).reminders).toBe(0);
+
+    scheduler.setTime(start - 24 * HOUR + MINUTE);
+    expect((await scheduler.runOnce()).reminders).toBe(2);
+    expect((await scheduler.runOnce()).reminders).toBe(0);
+
+    scheduler.setTime(start - HOUR + MINUTE);
+    expect((await scheduler.runOnce()).reminders).toBe(2);
+    expect((await scheduler.runOnce()).reminders).toBe(0);
+
+    expect(await countReminders(event._id)).toBe(4);
+    expect((await Event.findById(event._id)).remindersSent.sort()).toEqual(['1h', '24h']);
+  });
+
+  it('does not send overlapping runs twice', async () => {
+    const { event, start } = await createScheduledEvent({ confirmed: 1 });
+    const scheduler = createTestScheduler(start - 24 * HOUR + MINUTE);
+
+    const [first, second] = await Promise.all([scheduler.runOnce(), scheduler.runOnce()]);
+
+    expect(first.reminders).toBe(1);
+    expect(second).toBeNull();
+    expect(await countReminders(event._id)).toBe(1);
+  });
+
+  it('does not resend reminders after a restart', async () => {
+    const { event, start } = await createScheduledEvent({ confirmed: 1 });
+    const time = start - 24 * HOUR + MINUTE;
+
+    await createTestScheduler(time).runOnce();
+
+    // A new scheduler, as after a server restart, reads what was sent from the events
+    const restarted = createTestScheduler(time + MINUTE);
+    expect((await restarted.runOnce()).reminders).toBe(0);
+    expect(await countReminders(event._id)).toBe(1);
+  });
+
+  it('sends a single reminder for offsets that passed while it was down', async () => {
+    const { event, start } = await createScheduledEvent({ confirmed: 1 });
+    const scheduler = createTestScheduler(start - 30 * MINUTE);
+
+    expect((await scheduler.runOnce()).reminders).toBe(1);
+    expect(await countReminders(event._id)).toBe(1);
+    expect((await Event.findById(event._id)).remindersSent.sort()).toEqual(['1h', '24h']);
+  });
+
+  it('catches up on status changes missed while it was down', async () => {
+    const { event, start } = await createScheduledEvent({ confirmed: 1 });
+    const scheduler = createTestScheduler(start + 3 * HOUR);
+
+    expect((await scheduler.runOnce()).statuses).toEqual({ ongoing: 0, completed: 1 });
+    expect((await Event.findById(event._id)).status).toBe('completed');
+    expect(await countReminders(event._id)).toBe(0);
+  });
+});
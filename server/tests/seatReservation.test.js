@@ -0,0 +1,148 @@
+const Event = require('../models/eventModel');
+const Registration = require('../models/registrationModel');
+const { reserveSeats, releaseSeats } = require('../utils/seatReservation');
+const { registerForEvent, cancelRegistration } = require('../controllers/registrationController');
+const db = require('./helpers/db');
+const { buildUser, createEvent, createResponse } = require('./helpers/fixtures');
+
+const PARALLEL_REQUESTS = 40;
+
+// Seats held by confirmed registrations, per ticket type when given one
+const confirmedSeats = async (eventId, ticketTypeId) => {
+  const registrations = await Registration.find({
+    event: eventId,
+    status: 'confirmed',
+    ...(ticketTypeId ? { ticketType: ticketTypeId } : {})
+  });
+
+  return registrations.reduce((sum, registration) => sum + (registration.seats || 1), 0);
+};
+
+const register = async (event, user, body = {}) => {
+  const res = createResponse();
+  await registerForEvent({ params: { eventId: event._id.toString() }, body, user }, res);
+  return res;
+};
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+describe('reserveSeats', () => {
+  it('never hands out more seats than the event has', async () => {
+    const event = await createEvent({ totalSeats: 5, registeredUsers: 0 });
+
+    const results = await Promise.all(Array.from({ length: PARALLEL_REQUESTS }, () => reserveSeats(event._id, 1)));
+    const updated = await Event.findById(event._id);
+
+    expect(results.filter(Boolean)).toHaveLength(5);
+    expect(updated.registeredUsers).toBe(5);
+  });
+
+  it('only reserves a group when every seat is free', async () => {
+    const event = await createEvent({ totalSeats: 5, registeredUsers: 0 });
+
+    const results = await Promise.all(Array.from({ length: PARALLEL_REQUESTS }, () => reserveSeats(event._id, 2)));
+    const updated = await Event.findById(event._id);
+
+    expect(results.filter(Boolean)).toHaveLength(2);
+    expect(updated.registeredUsers).toBe(4);
+  });
+
+  it('keeps the counter in step when seats are released and claimed at once', async () => {
+    const event = await createEvent({ totalSeats: 5, registeredUsers: 5 });
+
+    await Promise.all([
+      ...Array.from({ length: 5 }, () => releaseSeats(event._id, 1)),
+      ...Array.from({ length: PARALLEL_REQUESTS }, () => reserveSeats(event._id, 1))
+    ]);
+    const updated = await Event.findById(event._id);
+
+    expect(updated.registeredUsers).toBeGreaterThanOrEqual(0);
+    expect(updated.registeredUsers).toBeLessThanOrEqual(5);
+  });
+});
+
+describe('registerForEvent under load', () => {
+  it('confirms at most totalSeats registrations and waitlists the rest', async () => {
+    const event = await createEvent({ totalSeats: 5 });
+    const users = Array.from({ length: PARALLEL_REQUESTS }, () => buildUser());
+
+    const responses = await Promise.all(users.map(user => register(event, user)));
+    const updated = await Event.findById(event._id);
+
+    expect(responses.every(res => res.statusCode === 201)).toBe(true);
+    expect(updated.registeredUsers).toBeLessThanOrEqual(updated.totalSeats);
+    expect(updated.registeredUsers).toBe(await confirmedSeats(event._id));
+    expect(await Registration.countDocuments({ event: event._id, status: 'confirmed' })).toBe(5);
+    expect(await Registration.countDocuments({ event: event._id, status: 'waitlisted' })).toBe(PARALLEL_REQUESTS - 5);
+  });
+
+  it('does not overbook with group bookings of mixed sizes', async () => {
+    const event = await createEvent({ totalSeats: 7, maxSeatsPerRegistration: 3 });
+    const users = Array.from({ length: PARALLEL_REQUESTS }, () => buildUser());
+
+    await Promise.all(users.map((user, index) => register(event, user, { seats: (index % 3) + 1 })));
+    const updated = await Event.findById(event._id);
+
+    expect(updated.registeredUsers).toBeLessThanOrEqual(updated.totalSeats);
+    expect(updated.registeredUsers).toBe(await confirmedSeats(event._id));
+  });
+
+  it('creates one registration when the same user registers in parallel', async () => {
+    const event = await createEvent({ totalSeats: 5 });
+    const user = buildUser();
+
+    const responses = await Promise.all(Array.from({ length: 10 }, () => register(event, user)));
+    const updated = await Event.findById(event._id);
+
+    expect(responses.filter(res => res.statusCode === 201)).toHaveLength(1);
+    expect(await Registration.countDocuments({ event: event._id })).toBe(1);
+    expect(updated.registeredUsers).toBe(1);
+  });
+
+  it('keeps each ticket type within its own capacity', async () => {
+    const event = await createEvent({
+      totalSeats: 5,
+      ticketTypes: [
+        { name: 'Standard', capacity: 3 },
+        { name: 'VIP', capacity: 2 }
+      ]
+    });
+    const [standard, vip] = event.ticketTypes;
+    const users = Array.from({ length: PARALLEL_REQUESTS }, () => buildUser());
+
+    await Promise.all(users.map((user, index) => register(event, user, {
+      ticketType: (index % 2 === 0 ? standard : vip)._id.toString()
+    })));
+    const updated = await Event.findById(event._id);
+    const [standardAfter, vipAfter] = updated.ticketTypes;
+
+    expect(standardAfter.sold).toBe(3);
+    expect(vipAfter.sold).toBe(2);
+    expect(standardAfter.sold).toBe(await confirmedSeats(event._id, standard._id));
+    expect(vipAfter.sold).toBe(await confirmedSeats(event._id, vip._id));
+    expect(updated.registeredUsers).toBe(await confirmedSeats(event._id));
+  });
+});
+
+describe('requests without a body', () => {
+  it('registers for one seat and cancels it again', async () => {
+    const event = await createEvent({ totalSeats: 5 });
+    const user = buildUser();
+
+    const registered = createResponse();
+    await registerForEvent({ params: { eventId: event._id.toString() }, user }, registered);
+
+    expect(registered.statusCode).toBe(201);
+    expect((await Event.findById(event._id)).registeredUsers).toBe(1);
+
+    const registration = await Registration.findOne({ event: event._id, user: user._id });
+    const cancelled = createResponse();
+    await cancelRegistration({ params: { id: registration._id.toString() }, user }, cancelled);
+
+    expect(cancelled.statusCode).toBe(200);
+    expect((await Registration.findById(registration._id)).status).toBe('cancelled');
+    expect((await Event.findById(event._id)).registeredUsers).toBe(0);
+  });
+});
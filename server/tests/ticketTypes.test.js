@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const { isEligible, resolveTicketType } = require('../utils/ticketTypes');
+
+const studentTicket = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Student',
+  eligibility: { roles: [], emailDomains: ['university.edu'] }
+};
+
+const event = { ticketTypes: [studentTicket] };
+
+describe('isEligible', () => {
+  it('accepts a verified address on an allowed domain or subdomain', () => {
+    expect(isEligible(studentTicket, { role: 'user', email: 'ann@university.edu', isEmailVerified: true })).toBe(true);
+    expect(isEligible(studentTicket, { role: 'user', email: 'ann@cs.university.edu', isEmailVerified: true })).toBe(true);
+  });
+
+  it('rejects an unverified address even on an allowed domain', () => {
+    expect(isEligible(studentTicket, { role: 'user', email: 'ann@university.edu', isEmailVerified: false })).toBe(false);
+  });
+
+  it('rejects other domains', () => {
+    expect(isEligible(studentTicket, { role: 'user', email: 'ann@notuniversity.edu', isEmailVerified: true })).toBe(false);
+  });
+
+  it('does not need a verified address for role only rules', () => {
+    const memberTicket = { eligibility: { roles: ['user'], emailDomains: [] } };
+
+    expect(isEligible(memberTicket, { role: 'user', email: 'ann@example.com', isEmailVerified: false })).toBe(true);
+    expect(isEligible(memberTicket, { role: 'organizer', email: 'ann@example.com', isEmailVerified: true })).toBe(false);
+  });
+});
+
+describe('resolveTicketType', () => {
+  it('asks unverified users on an allowed domain to verify their email', () => {
+    const result = resolveTicketType(event, studentTicket._id, { role: 'user', email: 'ann@university.edu', isEmailVerified: false });
+
+    expect(result.statusCode).toBe(403);
+    expect(result.error).toMatch(/Verify your email/);
+  });
+
+  it('tells users on other domains they are not eligible', () => {
+    const result = resolveTicketType(event, studentTicket._id, { role: 'user', email: 'ann@example.com', isEmailVerified: false });
+
+    expect(result.statusCode).toBe(403);
+    expect(result.error).toMatch(/not eligible/);
+  });
+});
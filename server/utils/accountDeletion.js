@@ -0,0 +1,104 @@
+const Registration = require('../models/registrationModel');
+const Notification = require('../models/notificationModel');
+const RefreshToken = require('../models/refreshTokenModel');
+const User = require('../models/userModel');
+const { getEventDateTime } = require('./eventValidation');
+const { holdsSeats, releaseSeats } = require('./seatReservation');
+const { promoteFromWaitlist } = require('./waitlist');
+const { refundPaidRegistration } = require('./paymentSettlement');
+
+const ACTIVE_STATUSES = ['confirmed', 'waitlisted', 'pending_payment', 'pending'];
+
+// Guest names and emails and form answers are personal data, so they go with the account
+const ANONYMIZE_UPDATE = {
+  $set: { isAnonymized: true },
+  $unset: { guests: 1, answers: 1 }
+};
+
+// Delete a user's account and tidy up everything that points at it
+// Future registrations are cancelled so their seats go back to the event and
+// paid ones are refunded, past ones are kept for reporting but anonymized
+// A refund the provider refuses leaves its registration cancelled with a paid
+// payment, to be refunded later with POST /api/registrations/:id/refund
+// Returns { cancelled, anonymized, refunded, failedRefunds }
+const deleteUserAccount = async (userId) => {
+  const now = new Date();
+
+  const registrations = await Registration.find({ user: userId })
+    .populate({
+      path: 'event',
+      select: 'date time status holdSeatsForPending'
+    });
+
+  let cancelled = 0;
+  let anonymized = 0;
+  let refunded = 0;
+  let failedRefunds = 0;
+
+  for (const registration of registrations) {
+    const event = registration.event;
+    const isUpcoming = event &&
+      event.status !== 'cancelled' &&
+      getEventDateTime(event.date, event.time) > now;
+
+    let current = isUpcoming ? registration : null;
+    let updated = null;
+
+    // Cancel it as it is now; when its status changed in the meantime, e.g. a
+    // promotion from the waitlist, read it again and retry with the new one
+    while (current && ACTIVE_STATUSES.includes(current.status) && !updated) {
+      const paymentUpdate = current.status === 'pending_payment' ? { 'payment.status': 'cancelled' } : {};
+
+      updated = await Registration.findOneAndUpdate(
+        { _id: registration._id, status: current.status },
+        {
+          $set: { ...ANONYMIZE_UPDATE.$set, status: 'cancelled', cancellationReason: 'Account deleted', ...paymentUpdate },
+          $unset: { ...ANONYMIZE_UPDATE.$unset, waitlistedAt: 1 }
+        }
+      );
+
+      if (!updated) {
+        current = await Registration.findById(registration._id);
+      }
+    }
+
+    // Only count it as cancelled when this update did it, the previous version
+    // tells whether it held seats to give back
+    if (updated) {
+      if (holdsSeats(updated.status, event)) {
+        await releaseSeats(event._id, updated.seats, updated.ticketType);
+        await promoteFromWaitlist(event._id);
+      }
+
+      cancelled += 1;
+
+      // The user paid for seats they no longer hold, so give the money back
+      if (updated.payment && updated.payment.status === 'paid') {
+        const refund = await refundPaidRegistration(updated, { reason: 'Account deleted' });
+
+        if (refund.error) {
+          failedRefunds += 1;
+          console.error(`Refund for registration ${updated._id} failed: ${refund.error}`);
+        } else {
+          refunded += 1;
+        }
+      }
+
+      continue;
+    }
+
+    await Registration.updateOne({ _id: registration._id }, ANONYMIZE_UPDATE);
+
+    anonymized += 1;
+  }
+
+  await Notification.deleteMany({ user: userId });
+  await RefreshToken.deleteMany({ user: userId });
+  await User.deleteOne({ _id: userId });
+
+  return { cancelled, anonymized, refunded, failedRefunds };
+};
+
+module.exports = {
+  deleteUserAccount
+};
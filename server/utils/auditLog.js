@@ -0,0 +1,75 @@
+const AuditLog = require('../models/auditLogModel');
+
+// Turn documents, ObjectIds and dates into plain comparable values
+const toPlain = (value) => {
+  if (value === undefined || value === null) {
+    return value;
+  }
+  if (typeof value.toObject === 'function') {
+    return toPlain(value.toObject());
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value._bsontype === 'ObjectId' || value._bsontype === 'ObjectID') {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlain);
+  }
+  if (typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, toPlain(item)])
+    );
+  }
+  return value;
+};
+
+// Keep only the fields whose value differs between before and after
+const diffFields = (before, after, fields) => {
+  const plainBefore = toPlain(before) || {};
+  const plainAfter = toPlain(after) || {};
+  const keys = fields || [...new Set([...Object.keys(plainBefore), ...Object.keys(plainAfter)])];
+
+  const changes = { before: {}, after: {} };
+
+  keys
+    .filter(key => !['_id', '__v', 'updatedAt'].includes(key))
+    .filter(key => JSON.stringify(plainBefore[key]) !== JSON.stringify(plainAfter[key]))
+    .forEach(key => {
+      changes.before[key] = plainBefore[key];
+      changes.after[key] = plainAfter[key];
+    });
+
+  return changes;
+};
+
+// Record who changed what, never failing the request if the log write fails
+// Pass before and/or after to store a diff, e.g. only after for creations
+const recordAudit = async (req, { action, targetType, target, before, after, fields, details }) => {
+  try {
+    const changes = diffFields(before, after, fields);
+
+    return await AuditLog.create({
+      actor: req.user._id,
+      actorRole: req.user.role,
+      action,
+      targetType,
+      target,
+      changes: {
+        before: before ? changes.before : undefined,
+        after: after ? changes.after : undefined
+      },
+      details,
+      ip: req.ip
+    });
+  } catch (error) {
+    console.error('Audit log error:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  diffFields,
+  recordAudit
+};
@@ -0,0 +1,112 @@
+const { getEventDateTime } = require('./eventValidation');
+
+const PRODID = '-//EventX//Event Registration System//EN';
+
+// Escape TEXT values as required by RFC 5545 section 3.3.11
+const escapeText = (value) => {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+};
+
+// Fold lines longer than 75 octets (RFC 5545 section 3.1)
+// Splits on character boundaries so multi-byte UTF-8 is never cut in half
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    const limit = chunks.length === 0 ? 75 : 74;
+
+    if (currentBytes + charBytes > limit) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+
+    current += char;
+    currentBytes += charBytes;
+  }
+
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+// Format a Date as a UTC DATE-TIME, e.g. 20250101T090000Z
+const formatDateTime = (date) => {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+// Build the VEVENT lines for one event
+const buildEventLines = (event, { now = new Date() } = {}) => {
+  const start = getEventDateTime(event.date, event.time);
+  const duration = event.duration || Number(process.env.EVENT_DEFAULT_DURATION) || 120;
+  const end = new Date(start.getTime() + duration * 60000);
+  const lastModified = event.updatedAt ? new Date(event.updatedAt) : now;
+  const isCancelled = event.status === 'cancelled';
+
+  const description = isCancelled && event.cancellationReason ?
+    `Cancelled: ${event.cancellationReason}\n\n${event.description}` :
+    event.description;
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${event._id}@eventx`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(end)}`,
+    `SUMMARY:${escapeText(event.title)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `LOCATION:${escapeText(event.location)}`,
+    `STATUS:${isCancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    // Calendars apply an update only when the sequence goes up
+    `SEQUENCE:${Math.floor(lastModified.getTime() / 1000)}`,
+    `LAST-MODIFIED:${formatDateTime(lastModified)}`,
+    'END:VEVENT'
+  ];
+};
+
+// Build a complete iCalendar document for a list of events
+const buildCalendar = (events, { name, now = new Date() } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  if (process.env.EVENT_TIMEZONE) {
+    lines.push(`X-WR-TIMEZONE:${process.env.EVENT_TIMEZONE}`);
+  }
+
+  events
+    .filter(event => !isNaN(getEventDateTime(event.date, event.time).getTime()))
+    .forEach(event => lines.push(...buildEventLines(event, { now })));
+
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+// Send a calendar as a text/calendar response
+const sendCalendar = (res, calendar, filename) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `inline; filename="${filename}"`);
+  return res.send(calendar);
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  buildCalendar,
+  sendCalendar
+};
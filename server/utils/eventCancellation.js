@@ -0,0 +1,118 @@
+const Event = require('../models/eventModel');
+const Registration = require('../models/registrationModel');
+const { notifyUsers } = require('./notifications');
+const { refundPaidRegistration } = require('./paymentSettlement');
+
+// Cancel an event, cancel its active registrations, refund the paid ones and
+// notify the attendees
+// A refund the provider refuses leaves its registration cancelled with a paid
+// payment, to be refunded later with POST /api/registrations/:id/refund
+// Returns { event, cancelledRegistrations, refundedRegistrations, failedRefunds },
+// or null when the event is missing, already cancelled or completed
+const cancelEventCascade = async (eventId, { reason, archive = false } = {}) => {
+  const now = Date.now();
+
+  // Mark the event cancelled and release every seat, on the event and on each
+  // ticket type, in one atomic update so no new registration can claim a seat
+  // from here on. It is a pipeline so events saved before ticket types existed,
+  // without a ticketTypes array, are updated the same way
+  const event = await Event.findOneAndUpdate(
+    { _id: eventId, status: { $nin: ['cancelled', 'completed'] } },
+    [{
+      $set: {
+        status: 'cancelled',
+        cancellationReason: { $literal: reason === undefined || reason === null ? null : String(reason) },
+        cancelledAt: new Date(now),
+        registeredUsers: 0,
+        ticketTypes: {
+          $map: {
+            input: { $ifNull: ['$ticketTypes', []] },
+            as: 'ticketType',
+            in: { $mergeObjects: ['$$ticketType', { sold: 0 }] }
+          }
+        },
+        isArchived: Boolean(archive),
+        updatedAt: new Date(now)
+      }
+    }],
+    { new: true }
+  );
+
+  if (!event) {
+    return null;
+  }
+
+  const activeFilter = {
+    event: event._id,
+    status: { $in: ['confirmed', 'waitlisted', 'pending_payment', 'pending'] }
+  };
+
+  const attendees = await Registration.find(activeFilter).distinct('user');
+
+  // Stop open payments first, so a payment completed later is refunded
+  await Registration.updateMany(
+    { event: event._id, status: 'pending_payment' },
+    { $set: { 'payment.status': 'cancelled' } }
+  );
+
+  const cancelUpdate = {
+    $set: { status: 'cancelled', cancellationReason: reason },
+    $unset: { waitlistedAt: 1 }
+  };
+
+  // Registrations without a completed payment are cancelled in bulk; open
+  // payments were stopped above, so none of them can be paid from here on
+  const result = await Registration.updateMany(
+    { ...activeFilter, 'payment.status': { $ne: 'paid' } },
+    cancelUpdate
+  );
+
+  let cancelledRegistrations = result.modifiedCount;
+  let refundedRegistrations = 0;
+  let failedRefunds = 0;
+
+  // What is left has been paid for, so cancel and refund those one by one
+  const paid = await Registration.find(activeFilter);
+
+  for (const registration of paid) {
+    const cancelled = await Registration.findOneAndUpdate(
+      { _id: registration._id, status: registration.status },
+      cancelUpdate,
+      { new: true }
+    );
+
+    if (!cancelled) {
+      continue;
+    }
+
+    cancelledRegistrations += 1;
+
+    const refund = await refundPaidRegistration(cancelled, { reason: reason || 'Event cancelled' });
+
+    if (refund.error) {
+      failedRefunds += 1;
+      console.error(`Refund for registration ${cancelled._id} failed: ${refund.error}`);
+    } else {
+      refundedRegistrations += 1;
+    }
+  }
+
+  await notifyUsers(attendees, {
+    message: reason ?
+      `"${event.title}" has been cancelled: ${reason}` :
+      `"${event.title}" has been cancelled`,
+    type: 'cancellation',
+    eventId: event._id
+  });
+
+  return {
+    event,
+    cancelledRegistrations,
+    refundedRegistrations,
+    failedRefunds
+  };
+};
+
+module.exports = {
+  cancelEventCascade
+};
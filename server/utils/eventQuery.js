@@ -0,0 +1,224 @@
+const mongoose = require('mongoose');
+
+const EVENT_STATUSES = ['scheduled', 'ongoing', 'completed', 'cancelled'];
+
+const EVENT_SORTS = {
+  relevance: { score: { $meta: 'textScore' }, date: 1, _id: 1 },
+  date: { date: 1, time: 1, _id: 1 },
+  '-date': { date: -1, time: -1, _id: -1 },
+  popularity: { registeredUsers: -1, date: 1, _id: 1 },
+  newest: { createdAt: -1, _id: -1 }
+};
+
+// Orders that page by offset only: relevance scores cannot be put in a cursor,
+// and seat counts change with every booking, which would skip or repeat events
+const OFFSET_ONLY_SORTS = ['relevance', 'popularity'];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Escape user input before using it in a regular expression
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split a comma separated query value into trimmed, non-empty items
+const parseList = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+// Read a true/false query value, returning undefined when it is neither
+const parseBoolean = (value) => {
+  if (value === true || value === 'true' || value === '1') {
+    return true;
+  }
+  if (value === false || value === 'false' || value === '0') {
+    return false;
+  }
+  return undefined;
+};
+
+// Start of the current day, matching how event dates are stored (midnight UTC)
+const startOfToday = (now) => new Date(now.toISOString().slice(0, 10));
+
+// Build the MongoDB filter and sort for GET /api/events from its query string
+// Returns { filter, sort, projection, errors }, errors lists every invalid parameter
+const buildEventQuery = (query, { now = new Date() } = {}) => {
+  const errors = [];
+
+  // Archived events are never listed
+  const filter = { isArchived: { $ne: true } };
+  const dateRange = {};
+
+  // Narrow the date range, keeping the tightest bound when several apply
+  const setLowerBound = (date) => {
+    if (!dateRange.$gte || date > dateRange.$gte) {
+      dateRange.$gte = date;
+    }
+  };
+  const setUpperBound = (date) => {
+    if (!dateRange.$lt || date < dateRange.$lt) {
+      dateRange.$lt = date;
+    }
+  };
+
+  // Parse a from/to/date value, date-only values cover the whole day
+  const parseDateParam = (name, value) => {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      errors.push(`${name} must be a valid date`);
+      return null;
+    }
+    return { date, isDateOnly: DATE_ONLY.test(String(value)) };
+  };
+
+  const search = query.q !== undefined ? String(query.q).trim() : '';
+
+  if (search) {
+    filter.$text = { $search: search };
+  }
+
+  // Kept for older clients, matches part of the title
+  if (query.title) {
+    filter.title = { $regex: escapeRegex(query.title), $options: 'i' };
+  }
+
+  if (query.location) {
+    filter.location = { $regex: escapeRegex(query.location), $options: 'i' };
+  }
+
+  // Accept ?category=id or ?categories=id1,id2 and match any of them
+  const categoryQuery = query.categories || query.category;
+
+  if (categoryQuery) {
+    const categoryIds = parseList(categoryQuery);
+
+    if (categoryIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      errors.push('Invalid category ID');
+    } else {
+      filter.categories = { $in: categoryIds };
+    }
+  }
+
+  if (query.status) {
+    const statuses = parseList(query.status);
+    const invalid = statuses.filter(status => !EVENT_STATUSES.includes(status));
+
+    if (invalid.length > 0) {
+      errors.push(`status must be one of ${EVENT_STATUSES.join(', ')}`);
+    } else {
+      filter.status = { $in: statuses };
+    }
+  }
+
+  if (query.featured !== undefined) {
+    const featured = parseBoolean(query.featured);
+
+    if (featured === undefined) {
+      errors.push('featured must be true or false');
+    } else {
+      filter.isFeatured = featured ? true : { $ne: true };
+    }
+  }
+
+  // Only events that still have free seats
+  if (query.available !== undefined) {
+    const available = parseBoolean(query.available);
+
+    if (available === undefined) {
+      errors.push('available must be true or false');
+    } else {
+      filter.$expr = available ?
+        { $lt: [{ $ifNull: ['$registeredUsers', 0] }, '$totalSeats'] } :
+        { $gte: [{ $ifNull: ['$registeredUsers', 0] }, '$totalSeats'] };
+    }
+  }
+
+  // A single day, kept for older clients
+  if (query.date) {
+    const parsed = parseDateParam('date', query.date);
+    if (parsed) {
+      const dayStart = startOfToday(parsed.date);
+      setLowerBound(dayStart);
+      setUpperBound(new Date(dayStart.getTime() + DAY_MS));
+    }
+  }
+
+  if (query.from) {
+    const parsed = parseDateParam('from', query.from);
+    if (parsed) {
+      setLowerBound(parsed.date);
+    }
+  }
+
+  // A date-only "to" includes that whole day
+  if (query.to) {
+    const parsed = parseDateParam('to', query.to);
+    if (parsed) {
+      setUpperBound(parsed.isDateOnly ?
+        new Date(parsed.date.getTime() + DAY_MS) :
+        new Date(parsed.date.getTime() + 1));
+    }
+  }
+
+  if (query.when) {
+    if (query.when === 'upcoming') {
+      setLowerBound(startOfToday(now));
+    } else if (query.when === 'past') {
+      setUpperBound(startOfToday(now));
+    } else {
+      errors.push('when must be upcoming or past');
+    }
+  }
+
+  if (dateRange.$gte && dateRange.$lt && dateRange.$gte >= dateRange.$lt) {
+    errors.push('from must be before to');
+  }
+
+  if (Object.keys(dateRange).length > 0) {
+    filter.date = dateRange;
+  }
+
+  // Relevance is the default order for searches, date order otherwise
+  const sortKey = query.sort || (search ? 'relevance' : 'date');
+  let sort = EVENT_SORTS[sortKey];
+
+  if (!sort) {
+    errors.push(`sort must be one of ${Object.keys(EVENT_SORTS).join(', ')}`);
+    sort = EVENT_SORTS.date;
+  } else if (sortKey === 'relevance' && !search) {
+    errors.push('sort=relevance needs a search query (q)');
+    sort = EVENT_SORTS.date;
+  }
+
+  return {
+    filter,
+    sort,
+    sortKey: EVENT_SORTS[sortKey] === sort ? sortKey : 'date',
+    projection: search ? { score: { $meta: 'textScore' } } : undefined,
+    errors
+  };
+};
+
+// Read page and limit, rejecting values that are not positive whole numbers
+const parsePagination = (query, { defaultLimit = 10, maxLimit = 100 } = {}) => {
+  const errors = [];
+  const page = query.page !== undefined ? Number(query.page) : 1;
+  const limit = query.limit !== undefined ? Number(query.limit) : defaultLimit;
+
+  if (!Number.isInteger(page) || page < 1) {
+    errors.push('page must be a positive whole number');
+  }
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+    errors.push(`limit must be a whole number between 1 and ${maxLimit}`);
+  }
+
+  return { page, limit, errors };
+};
+
+module.exports = {
+  EVENT_SORTS,
+  OFFSET_ONLY_SORTS,
+  escapeRegex,
+  parseList,
+  parseBoolean,
+  buildEventQuery,
+  parsePagination
+};
@@ -1,27 +1,76 @@
 const Event = require('../models/eventModel');
 const Registration = require('../models/registrationModel');
+const Category = require('../models/categoryModel');
+const User = require('../models/userModel');
+const mongoose = require('mongoose');
+const { addAvailableSeats } = require('./seatReservation');
+
+// Minutes a time zone is ahead of UTC at a given instant
+const getTimeZoneOffset = (instant, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant);
+
+  const value = Object.fromEntries(parts.map(part => [part.type, Number(part.value)]));
+  const asUtc = Date.UTC(value.year, value.month - 1, value.day, value.hour, value.minute, value.second);
+
+  return Math.round((asUtc - instant.getTime()) / 60000);
+};
+
+// Combine an event's calendar date with its HH:mm time
+// Times are read in EVENT_TIMEZONE (an IANA name) when set, else server local time
+// Accepts a Date (as stored by Mongoose) or a YYYY-MM-DD string
+const getEventDateTime = (date, time) => {
+  const day = date instanceof Date ?
+    date.toISOString().slice(0, 10) :
+    String(date).slice(0, 10);
+
+  const timeZone = process.env.EVENT_TIMEZONE;
+
+  if (!timeZone) {
+    return new Date(`${day}T${time}`);
+  }
+
+  const wallClock = new Date(`${day}T${time}Z`);
+
+  if (isNaN(wallClock.getTime())) {
+    return wallClock;
+  }
+
+  // Check the offset again at the result in case a DST change falls in between
+  let offset = getTimeZoneOffset(wallClock, timeZone);
+  const adjusted = getTimeZoneOffset(new Date(wallClock.getTime() - offset * 60000), timeZone);
+
+  if (adjusted !== offset) {
+    offset = adjusted;
+  }
+
+  return new Date(wallClock.getTime() - offset * 60000);
+};
 
 // Check if event date is in the future with timezone consideration
 const isDateValid = (date, time) => {
-  const eventDateTime = new Date(`${date}T${time}`);
+  const eventDateTime = getEventDateTime(date, time);
   const now = new Date();
   return eventDateTime > now;
 };
 
-// Check if event has available seats
+// Check if event has available seats, counting seats rather than registrations
 const hasAvailableSeats = async (eventId, requestedSeats = 1) => {
-  const event = await Event.findById(eventId);
+  const event = await Event.findById(eventId).lean();
   
   if (!event) {
     return { success: false, message: 'Event not found' };
   }
   
-  const registeredCount = await Registration.countDocuments({
-    event: eventId,
-    status: 'confirmed'
-  });
-  
-  const availableSeats = event.totalSeats - registeredCount;
+  const [{ availableSeats }] = await addAvailableSeats([event]);
   
   return {
     success: availableSeats >= requestedSeats,
@@ -32,6 +81,41 @@ const hasAvailableSeats = async (eventId, requestedSeats = 1) => {
   };
 };
 
+// Check a group booking against the event's per-registration seat limit
+// Naming guests is optional, but there can be at most one per extra seat
+const validateGroupBooking = (event, { seats = 1, guests = [] } = {}) => {
+  const errors = [];
+  const seatCount = Number(seats);
+  const maxSeats = Math.min(event.maxSeatsPerRegistration || 1, event.totalSeats);
+
+  if (!Number.isInteger(seatCount) || seatCount < 1) {
+    errors.push('Seats must be a positive whole number');
+  } else if (seatCount > maxSeats) {
+    errors.push(`At most ${maxSeats} ${maxSeats === 1 ? 'seat' : 'seats'} can be booked per registration`);
+  }
+
+  if (!Array.isArray(guests)) {
+    errors.push('Guests must be a list');
+  } else {
+    if (errors.length === 0 && guests.length > seatCount - 1) {
+      errors.push(`At most ${seatCount - 1} ${seatCount === 2 ? 'guest' : 'guests'} can be named for ${seatCount} seats`);
+    }
+
+    if (guests.some(guest => !guest || typeof guest.name !== 'string' || !guest.name.trim())) {
+      errors.push('Every guest needs a name');
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    seats: seatCount,
+    guests: errors.length === 0 ?
+      guests.map(guest => ({ name: guest.name.trim(), email: guest.email || undefined })) :
+      [],
+    errors
+  };
+};
+
 // Check if user is already registered for event
 const isUserRegistered = async (userId, eventId) => {
   const registration = await Registration.findOne({
@@ -84,7 +168,7 @@ const canModifyEvent = async (eventId) => {
     return { success: false, message: 'Event not found' };
   }
 
-  const hasStarted = new Date(`${event.date}T${event.time}`) <= new Date();
+  const hasStarted = getEventDateTime(event.date, event.time) <= new Date();
   const hasRegistrations = await Registration.exists({
     event: eventId,
     status: 'confirmed'
@@ -98,10 +182,73 @@ const canModifyEvent = async (eventId) => {
   };
 };
 
+// Normalize category IDs (array or comma separated string) and check they exist
+const validateCategories = async (categories) => {
+  const categoryIds = Array.isArray(categories) ?
+    categories.map(String) :
+    String(categories).split(',');
+
+  const uniqueIds = [...new Set(categoryIds.map(id => id.trim()).filter(Boolean))];
+  const invalidIds = uniqueIds.filter(id => !mongoose.Types.ObjectId.isValid(id));
+
+  if (invalidIds.length > 0) {
+    return {
+      isValid: false,
+      categoryIds: [],
+      errors: [`Invalid category ID: ${invalidIds.join(', ')}`]
+    };
+  }
+
+  const found = await Category.find({ _id: { $in: uniqueIds } }).distinct('_id');
+  const foundIds = found.map(id => id.toString());
+  const missingIds = uniqueIds.filter(id => !foundIds.includes(id));
+
+  return {
+    isValid: missingIds.length === 0,
+    categoryIds: uniqueIds,
+    errors: missingIds.length > 0 ? [`Category not found: ${missingIds.join(', ')}`] : []
+  };
+};
+
+// Check that every co-organizer ID belongs to an organizer or admin account
+const validateCoOrganizers = async (coOrganizers) => {
+  const userIds = Array.isArray(coOrganizers) ?
+    coOrganizers.map(String) :
+    String(coOrganizers).split(',');
+
+  const uniqueIds = [...new Set(userIds.map(id => id.trim()).filter(Boolean))];
+  const invalidIds = uniqueIds.filter(id => !mongoose.Types.ObjectId.isValid(id));
+
+  if (invalidIds.length > 0) {
+    return {
+      isValid: false,
+      userIds: [],
+      errors: [`Invalid user ID: ${invalidIds.join(', ')}`]
+    };
+  }
+
+  const found = await User.find({
+    _id: { $in: uniqueIds },
+    role: { $in: ['organizer', 'admin'] }
+  }).distinct('_id');
+  const foundIds = found.map(id => id.toString());
+  const missingIds = uniqueIds.filter(id => !foundIds.includes(id));
+
+  return {
+    isValid: missingIds.length === 0,
+    userIds: uniqueIds,
+    errors: missingIds.length > 0 ? [`Not an organizer: ${missingIds.join(', ')}`] : []
+  };
+};
+
 module.exports = {
+  getEventDateTime,
   isDateValid,
   hasAvailableSeats,
+  validateGroupBooking,
   isUserRegistered,
   validateEventData,
-  canModifyEvent
+  canModifyEvent,
+  validateCategories,
+  validateCoOrganizers
 };
\ No newline at end of file
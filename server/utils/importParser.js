@@ -0,0 +1,41 @@
+const { parse } = require('csv-parse/sync');
+
+// Read import rows from an uploaded CSV/JSON file or a JSON request body
+// Each row keeps the line number users see in their file for error reports
+const parseImportRows = (req, bodyKey) => {
+  if (req.file) {
+    const text = req.file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+    if (/\.json$/i.test(req.file.originalname)) {
+      const parsed = JSON.parse(text);
+      const rows = Array.isArray(parsed) ? parsed : parsed[bodyKey];
+
+      if (!Array.isArray(rows)) {
+        throw new Error(`JSON file must be an array or contain a "${bodyKey}" array`);
+      }
+
+      return rows.map((data, index) => ({ row: index + 1, data }));
+    }
+
+    const records = parse(text, {
+      columns: header => header.map(column => column.trim()),
+      skip_empty_lines: true,
+      trim: true
+    });
+
+    // Line 1 holds the headers, so data starts on line 2
+    return records.map((data, index) => ({ row: index + 2, data }));
+  }
+
+  const rows = req.body[bodyKey];
+
+  if (!Array.isArray(rows)) {
+    throw new Error(`Upload a .csv or .json file or send a "${bodyKey}" array`);
+  }
+
+  return rows.map((data, index) => ({ row: index + 1, data }));
+};
+
+module.exports = {
+  parseImportRows
+};
@@ -0,0 +1,84 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// A transport is any object with an async send({ to, subject, text, html })
+
+// Send through an SMTP server
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: Number(process.env.SMTP_PORT) === 465,
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  });
+
+  return {
+    send: (message) => transporter.sendMail({
+      from: process.env.MAIL_FROM || 'EventX <no-reply@eventx.local>',
+      ...message
+    })
+  };
+};
+
+// Print messages to the console, useful in development
+const createConsoleTransport = () => ({
+  send: async (message) => {
+    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+    return message;
+  }
+});
+
+// Write each message as a JSON file, so tests can read what was sent
+const createFileTransport = (directory = process.env.MAIL_OUTPUT_DIR || 'logs/mail') => ({
+  send: async (message) => {
+    await fs.mkdir(directory, { recursive: true });
+    const filename = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    await fs.writeFile(
+      path.join(directory, filename),
+      JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+    );
+    return message;
+  }
+});
+
+// Pick a transport from MAIL_TRANSPORT (smtp, file or console)
+const createTransport = (type = process.env.MAIL_TRANSPORT || 'console') => {
+  switch (type) {
+    case 'smtp':
+      return createSmtpTransport();
+    case 'file':
+      return createFileTransport();
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown mail transport "${type}"`);
+  }
+};
+
+let transport = null;
+
+// Replace the active transport, e.g. with a stub in tests
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// Send a message through the active transport
+const sendMail = async (message) => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport.send(message);
+};
+
+module.exports = {
+  createTransport,
+  createSmtpTransport,
+  createConsoleTransport,
+  createFileTransport,
+  setTransport,
+  sendMail
+};
@@ -0,0 +1,44 @@
+const Notification = require('../models/notificationModel');
+
+// Build the notification document for one recipient
+const buildNotification = (user, { message, type = 'system', eventId, registrationId }) => ({
+  user,
+  message,
+  type,
+  relatedTo: {
+    eventId,
+    registrationId
+  }
+});
+
+// Send a notification to a single user
+// Failures are logged rather than thrown so they never break the main request
+const notifyUser = async (user, details) => {
+  try {
+    return await Notification.create(buildNotification(user, details));
+  } catch (error) {
+    console.error('Notification error:', error.message);
+    return null;
+  }
+};
+
+// Send the same notification to many users at once
+const notifyUsers = async (users, details) => {
+  if (!users.length) {
+    return [];
+  }
+
+  try {
+    return await Notification.insertMany(
+      users.map(user => buildNotification(user, details))
+    );
+  } catch (error) {
+    console.error('Notification error:', error.message);
+    return [];
+  }
+};
+
+module.exports = {
+  notifyUser,
+  notifyUsers
+};
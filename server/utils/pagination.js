@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+
+// Cursors are opaque to clients: base64url JSON holding the sort fields and
+// the sort values of the last item on the page. Every sort ends with _id so
+// each position is unique and no item is skipped or repeated between pages.
+
+// Keep dates and ObjectIds recognisable after the JSON round trip
+const serializeValue = (value) => {
+  if (value instanceof Date) {
+    return { $d: value.toISOString() };
+  }
+  if (value && (value._bsontype === 'ObjectId' || value._bsontype === 'ObjectID')) {
+    return { $o: value.toString() };
+  }
+  return value === undefined ? null : value;
+};
+
+const deserializeValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (typeof value.$d === 'string') {
+      return new Date(value.$d);
+    }
+    if (typeof value.$o === 'string' && mongoose.Types.ObjectId.isValid(value.$o)) {
+      return new mongoose.Types.ObjectId(value.$o);
+    }
+    throw new Error('Invalid cursor value');
+  }
+  return value;
+};
+
+// Read a possibly nested field, e.g. a populated path
+const getField = (doc, field) => field.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+
+// Build the cursor pointing just after a document
+const encodeCursor = (doc, sort) => {
+  const fields = Object.keys(sort);
+  const payload = {
+    s: fields.map(field => `${field}:${sort[field]}`).join(','),
+    v: fields.map(field => serializeValue(getField(doc, field)))
+  };
+
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Decode a cursor, returning null when it is malformed or was made for another sort
+const decodeCursor = (cursor, sort) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const fields = Object.keys(sort);
+    const signature = fields.map(field => `${field}:${sort[field]}`).join(',');
+
+    if (payload.s !== signature || !Array.isArray(payload.v) || payload.v.length !== fields.length) {
+      return null;
+    }
+
+    return payload.v.map(deserializeValue);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Filter matching documents that come after the cursor position in sort order
+const buildCursorFilter = (sort, values) => {
+  const fields = Object.keys(sort);
+
+  return {
+    $or: fields.map((field, index) => {
+      const clause = {};
+
+      fields.slice(0, index).forEach((previous, previousIndex) => {
+        clause[previous] = values[previousIndex];
+      });
+
+      clause[field] = { [sort[field] === -1 ? '$lt' : '$gt']: values[index] };
+      return clause;
+    })
+  };
+};
+
+// Add the cursor condition to an existing filter
+const applyCursor = (filter, sort, values) => {
+  const cursorFilter = buildCursorFilter(sort, values);
+
+  if (filter.$or) {
+    return { ...filter, $and: [...(filter.$and || []), cursorFilter] };
+  }
+
+  return { ...filter, ...cursorFilter };
+};
+
+// Read ?cursor= and ?limit=, returning the decoded cursor values and any errors
+const parseCursorParams = (query, sort, { defaultLimit = 20, maxLimit = 100 } = {}) => {
+  const errors = [];
+  const limit = query.limit !== undefined ? Number(query.limit) : defaultLimit;
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+    errors.push(`limit must be a whole number between 1 and ${maxLimit}`);
+  }
+
+  let cursor = null;
+
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor, sort);
+
+    if (!cursor) {
+      errors.push('Invalid cursor');
+    }
+  }
+
+  return { cursor, limit, errors };
+};
+
+// Trim the extra document fetched to detect another page and build the next cursor
+// Queries should ask for limit + 1 documents
+const buildCursorPage = (docs, limit, sort) => {
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort) : null
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  applyCursor,
+  parseCursorParams,
+  buildCursorPage
+};
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+
+// A payment provider is any object with:
+//   name
+//   async createPayment({ amount, currency, reference, description }) -> { paymentId, checkoutUrl }
+//   async refundPayment({ paymentId, amount, currency }) -> { refundId }
+//   parseWebhook(rawBody, headers) -> { type, paymentId, reason }, throwing when the signature is bad
+//     (errors may carry a statusCode, 400 otherwise)
+// Amounts are in the currency's main unit, e.g. 12.5 for 12.50 EUR
+// Webhook types are payment.succeeded and payment.failed, anything else is ignored
+
+// Webhooks are signed with their own secret and there is no fallback, so without
+// PAYMENT_WEBHOOK_SECRET every webhook is rejected
+const getWebhookSecret = () => process.env.PAYMENT_WEBHOOK_SECRET;
+
+// Oldest webhook signature accepted, so a captured request cannot be replayed later
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// Sign a webhook body, giving a header value in the form t=<unix seconds>,v1=<hex hmac>
+const signWebhookPayload = (payload, { secret = getWebhookSecret(), timestamp = Math.floor(Date.now() / 1000) } = {}) => {
+  if (!secret) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET is not set');
+  }
+
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${payload}`)
+    .digest('hex');
+
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// Check a webhook signature header against the raw body and its age
+const verifyWebhookSignature = (payload, header, { secret = getWebhookSecret(), now = Date.now() } = {}) => {
+  if (!secret) {
+    return false;
+  }
+
+  const parts = Object.fromEntries(
+    String(header || '').split(',').map(part => part.trim().split('='))
+  );
+  const timestamp = Number(parts.t);
+
+  if (!timestamp || !parts.v1 || Math.abs(now / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const expected = Buffer.from(signWebhookPayload(payload, { secret, timestamp }).split('v1=')[1]);
+  const received = Buffer.from(parts.v1);
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Fake provider for development: payments stay pending until a signed webhook
+// reports the outcome, e.g. sent with `npm run mock-payment`
+const createMockProvider = () => ({
+  name: 'mock',
+  createPayment: async ({ amount, currency, reference }) => {
+    const paymentId = `mock_${crypto.randomBytes(12).toString('hex')}`;
+    const clientUrl = process.env.CLIENT_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+
+    console.log(`[payment] Mock payment ${paymentId} of ${amount} ${currency} for registration ${reference}`);
+
+    return {
+      paymentId,
+      checkoutUrl: `${clientUrl}/checkout/mock/${paymentId}`
+    };
+  },
+  refundPayment: async ({ paymentId, amount, currency }) => {
+    console.log(`[payment] Mock refund of ${amount} ${currency} for ${paymentId}`);
+    return { refundId: `mock_refund_${crypto.randomBytes(12).toString('hex')}` };
+  },
+  parseWebhook: (rawBody, headers) => {
+    const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || '');
+
+    if (!getWebhookSecret()) {
+      const error = new Error('Payment webhooks are not configured, set PAYMENT_WEBHOOK_SECRET');
+      error.statusCode = 503;
+      throw error;
+    }
+
+    if (!verifyWebhookSignature(payload, headers['payment-signature'])) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    const { type, paymentId, reason } = JSON.parse(payload);
+    return { type, paymentId, reason };
+  }
+});
+
+// Pick a provider from PAYMENT_PROVIDER (only mock is built in)
+const createProvider = (type = process.env.PAYMENT_PROVIDER || 'mock') => {
+  switch (type) {
+    case 'mock':
+      return createMockProvider();
+    default:
+      throw new Error(`Unknown payment provider "${type}"`);
+  }
+};
+
+let provider = null;
+
+// Replace the active provider, e.g. with a real gateway or a stub in tests
+const setProvider = (customProvider) => {
+  provider = customProvider;
+};
+
+const getProvider = () => {
+  if (!provider) {
+    provider = createProvider();
+  }
+  return provider;
+};
+
+module.exports = {
+  signWebhookPayload,
+  verifyWebhookSignature,
+  createMockProvider,
+  createProvider,
+  setProvider,
+  getProvider
+};
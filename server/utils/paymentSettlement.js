@@ -0,0 +1,362 @@
+const Event = require('../models/eventModel');
+const Registration = require('../models/registrationModel');
+const { reserveSeats, releaseSeats } = require('./seatReservation');
+const { promoteFromWaitlist } = require('./waitlist');
+const { notifyUser } = require('./notifications');
+const { getProvider } = require('./paymentProvider');
+
+// Refund a payment whose seats are gone, e.g. one that succeeded after its hold expired
+const refundLatePayment = async (registration, event) => {
+  const { paymentId, status } = registration.payment;
+
+  // Claim the refund first so a repeated webhook cannot refund twice
+  const claimed = await Registration.findOneAndUpdate(
+    { _id: registration._id, 'payment.paymentId': paymentId, 'payment.status': status },
+    { $set: { 'payment.status': 'refunding', 'payment.paidAt': Date.now() } }
+  );
+
+  if (!claimed) {
+    return { result: 'ignored', registration };
+  }
+
+  let refundId;
+
+  try {
+    ({ refundId } = await getProvider().refundPayment({
+      paymentId,
+      amount: registration.payment.amount,
+      currency: registration.payment.currency
+    }));
+  } catch (error) {
+    // Put the payment back so the provider's retry of the webhook tries again
+    await Registration.updateOne(
+      { _id: registration._id, 'payment.status': 'refunding' },
+      { $set: { 'payment.status': status } }
+    );
+    throw error;
+  }
+
+  const refunded = await Registration.findOneAndUpdate(
+    { _id: registration._id, 'payment.status': 'refunding' },
+    { $set: { 'payment.status': 'refunded', 'payment.refundId': refundId, 'payment.refundedAt': Date.now() } },
+    { new: true }
+  );
+
+  await notifyUser(registration.user, {
+    message: `Your payment for "${event ? event.title : 'an event'}" arrived after your seats were released and has been refunded`,
+    type: 'cancellation',
+    eventId: registration.event,
+    registrationId: registration._id
+  });
+
+  return { result: 'refunded', registration: refunded };
+};
+
+// A payment went through: confirm the registration holding seats for it
+// Payments arriving after the hold expired or failed get their seats back when
+// they are still free, otherwise they are refunded
+const confirmPayment = async (registration) => {
+  const event = await Event.findById(registration.event).select('title status');
+  const paymentId = registration.payment.paymentId;
+  const now = Date.now();
+
+  const confirmed = await Registration.findOneAndUpdate(
+    { _id: registration._id, status: 'pending_payment', 'payment.paymentId': paymentId },
+    { $set: { status: 'confirmed', 'payment.status': 'paid', 'payment.paidAt': now } },
+    { new: true }
+  );
+
+  if (!confirmed) {
+    const current = await Registration.findById(registration._id);
+    const lapsed = current && current.status === 'cancelled' &&
+      current.payment.paymentId === paymentId &&
+      ['expired', 'failed'].includes(current.payment.status);
+
+    if (!lapsed) {
+      // Taken off the payment hold by the user or an organizer: give the money back
+      if (current && current.payment.paymentId === paymentId && current.payment.status === 'cancelled') {
+        return refundLatePayment(current, event);
+      }
+      // Otherwise already settled by an earlier delivery
+      return { result: 'ignored', registration: current };
+    }
+
+    const reclaimed = event && event.status !== 'cancelled' &&
+      await reserveSeats(current.event, current.seats, current.ticketType);
+
+    if (!reclaimed) {
+      return refundLatePayment(current, event);
+    }
+
+    const restored = await Registration.findOneAndUpdate(
+      { _id: current._id, status: 'cancelled', 'payment.status': current.payment.status, 'payment.paymentId': paymentId },
+      {
+        $set: { status: 'confirmed', registrationDate: now, 'payment.status': 'paid', 'payment.paidAt': now },
+        $unset: { cancellationReason: 1 }
+      },
+      { new: true }
+    );
+
+    if (!restored) {
+      await releaseSeats(current.event, current.seats, current.ticketType);
+      return { result: 'ignored', registration: current };
+    }
+
+    registration = restored;
+  } else {
+    registration = confirmed;
+  }
+
+  await notifyUser(registration.user, {
+    message: `Payment received, your registration for "${event ? event.title : 'an event'}" is confirmed`,
+    type: 'registration',
+    eventId: registration.event,
+    registrationId: registration._id
+  });
+
+  return { result: 'confirmed', registration };
+};
+
+// A payment failed: cancel the registration and give its seats to the waitlist
+const failPayment = async (registration, reason) => {
+  const failed = await Registration.findOneAndUpdate(
+    { _id: registration._id, status: 'pending_payment', 'payment.paymentId': registration.payment.paymentId },
+    {
+      $set: {
+        status: 'cancelled',
+        cancellationReason: reason || 'Payment failed',
+        'payment.status': 'failed'
+      }
+    },
+    { new: true }
+  );
+
+  if (!failed) {
+    return { result: 'ignored', registration };
+  }
+
+  await releaseSeats(failed.event, failed.seats, failed.ticketType);
+  await promoteFromWaitlist(failed.event);
+
+  const event = await Event.findById(failed.event).select('title');
+
+  await notifyUser(failed.user, {
+    message: `Your payment for "${event ? event.title : 'an event'}" failed and your registration has been cancelled`,
+    type: 'cancellation',
+    eventId: failed.event,
+    registrationId: failed._id
+  });
+
+  return { result: 'failed', registration: failed };
+};
+
+// A payment went through for a checkout the registration has since replaced
+// by booking again: the seats it was for are gone, so refund it
+const refundArchivedPayment = async (registration, paymentId) => {
+  const entry = registration.paymentHistory.find(item => item.paymentId === paymentId);
+
+  if (['paid', 'refunding', 'refunded'].includes(entry.status)) {
+    return { result: 'ignored', registration };
+  }
+
+  const match = { _id: registration._id, paymentHistory: { $elemMatch: { paymentId, status: entry.status } } };
+
+  // Claim the refund first so a repeated webhook cannot refund twice
+  const claimed = await Registration.findOneAndUpdate(
+    match,
+    { $set: { 'paymentHistory.$.status': 'refunding', 'paymentHistory.$.paidAt': Date.now() } }
+  );
+
+  if (!claimed) {
+    return { result: 'ignored', registration };
+  }
+
+  const refunding = { _id: registration._id, paymentHistory: { $elemMatch: { paymentId, status: 'refunding' } } };
+  let refundId;
+
+  try {
+    ({ refundId } = await getProvider().refundPayment({
+      paymentId,
+      amount: entry.amount,
+      currency: entry.currency
+    }));
+  } catch (error) {
+    // Put the payment back so the provider's retry of the webhook tries again
+    await Registration.updateOne(refunding, { $set: { 'paymentHistory.$.status': entry.status } });
+    throw error;
+  }
+
+  const refunded = await Registration.findOneAndUpdate(
+    refunding,
+    {
+      $set: {
+        'paymentHistory.$.status': 'refunded',
+        'paymentHistory.$.refundId': refundId,
+        'paymentHistory.$.refundedAt': Date.now()
+      }
+    },
+    { new: true }
+  );
+
+  const event = await Event.findById(registration.event).select('title');
+
+  await notifyUser(registration.user, {
+    message: `Your earlier payment for "${event ? event.title : 'an event'}" arrived after that booking was replaced and has been refunded`,
+    type: 'cancellation',
+    eventId: registration.event,
+    registrationId: registration._id
+  });
+
+  return { result: 'refunded', registration: refunded };
+};
+
+// Apply a payment outcome reported by the provider's webhook
+// Every step is conditional, so repeated deliveries of the same webhook are harmless
+// Returns { result, registration } where result is confirmed, failed, refunded or ignored
+const settlePayment = async ({ type, paymentId, reason }) => {
+  if (!paymentId || !['payment.succeeded', 'payment.failed'].includes(type)) {
+    return { result: 'ignored' };
+  }
+
+  const registration = await Registration.findOne({ 'payment.paymentId': paymentId });
+
+  if (!registration) {
+    // An earlier checkout of a registration that was booked again
+    const previous = await Registration.findOne({ 'paymentHistory.paymentId': paymentId });
+
+    if (previous) {
+      return type === 'payment.succeeded' ?
+        refundArchivedPayment(previous, paymentId) :
+        { result: 'ignored', registration: previous };
+    }
+
+    console.warn(`Payment webhook for unknown payment ${paymentId}`);
+    return { result: 'ignored' };
+  }
+
+  return type === 'payment.succeeded' ?
+    confirmPayment(registration) :
+    failPayment(registration, reason);
+};
+
+// Cancel registrations whose payment hold has run out and free their seats
+// Returns the number of holds released
+const expirePaymentHolds = async (now = new Date()) => {
+  const expired = await Registration.find({
+    status: 'pending_payment',
+    'payment.expiresAt': { $lte: now }
+  });
+
+  let released = 0;
+
+  for (const registration of expired) {
+    const cancelled = await Registration.findOneAndUpdate(
+      { _id: registration._id, status: 'pending_payment', 'payment.expiresAt': registration.payment.expiresAt },
+      {
+        $set: {
+          status: 'cancelled',
+          cancellationReason: 'Payment not completed in time',
+          'payment.status': 'expired'
+        }
+      }
+    );
+
+    if (!cancelled) {
+      continue;
+    }
+
+    await releaseSeats(registration.event, registration.seats, registration.ticketType);
+    await promoteFromWaitlist(registration.event);
+
+    const event = await Event.findById(registration.event).select('title');
+
+    await notifyUser(registration.user, {
+      message: `Your seats for "${event ? event.title : 'an event'}" were released because the payment was not completed in time`,
+      type: 'cancellation',
+      eventId: registration.event,
+      registrationId: registration._id
+    });
+
+    released += 1;
+  }
+
+  return released;
+};
+
+// Refund a paid registration through the provider, cancelling it and freeing
+// its seats when it is still confirmed
+// Returns { registration } or { error, statusCode }
+const refundPaidRegistration = async (registration, { reason } = {}) => {
+  if (!registration.payment || registration.payment.status !== 'paid') {
+    return { error: 'Registration has no completed payment to refund', statusCode: 400 };
+  }
+
+  // Claim the refund first so two requests cannot refund the same payment twice
+  const claimed = await Registration.findOneAndUpdate(
+    { _id: registration._id, 'payment.status': 'paid' },
+    { $set: { 'payment.status': 'refunding' } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return { error: 'Registration was modified by another request, please retry', statusCode: 409 };
+  }
+
+  let refundId;
+
+  try {
+    ({ refundId } = await getProvider().refundPayment({
+      paymentId: claimed.payment.paymentId,
+      amount: claimed.payment.amount,
+      currency: claimed.payment.currency
+    }));
+  } catch (error) {
+    await Registration.updateOne(
+      { _id: claimed._id, 'payment.status': 'refunding' },
+      { $set: { 'payment.status': 'paid' } }
+    );
+    return { error: `Refund failed: ${error.message}`, statusCode: 502 };
+  }
+
+  const refundFields = {
+    'payment.status': 'refunded',
+    'payment.refundId': refundId,
+    'payment.refundedAt': Date.now()
+  };
+
+  // Cancel as well when still confirmed; if the user cancelled meanwhile the
+  // seats are already free, so only the payment is updated
+  let refunded = await Registration.findOneAndUpdate(
+    { _id: claimed._id, status: 'confirmed', 'payment.status': 'refunding' },
+    { $set: { ...refundFields, status: 'cancelled', cancellationReason: reason || 'Refunded' } },
+    { new: true }
+  );
+
+  if (refunded) {
+    await releaseSeats(refunded.event, refunded.seats, refunded.ticketType);
+    await promoteFromWaitlist(refunded.event);
+  } else {
+    refunded = await Registration.findOneAndUpdate(
+      { _id: claimed._id, 'payment.status': 'refunding' },
+      { $set: refundFields },
+      { new: true }
+    );
+  }
+
+  const event = await Event.findById(registration.event).select('title');
+
+  await notifyUser(registration.user, {
+    message: `Your payment for "${event ? event.title : 'an event'}" has been refunded${reason ? `: ${reason}` : ''}`,
+    type: 'cancellation',
+    eventId: registration.event,
+    registrationId: registration._id
+  });
+
+  return { registration: refunded };
+};
+
+module.exports = {
+  settlePayment,
+  expirePaymentHolds,
+  refundPaidRegistration
+};
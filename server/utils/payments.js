@@ -0,0 +1,63 @@
+const Registration = require('../models/registrationModel');
+const { getProvider } = require('./paymentProvider');
+
+const MINUTE = 60 * 1000;
+
+// How long seats stay held while the user pays
+const getHoldMinutes = () => Number(process.env.PAYMENT_HOLD_MINUTES) || 15;
+
+const getCurrency = () => (process.env.PAYMENT_CURRENCY || 'usd').toLowerCase();
+
+// Price of a booking, from its ticket type or else the event, 0 when free
+const getBookingAmount = (event, ticketTypeId, seats = 1) => {
+  const ticketType = ticketTypeId ?
+    (event.ticketTypes || []).find(item => item._id.toString() === ticketTypeId.toString()) :
+    null;
+  const price = ticketType ? ticketType.price : event.price || 0;
+
+  // Round to cents so 3 x 19.99 does not turn into 59.969999
+  return Math.round(price * seats * 100) / 100;
+};
+
+// Payment details that put a registration on hold, set together with the
+// pending_payment status so every hold expires even if the provider is down
+const paymentHold = (now = Date.now()) => ({
+  status: 'pending',
+  expiresAt: new Date(now + getHoldMinutes() * MINUTE)
+});
+
+// Open a payment with the provider for a registration holding seats as pending_payment
+// Returns the updated registration, or null when it is no longer waiting for payment
+const startPayment = async (registration, event) => {
+  const provider = getProvider();
+  const amount = getBookingAmount(event, registration.ticketType, registration.seats);
+  const currency = getCurrency();
+
+  const { paymentId, checkoutUrl } = await provider.createPayment({
+    amount,
+    currency,
+    reference: registration._id.toString(),
+    description: registration.seats === 1 ? event.title : `${event.title} (${registration.seats} seats)`
+  });
+
+  return Registration.findOneAndUpdate(
+    { _id: registration._id, status: 'pending_payment' },
+    {
+      $set: {
+        'payment.provider': provider.name,
+        'payment.paymentId': paymentId,
+        'payment.checkoutUrl': checkoutUrl,
+        'payment.amount': amount,
+        'payment.currency': currency
+      }
+    },
+    { new: true }
+  );
+};
+
+module.exports = {
+  getHoldMinutes,
+  getBookingAmount,
+  paymentHold,
+  startPayment
+};
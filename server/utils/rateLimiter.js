@@ -0,0 +1,101 @@
+// A store is any object with:
+//   async increment(key, windowMs) -> { count, resetAt }
+//   async reset(key)
+// so counters can live in memory for tests or in a shared store such as Redis
+
+// Keep counters in this process, fine for a single server and for tests
+const createMemoryStore = () => {
+  const hits = new Map();
+
+  return {
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let entry = hits.get(key);
+
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        hits.set(key, entry);
+      }
+
+      entry.count += 1;
+
+      // Drop expired entries now and then so the map cannot grow forever
+      if (hits.size > 10000) {
+        for (const [storedKey, storedEntry] of hits) {
+          if (storedEntry.resetAt <= now) {
+            hits.delete(storedKey);
+          }
+        }
+      }
+
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+    reset: async (key) => {
+      hits.delete(key);
+    }
+  };
+};
+
+let defaultStore = null;
+
+// Replace the store used by limiters created without one, e.g. with a Redis store
+const setStore = (customStore) => {
+  defaultStore = customStore;
+};
+
+const getStore = () => {
+  if (!defaultStore) {
+    defaultStore = createMemoryStore();
+  }
+  return defaultStore;
+};
+
+// Build a middleware that allows max requests per key in each window
+const createRateLimiter = ({
+  windowMs = 15 * 60 * 1000,
+  max = 100,
+  store,
+  prefix = 'rl',
+  keyGenerator = (req) => req.ip,
+  message = 'Too many requests, please try again later'
+} = {}) => {
+  const limiter = async (req, res, next) => {
+    // A max of 0 turns the limiter off
+    if (!max) {
+      return next();
+    }
+
+    try {
+      const key = `${prefix}:${keyGenerator(req)}`;
+      const { count, resetAt } = await (store || getStore()).increment(key, windowMs);
+      const secondsLeft = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+
+      res.set('RateLimit-Limit', String(max));
+      res.set('RateLimit-Remaining', String(Math.max(0, max - count)));
+      res.set('RateLimit-Reset', String(secondsLeft));
+
+      if (count > max) {
+        res.set('Retry-After', String(secondsLeft));
+        return res.status(429).json({
+          success: false,
+          error: message
+        });
+      }
+
+      next();
+    } catch (error) {
+      // Do not lock everyone out when the store is unavailable
+      console.error('Rate limiter error:', error.message);
+      next();
+    }
+  };
+
+  return limiter;
+};
+
+module.exports = {
+  createMemoryStore,
+  createRateLimiter,
+  setStore,
+  getStore
+};
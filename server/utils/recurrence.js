@@ -0,0 +1,214 @@
+// Recurrence rules for event series, a subset of RFC 5545 RRULE:
+// FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, COUNT or UNTIL, and BYDAY for weekly rules
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Largest number of occurrences one series may generate
+const getMaxOccurrences = () => Number(process.env.SERIES_MAX_OCCURRENCES) || 100;
+
+// Event dates are stored as midnight UTC of the calendar day
+const toDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+const formatDay = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+// Parse an RRULE string such as "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10"
+// Returns { rule, errors }
+const parseRRule = (value) => {
+  const rule = {};
+  const errors = [];
+
+  String(value)
+    .replace(/^RRULE:/i, '')
+    .split(';')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .forEach(part => {
+      const [key, rawValue = ''] = part.split('=');
+
+      switch (key.toUpperCase()) {
+        case 'FREQ':
+          rule.frequency = rawValue.toLowerCase();
+          break;
+        case 'INTERVAL':
+          rule.interval = Number(rawValue);
+          break;
+        case 'COUNT':
+          rule.count = Number(rawValue);
+          break;
+        case 'UNTIL': {
+          const match = /^(\d{4})(\d{2})(\d{2})/.exec(rawValue);
+          rule.until = match ? new Date(Date.UTC(match[1], match[2] - 1, match[3])) : new Date(NaN);
+          break;
+        }
+        case 'BYDAY':
+          rule.byWeekday = rawValue.toUpperCase().split(',').filter(Boolean);
+          break;
+        default:
+          errors.push(`Unsupported RRULE part ${key}`);
+      }
+    });
+
+  return { rule, errors };
+};
+
+// Turn a rule back into an RRULE string for calendar clients
+const formatRRule = (rule) => {
+  const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+
+  if (rule.interval && rule.interval > 1) {
+    parts.push(`INTERVAL=${rule.interval}`);
+  }
+  if (rule.byWeekday && rule.byWeekday.length > 0) {
+    parts.push(`BYDAY=${rule.byWeekday.join(',')}`);
+  }
+  if (rule.count) {
+    parts.push(`COUNT=${rule.count}`);
+  }
+  if (rule.until) {
+    parts.push(`UNTIL=${formatDay(new Date(rule.until))}`);
+  }
+
+  return parts.join(';');
+};
+
+// Check a rule and fill in defaults, returning { rule, errors }
+const normalizeRule = (input) => {
+  const errors = [];
+  const rule = {
+    frequency: String(input.frequency || '').toLowerCase(),
+    interval: input.interval === undefined ? 1 : Number(input.interval),
+    byWeekday: input.byWeekday ? [].concat(input.byWeekday).map(day => String(day).toUpperCase()) : [],
+    count: input.count === undefined ? undefined : Number(input.count),
+    until: input.until === undefined ? undefined : new Date(input.until)
+  };
+
+  if (!FREQUENCIES.includes(rule.frequency)) {
+    errors.push(`Frequency must be one of ${FREQUENCIES.join(', ')}`);
+  }
+
+  if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+    errors.push('Interval must be a positive whole number');
+  }
+
+  if (rule.byWeekday.some(day => !WEEKDAYS.includes(day))) {
+    errors.push(`Weekdays must be any of ${WEEKDAYS.join(', ')}`);
+  }
+
+  if (rule.byWeekday.length > 0 && rule.frequency !== 'weekly') {
+    errors.push('Weekdays can only be used with a weekly frequency');
+  }
+
+  if (rule.count === undefined && rule.until === undefined) {
+    errors.push('A recurrence needs a count or an end date');
+  }
+
+  if (rule.count !== undefined && rule.until !== undefined) {
+    errors.push('Use either a count or an end date, not both');
+  }
+
+  if (rule.count !== undefined &&
+      (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > getMaxOccurrences())) {
+    errors.push(`Count must be between 1 and ${getMaxOccurrences()}`);
+  }
+
+  if (rule.until !== undefined && isNaN(rule.until.getTime())) {
+    errors.push('End date must be a valid date');
+  }
+
+  if (rule.until) {
+    rule.until = toDay(rule.until);
+  }
+
+  return { rule, errors };
+};
+
+// Add whole months, returning null when the day does not exist in that month
+// (e.g. the 31st in April), which RFC 5545 skips rather than moving
+const addMonths = (date, months) => {
+  const result = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, date.getUTCDate()));
+  return result.getUTCDate() === date.getUTCDate() ? result : null;
+};
+
+// List the dates of every occurrence, starting with startDate when it matches the rule
+const generateOccurrences = (startDate, rule) => {
+  const start = toDay(new Date(startDate));
+  // Without a count, one extra date lets callers tell the series was too long
+  const limit = rule.count || getMaxOccurrences() + 1;
+  const dates = [];
+
+  const accept = (date) => {
+    if (rule.until && date > rule.until) {
+      return false;
+    }
+    dates.push(date);
+    return dates.length < limit;
+  };
+
+  if (rule.frequency === 'daily') {
+    for (let step = 0; ; step += 1) {
+      if (!accept(new Date(start.getTime() + step * rule.interval * DAY_MS))) {
+        break;
+      }
+    }
+  } else if (rule.frequency === 'weekly') {
+    const weekdays = rule.byWeekday.length > 0 ?
+      rule.byWeekday.map(day => WEEKDAYS.indexOf(day)) :
+      [start.getUTCDay()];
+
+    // Weeks start on Monday, as in the RRULE default WKST=MO
+    const offsetFromMonday = (start.getUTCDay() + 6) % 7;
+    const weekStart = new Date(start.getTime() - offsetFromMonday * DAY_MS);
+    const dayOffsets = [...new Set(weekdays.map(day => (day + 6) % 7))].sort((a, b) => a - b);
+
+    let keepGoing = true;
+
+    for (let week = 0; keepGoing; week += 1) {
+      const base = weekStart.getTime() + week * rule.interval * 7 * DAY_MS;
+
+      for (const offset of dayOffsets) {
+        const date = new Date(base + offset * DAY_MS);
+
+        if (date < start) {
+          continue;
+        }
+
+        if (!accept(date)) {
+          keepGoing = false;
+          break;
+        }
+      }
+
+      // Stop once a whole interval lies past the end date
+      if (rule.until && base > rule.until.getTime()) {
+        keepGoing = false;
+      }
+    }
+  } else if (rule.frequency === 'monthly') {
+    // Give up after a few years of skipped months, e.g. the 31st every other month
+    for (let step = 0; step < limit * 12; step += 1) {
+      const date = addMonths(start, step * rule.interval);
+
+      if (!date) {
+        continue;
+      }
+
+      if (!accept(date)) {
+        break;
+      }
+    }
+  }
+
+  return dates;
+};
+
+module.exports = {
+  FREQUENCIES,
+  WEEKDAYS,
+  getMaxOccurrences,
+  parseRRule,
+  formatRRule,
+  normalizeRule,
+  generateOccurrences
+};
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const Event = require('../models/eventModel');
+const Registration = require('../models/registrationModel');
+const { reserveSeats, releaseSeats } = require('./seatReservation');
+const { getWaitlistPosition, promoteFromWaitlist } = require('./waitlist');
+const { notifyUser } = require('./notifications');
+const { getBookingAmount, paymentHold, startPayment } = require('./payments');
+
+const REGISTRATION_MODES = ['open', 'approval', 'invite'];
+
+// Random code organizers can share to let people into an invite only event
+const generateInviteCode = () => crypto.randomBytes(6).toString('hex');
+
+// Trim, lowercase and de-duplicate an invite list
+const normalizeInvitedEmails = (emails) => {
+  return [...new Set([].concat(emails || [])
+    .map(email => String(email).trim().toLowerCase())
+    .filter(Boolean))];
+};
+
+// Check a user may register for an invite only event, by code or invited email
+// The invite fields are not loaded with events, so they are matched in the query
+// The invite list only counts for verified emails, anyone can sign up with an address
+// Returns {} when allowed or { error, statusCode }
+const checkRegistrationAccess = async (event, user, inviteCode) => {
+  if (event.registrationMode !== 'invite') {
+    return {};
+  }
+
+  const allowed = [];
+
+  if (user.isEmailVerified && user.email) {
+    allowed.push({ invitedEmails: String(user.email).toLowerCase() });
+  }
+
+  if (typeof inviteCode === 'string' && inviteCode.trim()) {
+    allowed.push({ inviteCode: inviteCode.trim() });
+  }
+
+  const invited = allowed.length > 0 && await Event.exists({ _id: event._id, $or: allowed });
+
+  if (!invited) {
+    return {
+      error: inviteCode ? 'Invalid invite code' :
+        user.isEmailVerified ? 'This event is invite only, an invite code is required' :
+          'This event is invite only, verify your email or use an invite code',
+      statusCode: 403
+    };
+  }
+
+  return {};
+};
+
+// Approve a pending registration
+// Its seats are claimed now unless the event held them on request; without free
+// seats it joins the waitlist, and paid events hold the seats for payment
+// Returns { registration } or { error, statusCode }
+const approveRegistration = async (registration, event, { reviewerId, reason } = {}) => {
+  const { seats, ticketType } = registration;
+  const seatsHeld = Boolean(event.holdSeatsForPending);
+  const reserved = seatsHeld || Boolean(await reserveSeats(event._id, seats, ticketType));
+  const isPaid = reserved && getBookingAmount(event, ticketType, seats) > 0;
+
+  const review = { reviewedBy: reviewerId, reviewedAt: Date.now(), reviewReason: reason };
+  let update;
+
+  if (!reserved) {
+    update = { $set: { status: 'waitlisted', waitlistedAt: Date.now(), ...review } };
+  } else if (isPaid) {
+    update = { $set: { status: 'pending_payment', payment: paymentHold(), ...review } };
+  } else {
+    update = { $set: { status: 'confirmed', ...review } };
+  }
+
+  // Only approve if it is still pending, e.g. not withdrawn in the meantime
+  let approved = await Registration.findOneAndUpdate(
+    { _id: registration._id, status: 'pending' },
+    update,
+    { new: true }
+  );
+
+  if (!approved) {
+    if (reserved && !seatsHeld) {
+      await releaseSeats(event._id, seats, ticketType);
+    }
+    return { error: 'Registration is no longer pending', statusCode: 409 };
+  }
+
+  let message;
+
+  if (!reserved) {
+    const waitlistPosition = await getWaitlistPosition(approved);
+    message = `Your registration for "${event.title}" has been approved, but the event is full; you are number ${waitlistPosition} on the waitlist`;
+  } else if (isPaid) {
+    // A failed checkout leaves the hold in place until it expires
+    try {
+      approved = await startPayment(approved, event) || approved;
+    } catch (error) {
+      console.error('Payment error:', error.message);
+    }
+
+    message = `Your registration for "${event.title}" has been approved, complete your payment by ${approved.payment.expiresAt.toISOString()} to confirm it`;
+  } else {
+    message = `Your registration for "${event.title}" has been approved`;
+  }
+
+  await notifyUser(approved.user, {
+    message,
+    type: 'registration',
+    eventId: event._id,
+    registrationId: approved._id
+  });
+
+  return { registration: approved };
+};
+
+// Reject a pending registration, handing back any seats it held
+// Returns { registration } or { error, statusCode }
+const rejectRegistration = async (registration, event, { reviewerId, reason } = {}) => {
+  const rejected = await Registration.findOneAndUpdate(
+    { _id: registration._id, status: 'pending' },
+    { $set: { status: 'rejected', reviewedBy: reviewerId, reviewedAt: Date.now(), reviewReason: reason } },
+    { new: true }
+  );
+
+  if (!rejected) {
+    return { error: 'Registration is no longer pending', statusCode: 409 };
+  }
+
+  if (event.holdSeatsForPending) {
+    await releaseSeats(event._id, rejected.seats, rejected.ticketType);
+    await promoteFromWaitlist(event._id);
+  }
+
+  await notifyUser(rejected.user, {
+    message: reason ?
+      `Your registration for "${event.title}" was not approved: ${reason}` :
+      `Your registration for "${event.title}" was not approved`,
+    type: 'update',
+    eventId: event._id,
+    registrationId: rejected._id
+  });
+
+  return { registration: rejected };
+};
+
+module.exports = {
+  REGISTRATION_MODES,
+  generateInviteCode,
+  normalizeInvitedEmails,
+  checkRegistrationAccess,
+  approveRegistration,
+  rejectRegistration
+};
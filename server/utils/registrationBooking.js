@@ -0,0 +1,278 @@
+const Registration = require('../models/registrationModel');
+const { reserveSeats, releaseSeats } = require('./seatReservation');
+const { getWaitlistPosition, promoteFromWaitlist } = require('./waitlist');
+const { notifyUser } = require('./notifications');
+const { validateGroupBooking } = require('./eventValidation');
+const { resolveTicketType } = require('./ticketTypes');
+const { validateAnswers } = require('./registrationForms');
+const { checkRegistrationAccess } = require('./registrationApproval');
+const { getBookingAmount, paymentHold, startPayment } = require('./payments');
+
+// Payment states of a cancelled registration whose money has not been returned
+const UNSETTLED_PAYMENT_STATUSES = ['paid', 'refunding'];
+
+// Booking a cancelled registration again replaces its payment, so the old one
+// moves to paymentHistory where a checkout completed late can still be matched
+// Returns the filter keeping the update to the payment that was read and the
+// update fields archiving it
+const reusePayment = (registration) => {
+  const { payment } = registration.toObject();
+  const paymentId = payment && payment.paymentId;
+
+  return {
+    filter: {
+      status: 'cancelled',
+      'payment.status': { $nin: UNSETTLED_PAYMENT_STATUSES },
+      'payment.paymentId': paymentId || null
+    },
+    archive: paymentId ? { $push: { paymentHistory: payment } } : {}
+  };
+};
+
+// Register a user for an event, falling back to the waitlist when it is full
+// booking holds the number of seats (default 1), optional named guests,
+// for events with ticket types the ticketType to book, and the answers to the
+// event's registration form keyed by question ID, plus an inviteCode for invite
+// only events
+// Paid bookings hold their seats as pending_payment while the user pays, and
+// events in approval mode create pending registrations for an organizer to review
+// Returns { registration, created, waitlistPosition } on success, where
+// waitlistPosition is only set for waitlisted users, or { error, statusCode }
+const bookRegistration = async (user, event, booking = {}) => {
+  const userId = user._id;
+  const eventId = event._id;
+
+  if (event.status === 'cancelled') {
+    return { error: 'Event has been cancelled', statusCode: 400 };
+  }
+
+  const accessCheck = await checkRegistrationAccess(event, user, booking.inviteCode);
+
+  if (accessCheck.error) {
+    return { error: accessCheck.error, statusCode: accessCheck.statusCode };
+  }
+
+  const bookingCheck = validateGroupBooking(event, booking);
+
+  if (!bookingCheck.isValid) {
+    return { error: bookingCheck.errors.join(', '), statusCode: 400 };
+  }
+
+  const { seats, guests } = bookingCheck;
+
+  const ticketCheck = resolveTicketType(event, booking.ticketType, user);
+
+  if (ticketCheck.error) {
+    return { error: ticketCheck.error, statusCode: ticketCheck.statusCode };
+  }
+
+  const ticketTypeId = ticketCheck.ticketType ? ticketCheck.ticketType._id : null;
+
+  const answerCheck = validateAnswers(event, booking.answers);
+
+  if (!answerCheck.isValid) {
+    return { error: answerCheck.errors.join(', '), statusCode: 400 };
+  }
+
+  const { answers } = answerCheck;
+
+  // Re-registrations take the new type, or drop a stale one
+  const ticketTypeSet = ticketTypeId ? { ticketType: ticketTypeId } : {};
+  const ticketTypeUnset = ticketTypeId ? {} : { ticketType: 1 };
+
+  // Check if already registered
+  const existingRegistration = await Registration.findOne({
+    user: userId,
+    event: eventId
+  });
+
+  if (existingRegistration) {
+    if (existingRegistration.status === 'confirmed') {
+      return { error: 'Already registered for this event', statusCode: 400 };
+    } else if (existingRegistration.status === 'waitlisted') {
+      return { error: 'Already on the waitlist for this event', statusCode: 400 };
+    } else if (existingRegistration.status === 'pending_payment') {
+      return { error: 'Registration is awaiting payment', statusCode: 400 };
+    } else if (existingRegistration.status === 'pending') {
+      return { error: 'Registration is awaiting approval', statusCode: 400 };
+    } else if (existingRegistration.status === 'rejected') {
+      return { error: 'Your registration for this event was not approved', statusCode: 400 };
+    } else if (existingRegistration.payment &&
+      UNSETTLED_PAYMENT_STATUSES.includes(existingRegistration.payment.status)) {
+      // Re-registering would overwrite the only record of a refund still owed
+      return { error: 'Your previous payment for this event has not been refunded yet', statusCode: 400 };
+    }
+  }
+
+  // Requests awaiting approval only take seats when the event holds them
+  const needsApproval = event.registrationMode === 'approval';
+  const holdsSeats = !needsApproval || Boolean(event.holdSeatsForPending);
+
+  // Atomically claim every seat at once so concurrent requests cannot overbook
+  const reservedEvent = holdsSeats ? await reserveSeats(eventId, seats, ticketTypeId) : event;
+
+  // Approval requests are only accepted while their seats can be held
+  if (!reservedEvent && needsApproval) {
+    return { error: 'Event is fully booked', statusCode: 400 };
+  }
+
+  // Put the user on the waitlist when not enough seats are left
+  if (!reservedEvent) {
+    let registration = existingRegistration;
+
+    if (registration) {
+      const reuse = reusePayment(registration);
+
+      registration = await Registration.findOneAndUpdate(
+        { _id: registration._id, ...reuse.filter },
+        {
+          $set: { status: 'waitlisted', waitlistedAt: Date.now(), seats, guests, answers, ...ticketTypeSet },
+          $unset: { cancellationReason: 1, payment: 1, ...ticketTypeUnset },
+          ...reuse.archive
+        },
+        { new: true }
+      );
+
+      if (!registration) {
+        return { error: 'Already registered for this event', statusCode: 400 };
+      }
+    } else {
+      registration = await Registration.create({
+        user: userId,
+        event: eventId,
+        status: 'waitlisted',
+        waitlistedAt: Date.now(),
+        seats,
+        guests,
+        answers,
+        ticketType: ticketTypeId || undefined
+      });
+    }
+
+    const waitlistPosition = await getWaitlistPosition(registration);
+
+    await notifyUser(userId, {
+      message: seats === 1 ?
+        `"${event.title}" is fully booked, you are number ${waitlistPosition} on the waitlist` :
+        `"${event.title}" does not have ${seats} seats left, you are number ${waitlistPosition} on the waitlist`,
+      type: 'registration',
+      eventId,
+      registrationId: registration._id
+    });
+
+    return { registration, created: !existingRegistration, waitlistPosition };
+  }
+
+  // Paid bookings keep the seats on hold until the payment goes through,
+  // approved requests are charged once an organizer approves them
+  const isPaid = !needsApproval && getBookingAmount(event, ticketTypeId, seats) > 0;
+  const status = needsApproval ? 'pending' : isPaid ? 'pending_payment' : 'confirmed';
+
+  let registration;
+
+  if (existingRegistration) {
+    // Re-register after cancellation, unless a parallel request already did
+    const reuse = reusePayment(existingRegistration);
+
+    registration = await Registration.findOneAndUpdate(
+      { _id: existingRegistration._id, ...reuse.filter },
+      isPaid ?
+        {
+          $set: { status, registrationDate: Date.now(), seats, guests, answers, payment: paymentHold(), ...ticketTypeSet },
+          $unset: { cancellationReason: 1, ...ticketTypeUnset },
+          ...reuse.archive
+        } :
+        {
+          $set: { status, registrationDate: Date.now(), seats, guests, answers, ...ticketTypeSet },
+          $unset: { cancellationReason: 1, payment: 1, ...ticketTypeUnset },
+          ...reuse.archive
+        },
+      { new: true }
+    );
+
+    if (!registration) {
+      if (holdsSeats) {
+        await releaseSeats(eventId, seats, ticketTypeId);
+      }
+      return { error: 'Already registered for this event', statusCode: 400 };
+    }
+  } else {
+    // Create new registration, handing the seats back if that fails
+    try {
+      registration = await Registration.create({
+        user: userId,
+        event: eventId,
+        status,
+        seats,
+        guests,
+        answers,
+        ticketType: ticketTypeId || undefined,
+        payment: isPaid ? paymentHold() : undefined
+      });
+    } catch (error) {
+      if (holdsSeats) {
+        await releaseSeats(eventId, seats, ticketTypeId);
+      }
+
+      if (error.code === 11000) {
+        return { error: 'Already registered for this event', statusCode: 400 };
+      }
+
+      throw error;
+    }
+  }
+
+  if (needsApproval) {
+    await notifyUser(userId, {
+      message: `Your registration for "${event.title}" has been received and is awaiting approval`,
+      type: 'registration',
+      eventId,
+      registrationId: registration._id
+    });
+
+    return { registration, created: !existingRegistration };
+  }
+
+  if (isPaid) {
+    try {
+      registration = await startPayment(registration, event) || registration;
+    } catch (error) {
+      // Without a checkout the user cannot pay, so give the seats back straight away
+      const failed = await Registration.findOneAndUpdate(
+        { _id: registration._id, status: 'pending_payment' },
+        { $set: { status: 'cancelled', cancellationReason: 'Payment could not be started', 'payment.status': 'failed' } }
+      );
+
+      if (failed) {
+        await releaseSeats(eventId, seats, ticketTypeId);
+        await promoteFromWaitlist(eventId);
+      }
+
+      return { error: `Payment could not be started: ${error.message}`, statusCode: 502 };
+    }
+
+    await notifyUser(userId, {
+      message: `Complete your payment for "${event.title}" by ${registration.payment.expiresAt.toISOString()} to confirm your registration`,
+      type: 'registration',
+      eventId,
+      registrationId: registration._id
+    });
+
+    return { registration, created: !existingRegistration };
+  }
+
+  await notifyUser(userId, {
+    message: seats === 1 ?
+      `Your registration for "${event.title}" is confirmed` :
+      `Your registration for ${seats} seats at "${event.title}" is confirmed`,
+    type: 'registration',
+    eventId,
+    registrationId: registration._id
+  });
+
+  return { registration, created: !existingRegistration };
+};
+
+module.exports = {
+  bookRegistration
+};
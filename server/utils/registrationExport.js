@@ -0,0 +1,201 @@
+const ExcelJS = require('exceljs');
+const { getTicketTypeName } = require('./ticketTypes');
+const { formatAnswer } = require('./registrationForms');
+
+// Columns available in attendee exports, keyed by their ?columns= name
+const EXPORT_COLUMNS = {
+  name: {
+    header: 'Name',
+    value: (registration) => registration.user ? registration.user.name : ''
+  },
+  email: {
+    header: 'Email',
+    value: (registration) => registration.user ? registration.user.email : ''
+  },
+  event: {
+    header: 'Event',
+    value: (registration) => registration.event ? registration.event.title : ''
+  },
+  eventDate: {
+    header: 'Event Date',
+    value: (registration) => registration.event ? registration.event.date : null
+  },
+  ticketType: {
+    header: 'Ticket Type',
+    value: (registration) => getTicketTypeName(registration.event, registration.ticketType) || ''
+  },
+  seats: {
+    header: 'Seats',
+    value: (registration) => registration.seats || 1
+  },
+  guests: {
+    header: 'Guests',
+    value: (registration) => (registration.guests || [])
+      .map(guest => (guest.email ? `${guest.name} <${guest.email}>` : guest.name))
+      .join('; ')
+  },
+  answers: {
+    header: 'Answers',
+    value: (registration) => (registration.answers || [])
+      .map(answer => `${answer.label}: ${formatAnswer(answer.value)}`)
+      .join('; ')
+  },
+  status: {
+    header: 'Status',
+    value: (registration) => registration.status
+  },
+  registrationDate: {
+    header: 'Registration Date',
+    value: (registration) => registration.registrationDate
+  },
+  checkIn: {
+    header: 'Checked In At',
+    value: (registration) => registration.checkedInAt || null
+  }
+};
+
+const DEFAULT_EVENT_COLUMNS = ['name', 'email', 'ticketType', 'seats', 'guests', 'answers', 'status', 'registrationDate', 'checkIn'];
+const DEFAULT_ALL_COLUMNS = ['event', 'eventDate', ...DEFAULT_EVENT_COLUMNS];
+
+// Parse ?columns=name,email into column keys, rejecting unknown names
+const parseColumns = (value, defaults) => {
+  if (!value) {
+    return { isValid: true, columns: defaults, errors: [] };
+  }
+
+  const columns = String(value).split(',').map(column => column.trim()).filter(Boolean);
+  const unknown = columns.filter(column => !EXPORT_COLUMNS[column]);
+
+  return {
+    isValid: columns.length > 0 && unknown.length === 0,
+    columns,
+    errors: unknown.length > 0 ?
+      [`Unknown column: ${unknown.join(', ')}. Allowed: ${Object.keys(EXPORT_COLUMNS).join(', ')}`] :
+      columns.length === 0 ? ['At least one column is required'] : []
+  };
+};
+
+// Quote a CSV field when needed and defuse spreadsheet formulas
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  // Cells starting with these characters would be run as formulas by Excel
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text) || text !== text.trim()) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+// Build a safe attachment header, with an ASCII fallback and a UTF-8 name
+const contentDisposition = (filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
+
+// Turn a title into a filename friendly slug
+const slugify = (text) => {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'event';
+};
+
+// Wait until the response can take more data
+// Resolves false when the client went away instead, so the export can stop
+const waitForDrain = (res) => new Promise(resolve => {
+  const finish = (drained) => {
+    res.off('drain', onDrain);
+    res.off('close', onClose);
+    res.off('error', onClose);
+    resolve(drained);
+  };
+  const onDrain = () => finish(true);
+  const onClose = () => finish(false);
+
+  res.on('drain', onDrain);
+  res.on('close', onClose);
+  res.on('error', onClose);
+});
+
+// Whether the client has disconnected or the response was torn down
+const isClosed = (res) => res.destroyed || res.writableEnded;
+
+// Stream registrations from a Mongoose cursor to the response as CSV or XLSX
+// Rows are written as they are read, so large events never sit in memory
+// columns are EXPORT_COLUMNS keys or extra { header, value } columns
+// The cursor is always closed, also when the client disconnects mid-download
+const streamRegistrations = async (res, { cursor, format, columns, filename }) => {
+  const fields = columns.map(column => (typeof column === 'string' ? EXPORT_COLUMNS[column] : column));
+
+  try {
+    res.setHeader('Content-Disposition', contentDisposition(`${filename}.${format}`));
+
+    if (format === 'xlsx') {
+      res.setHeader(
+        'Content-Type',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      );
+
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+      const worksheet = workbook.addWorksheet('Registrations');
+
+      worksheet.columns = fields.map(field => ({ header: field.header, width: 24 }));
+
+      for await (const registration of cursor) {
+        if (isClosed(res)) {
+          return;
+        }
+
+        worksheet.addRow(fields.map(field => field.value(registration))).commit();
+      }
+
+      worksheet.commit();
+      await workbook.commit();
+      return;
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+
+    // The byte order mark makes Excel open the file as UTF-8
+    res.write('\ufeff');
+    res.write(`${fields.map(field => escapeCsv(field.header)).join(',')}\r\n`);
+
+    for await (const registration of cursor) {
+      if (isClosed(res)) {
+        return;
+      }
+
+      const line = fields.map(field => escapeCsv(field.value(registration))).join(',');
+
+      // Respect backpressure so a slow client does not buffer the whole export,
+      // and give up once the client has disconnected
+      if (!res.write(`${line}\r\n`) && !await waitForDrain(res)) {
+        return;
+      }
+    }
+
+    res.end();
+  } finally {
+    await cursor.close();
+  }
+};
+
+module.exports = {
+  EXPORT_COLUMNS,
+  DEFAULT_EVENT_COLUMNS,
+  DEFAULT_ALL_COLUMNS,
+  parseColumns,
+  escapeCsv,
+  slugify,
+  streamRegistrations
+};
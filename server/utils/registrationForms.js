@@ -0,0 +1,296 @@
+const mongoose = require('mongoose');
+const Registration = require('../models/registrationModel');
+
+const FIELD_TYPES = ['text', 'select', 'checkbox', 'number'];
+
+// Most questions one form may have, and the longest text answer kept
+const MAX_FORM_FIELDS = 50;
+const MAX_TEXT_LENGTH = 1000;
+
+// Read an optional limit, null when not set and NaN when invalid
+const parseLimit = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  return Number(value);
+};
+
+// Normalize one question from a request, pushing any problems onto errors
+const normalizeField = (item, current, label, errors) => {
+  const fieldLabel = item && typeof item.label === 'string' ? item.label.trim() : '';
+
+  if (!fieldLabel) {
+    errors.push(`${label}: label is required`);
+  }
+
+  const type = item && item.type;
+
+  if (!FIELD_TYPES.includes(type)) {
+    errors.push(`${label}: type must be one of ${FIELD_TYPES.join(', ')}`);
+  }
+
+  let options = [];
+
+  if (type === 'select') {
+    options = [].concat((item && item.options) || [])
+      .map(option => String(option).trim())
+      .filter(Boolean);
+
+    if (options.length === 0) {
+      errors.push(`${label}: select questions need at least one option`);
+    } else if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+      errors.push(`${label}: options must be unique`);
+    }
+  }
+
+  // Text questions limit the answer's length, number questions its value
+  let min = null;
+  let max = null;
+
+  if (type === 'text' || type === 'number') {
+    min = parseLimit(item.min);
+    max = parseLimit(item.max);
+
+    const isValidLimit = (value) => value === null ||
+      (type === 'text' ? Number.isInteger(value) && value >= 0 : Number.isFinite(value));
+
+    if (!isValidLimit(min) || !isValidLimit(max)) {
+      errors.push(type === 'text' ?
+        `${label}: length limits must be whole numbers of zero or more` :
+        `${label}: min and max must be numbers`);
+    } else if (min !== null && max !== null && min > max) {
+      errors.push(`${label}: min cannot be more than max`);
+    }
+  }
+
+  return {
+    _id: current ? current._id : new mongoose.Types.ObjectId(),
+    label: fieldLabel,
+    type,
+    required: item ? item.required === true || item.required === 'true' : false,
+    options,
+    min: min === null ? undefined : min,
+    max: max === null ? undefined : max
+  };
+};
+
+// Check the registration form sent for an event
+// Existing questions are matched by _id so stored answers keep pointing at them
+// Returns { isValid, fields, errors }
+const validateRegistrationForm = (input, event = null) => {
+  if (!Array.isArray(input)) {
+    return { isValid: false, fields: [], errors: ['Registration form must be a list of questions'] };
+  }
+
+  if (input.length > MAX_FORM_FIELDS) {
+    return { isValid: false, fields: [], errors: [`A registration form can have at most ${MAX_FORM_FIELDS} questions`] };
+  }
+
+  const errors = [];
+  const existing = event ? event.registrationForm || [] : [];
+  const existingById = new Map(existing.map(field => [field._id.toString(), field]));
+  const labels = new Set();
+
+  const fields = input.map((item, index) => {
+    const label = `Question ${index + 1}`;
+    const current = item && item._id ? existingById.get(String(item._id)) : null;
+
+    if (item && item._id && !current) {
+      errors.push(`${label}: question not found`);
+    }
+
+    const field = normalizeField(item, current, label, errors);
+    const key = field.label.toLowerCase();
+
+    if (field.label && labels.has(key)) {
+      errors.push(`${label}: duplicate label "${field.label}"`);
+    }
+    labels.add(key);
+
+    return field;
+  });
+
+  return { isValid: errors.length === 0, fields, errors };
+};
+
+// Check one answer against its question, returning { value } or { error }
+const checkAnswer = (field, raw) => {
+  switch (field.type) {
+    case 'checkbox': {
+      if (typeof raw !== 'boolean') {
+        return { error: `"${field.label}" must be true or false` };
+      }
+      if (field.required && !raw) {
+        return { error: `"${field.label}" must be checked` };
+      }
+      return { value: raw };
+    }
+    case 'number': {
+      const value = Number(raw);
+
+      if (typeof raw === 'boolean' || !Number.isFinite(value)) {
+        return { error: `"${field.label}" must be a number` };
+      }
+      if (field.min !== undefined && field.min !== null && value < field.min) {
+        return { error: `"${field.label}" must be at least ${field.min}` };
+      }
+      if (field.max !== undefined && field.max !== null && value > field.max) {
+        return { error: `"${field.label}" must be at most ${field.max}` };
+      }
+      return { value };
+    }
+    case 'select': {
+      if (!field.options.includes(String(raw))) {
+        return { error: `"${field.label}" must be one of ${field.options.join(', ')}` };
+      }
+      return { value: String(raw) };
+    }
+    default: {
+      if (typeof raw !== 'string' && typeof raw !== 'number') {
+        return { error: `"${field.label}" must be text` };
+      }
+
+      const value = String(raw).trim();
+      const max = field.max !== undefined && field.max !== null ? field.max : MAX_TEXT_LENGTH;
+
+      if (field.min !== undefined && field.min !== null && value.length < field.min) {
+        return { error: `"${field.label}" must be at least ${field.min} characters` };
+      }
+      if (value.length > Math.min(max, MAX_TEXT_LENGTH)) {
+        return { error: `"${field.label}" must be at most ${Math.min(max, MAX_TEXT_LENGTH)} characters` };
+      }
+      return { value };
+    }
+  }
+};
+
+// Check a registrant's answers, an object keyed by question _id, against the event's form
+// Unanswered optional questions are left out, labels are copied so answers stay
+// readable after the form changes
+// Returns { isValid, answers, errors }
+const validateAnswers = (event, input) => {
+  const form = event.registrationForm || [];
+  const errors = [];
+
+  if (input !== undefined && input !== null && (typeof input !== 'object' || Array.isArray(input))) {
+    return { isValid: false, answers: [], errors: ['Answers must be an object keyed by question ID'] };
+  }
+
+  const given = input || {};
+  const unknown = Object.keys(given).filter(id => !form.some(field => field._id.toString() === id));
+
+  if (unknown.length > 0) {
+    errors.push(`Unknown question: ${unknown.join(', ')}`);
+  }
+
+  const answers = [];
+
+  form.forEach(field => {
+    const raw = given[field._id.toString()];
+    const isBlank = raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
+
+    if (isBlank) {
+      if (field.required) {
+        errors.push(`"${field.label}" is required`);
+      }
+      return;
+    }
+
+    const { value, error } = checkAnswer(field, raw);
+
+    if (error) {
+      errors.push(error);
+    } else {
+      answers.push({ field: field._id, label: field.label, value });
+    }
+  });
+
+  return { isValid: errors.length === 0, answers, errors };
+};
+
+// Answer as shown in exports, checkboxes read as Yes or No
+const formatAnswer = (value) => {
+  if (typeof value === 'boolean') {
+    return value ? 'Yes' : 'No';
+  }
+  return value === undefined || value === null ? '' : value;
+};
+
+// Export columns with one question each, for exports of a single event
+const getAnswerColumns = (event) => {
+  return (event.registrationForm || []).map(field => ({
+    header: field.label,
+    value: (registration) => {
+      const answer = (registration.answers || []).find(item => item.field && item.field.toString() === field._id.toString());
+      return answer ? formatAnswer(answer.value) : '';
+    }
+  }));
+};
+
+// Per-question summary of the confirmed registrations' answers
+// Select and checkbox questions are counted per choice, numbers get min, max and
+// average, text questions only report how many answered
+const summarizeAnswers = async (event) => {
+  const form = event.registrationForm || [];
+
+  if (form.length === 0) {
+    return [];
+  }
+
+  const textFieldIds = form.filter(field => field.type === 'text').map(field => field._id);
+
+  const groups = await Registration.aggregate([
+    { $match: { event: event._id, status: 'confirmed' } },
+    { $unwind: '$answers' },
+    {
+      $group: {
+        _id: {
+          field: '$answers.field',
+          // Free text answers are only counted, not grouped by value
+          value: { $cond: [{ $in: ['$answers.field', textFieldIds] }, null, '$answers.value'] }
+        },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  return form.map(field => {
+    const values = groups.filter(group => group._id.field.toString() === field._id.toString());
+    const answered = values.reduce((sum, group) => sum + group.count, 0);
+    const summary = { field: field._id, label: field.label, type: field.type, answered };
+
+    if (field.type === 'select') {
+      const choices = [...field.options, ...values
+        .map(group => group._id.value)
+        .filter(value => !field.options.includes(value))];
+
+      summary.options = choices.map(option => ({
+        option,
+        count: values.filter(group => group._id.value === option).reduce((sum, group) => sum + group.count, 0)
+      }));
+    } else if (field.type === 'checkbox') {
+      summary.checked = values.filter(group => group._id.value === true).reduce((sum, group) => sum + group.count, 0);
+      summary.unchecked = answered - summary.checked;
+    } else if (field.type === 'number') {
+      const numbers = values.filter(group => typeof group._id.value === 'number');
+      const count = numbers.reduce((sum, group) => sum + group.count, 0);
+
+      summary.min = count > 0 ? Math.min(...numbers.map(group => group._id.value)) : null;
+      summary.max = count > 0 ? Math.max(...numbers.map(group => group._id.value)) : null;
+      summary.average = count > 0 ?
+        numbers.reduce((sum, group) => sum + group._id.value * group.count, 0) / count :
+        null;
+    }
+
+    return summary;
+  });
+};
+
+module.exports = {
+  FIELD_TYPES,
+  validateRegistrationForm,
+  validateAnswers,
+  formatAnswer,
+  getAnswerColumns,
+  summarizeAnswers
+};
@@ -0,0 +1,197 @@
+const Event = require('../models/eventModel');
+const Registration = require('../models/registrationModel');
+const { getEventDateTime } = require('./eventValidation');
+const { notifyUsers } = require('./notifications');
+const { expirePaymentHolds } = require('./paymentSettlement');
+
+const MINUTE = 60 * 1000;
+const UNIT_MS = { m: MINUTE, h: 60 * MINUTE, d: 24 * 60 * MINUTE };
+
+// Parse offsets like "24h,1h,30m" into [{ label, ms }], largest first
+const parseOffsets = (value) => {
+  return String(value)
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map(label => {
+      const match = /^(\d+)([mhd])$/.exec(label);
+      if (!match) {
+        throw new Error(`Invalid reminder offset "${label}", use e.g. 30m, 1h or 2d`);
+      }
+      return { label, ms: Number(match[1]) * UNIT_MS[match[2]] };
+    })
+    .sort((a, b) => b.ms - a.ms);
+};
+
+// Describe a time span for a notification message, e.g. "24 hours"
+const describeDuration = (ms) => {
+  const [unit, size] = ms >= UNIT_MS.d ? ['day', UNIT_MS.d] :
+    ms >= UNIT_MS.h ? ['hour', UNIT_MS.h] :
+    ['minute', MINUTE];
+  const amount = Math.max(1, Math.round(ms / size));
+  return `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+};
+
+// Get an event's start and end time
+const getEventWindow = (event, defaultDuration) => {
+  const start = getEventDateTime(event.date, event.time);
+  const end = new Date(start.getTime() + (event.duration || defaultDuration) * MINUTE);
+  return { start, end };
+};
+
+// Move scheduled events to ongoing and ongoing events to completed
+// Each change is conditional on the current status, so reruns are harmless
+const updateEventStatuses = async (now, { defaultDuration }) => {
+  const result = { ongoing: 0, completed: 0 };
+
+  // Events are stored by calendar day, so look one day ahead to cover time zones
+  const horizon = new Date(now.getTime() + UNIT_MS.d);
+
+  const events = await Event.find({
+    status: { $in: ['scheduled', 'ongoing'] },
+    date: { $lte: horizon }
+  }).select('date time duration status');
+
+  for (const event of events) {
+    const { start, end } = getEventWindow(event, defaultDuration);
+
+    if (isNaN(start.getTime()) || start > now) {
+      continue;
+    }
+
+    const nextStatus = end <= now ? 'completed' : 'ongoing';
+
+    if (nextStatus === event.status) {
+      continue;
+    }
+
+    const update = await Event.updateOne(
+      { _id: event._id, status: event.status },
+      { $set: { status: nextStatus, updatedAt: now } }
+    );
+
+    if (update.modifiedCount > 0) {
+      result[nextStatus] += 1;
+    }
+  }
+
+  return result;
+};
+
+// Send reminders to confirmed registrants of events starting soon
+// Offsets are recorded on the event before sending, so each goes out once
+const sendReminders = async (now, { offsets }) => {
+  let sent = 0;
+
+  if (offsets.length === 0) {
+    return sent;
+  }
+
+  const horizon = new Date(now.getTime() + offsets[0].ms + UNIT_MS.d);
+
+  const events = await Event.find({
+    status: 'scheduled',
+    date: { $lte: horizon },
+    remindersSent: { $not: { $all: offsets.map(offset => offset.label) } }
+  }).select('title date time remindersSent');
+
+  for (const event of events) {
+    const start = getEventDateTime(event.date, event.time);
+
+    if (isNaN(start.getTime()) || start <= now) {
+      continue;
+    }
+
+    // Offsets whose send time has passed and that were not sent yet
+    const due = offsets.filter(offset =>
+      start.getTime() - offset.ms <= now.getTime() &&
+      !event.remindersSent.includes(offset.label)
+    );
+
+    if (due.length === 0) {
+      continue;
+    }
+
+    // Claim every due offset atomically, another runner may be doing the same
+    const claim = await Event.updateOne(
+      { _id: event._id, remindersSent: { $nin: due.map(offset => offset.label) } },
+      { $addToSet: { remindersSent: { $each: due.map(offset => offset.label) } } }
+    );
+
+    if (claim.modifiedCount === 0) {
+      continue;
+    }
+
+    // Several offsets can be due after downtime, so send a single reminder
+    const attendees = await Registration.find({
+      event: event._id,
+      status: 'confirmed'
+    }).distinct('user');
+
+    const notifications = await notifyUsers(attendees, {
+      message: `Reminder: "${event.title}" starts in ${describeDuration(start - now)}`,
+      type: 'reminder',
+      eventId: event._id
+    });
+
+    sent += notifications.length;
+  }
+
+  return sent;
+};
+
+// Create a scheduler that runs the event jobs on an interval
+// Pass a custom clock to control "now", e.g. in tests
+const createScheduler = ({
+  clock = () => new Date(),
+  intervalMs = Number(process.env.SCHEDULER_INTERVAL) || MINUTE,
+  reminderOffsets = process.env.REMINDER_OFFSETS || '24h,1h',
+  defaultDuration = Number(process.env.EVENT_DEFAULT_DURATION) || 120
+} = {}) => {
+  const offsets = parseOffsets(reminderOffsets);
+  let timer = null;
+  let running = false;
+
+  // Run every job once, skipping if the previous run has not finished
+  const runOnce = async () => {
+    if (running) {
+      return null;
+    }
+
+    running = true;
+
+    try {
+      const now = clock();
+      const statuses = await updateEventStatuses(now, { defaultDuration });
+      const reminders = await sendReminders(now, { offsets });
+      const expiredHolds = await expirePaymentHolds(now);
+      return { statuses, reminders, expiredHolds };
+    } catch (error) {
+      console.error('Scheduler error:', error.message);
+      return null;
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = () => {
+    if (!timer) {
+      timer = setInterval(runOnce, intervalMs);
+      runOnce();
+    }
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { start, stop, runOnce };
+};
+
+module.exports = {
+  parseOffsets,
+  updateEventStatuses,
+  sendReminders,
+  createScheduler
+};
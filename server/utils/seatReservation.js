@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const Event = require('../models/eventModel');
+const Registration = require('../models/registrationModel');
+
+// Registrations in these statuses hold seats on the event's counter
+const SEAT_HOLDING_STATUSES = ['confirmed', 'pending_payment'];
+
+// Whether a registration in this status holds seats on the event's counter,
+// registrations awaiting approval only do when the event is set to hold them
+const holdsSeats = (status, event) => {
+  return SEAT_HOLDING_STATUSES.includes(status) ||
+    (status === 'pending' && Boolean(event && event.holdSeatsForPending));
+};
+
+// Seats held by a registration in aggregations, older documents hold one
+const SEATS_HELD = { $ifNull: ['$seats', 1] };
+
+// Query condition for registrations still holding this many seats,
+// used to make sure a seat change and its counter update stay in step
+const matchSeats = (seats) => (seats === 1 ? { $in: [1, null] } : seats);
+
+// Held seats per event, as a map of event ID to seat count
+const countHeldSeats = async (eventIds) => {
+  const counts = await Registration.aggregate([
+    { $match: { event: { $in: eventIds }, status: { $in: SEAT_HOLDING_STATUSES } } },
+    { $group: { _id: '$event', count: { $sum: SEATS_HELD } } }
+  ]);
+
+  return new Map(counts.map(item => [item._id.toString(), item.count]));
+};
+
+// Backfill the seat counter for events created before it existed
+const syncSeatCounter = async (eventId) => {
+  // Aggregations do not cast, so make sure a string ID becomes an ObjectId
+  const counts = await countHeldSeats([new mongoose.Types.ObjectId(eventId)]);
+
+  const result = await Event.updateOne(
+    { _id: eventId, registeredUsers: { $not: { $type: 'number' } } },
+    { $set: { registeredUsers: counts.get(eventId.toString()) || 0 } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+// Backfill the seat counter of every event that still lacks one
+// Runs one aggregation for all of them rather than a count per event
+const backfillSeatCounters = async () => {
+  const missing = await Event.find({ registeredUsers: { $not: { $type: 'number' } } }).distinct('_id');
+
+  if (missing.length === 0) {
+    return 0;
+  }
+
+  const counts = await countHeldSeats(missing);
+
+  const result = await Event.bulkWrite(missing.map(eventId => ({
+    updateOne: {
+      filter: { _id: eventId, registeredUsers: { $not: { $type: 'number' } } },
+      update: { $set: { registeredUsers: counts.get(eventId.toString()) || 0 } }
+    }
+  })));
+
+  return result.modifiedCount;
+};
+
+// Add availableSeats to plain (lean) event objects from the seat counter
+// Events without a counter yet are counted together in a single aggregation
+const addAvailableSeats = async (events) => {
+  const missing = events
+    .filter(event => typeof event.registeredUsers !== 'number')
+    .map(event => event._id);
+
+  const counts = missing.length > 0 ? await countHeldSeats(missing) : new Map();
+
+  return events.map(event => {
+    const registeredUsers = typeof event.registeredUsers === 'number' ?
+      event.registeredUsers :
+      counts.get(event._id.toString()) || 0;
+
+    return {
+      ...event,
+      registeredUsers,
+      availableSeats: event.totalSeats - registeredUsers
+    };
+  });
+};
+
+// Atomically claim seats, returning the updated event or null when full
+// With a ticket type the seats must also fit that type's own capacity
+// Cancelled events never hand out seats
+const reserveSeats = async (eventId, seats = 1, ticketTypeId = null) => {
+  const hasRoom = { $lte: [{ $add: ['$registeredUsers', seats] }, '$totalSeats'] };
+  const filter = {
+    _id: eventId,
+    status: { $ne: 'cancelled' },
+    registeredUsers: { $type: 'number' },
+    $expr: hasRoom
+  };
+  const update = { $inc: { registeredUsers: seats } };
+
+  if (ticketTypeId) {
+    // $expr is not cast by Mongoose, so compare against a real ObjectId
+    const typeId = new mongoose.Types.ObjectId(ticketTypeId);
+
+    filter['ticketTypes._id'] = typeId;
+    filter.$expr = {
+      $and: [
+        hasRoom,
+        {
+          $anyElementTrue: [{
+            $map: {
+              input: '$ticketTypes',
+              in: {
+                $and: [
+                  { $eq: ['$$this._id', typeId] },
+                  { $lte: [{ $add: ['$$this.sold', seats] }, '$$this.capacity'] }
+                ]
+              }
+            }
+          }]
+        }
+      ]
+    };
+    update.$inc['ticketTypes.$.sold'] = seats;
+  }
+
+  const claim = () => Event.findOneAndUpdate(filter, update, { new: true });
+
+  const event = await claim();
+
+  // Retry once if the counter was missing rather than the event being full
+  if (!event && await syncSeatCounter(eventId)) {
+    return claim();
+  }
+
+  return event;
+};
+
+// Give seats back to the event and their ticket type, never dropping a counter below zero
+const releaseSeats = async (eventId, seats = 1, ticketTypeId = null) => {
+  if (ticketTypeId) {
+    return Event.findOneAndUpdate(
+      {
+        _id: eventId,
+        registeredUsers: { $gte: seats },
+        ticketTypes: { $elemMatch: { _id: ticketTypeId, sold: { $gte: seats } } }
+      },
+      { $inc: { registeredUsers: -seats, 'ticketTypes.$.sold': -seats } },
+      { new: true }
+    );
+  }
+
+  return Event.findOneAndUpdate(
+    { _id: eventId, registeredUsers: { $gte: seats } },
+    { $inc: { registeredUsers: -seats } },
+    { new: true }
+  );
+};
+
+module.exports = {
+  SEAT_HOLDING_STATUSES,
+  holdsSeats,
+  SEATS_HELD,
+  matchSeats,
+  syncSeatCounter,
+  backfillSeatCounters,
+  addAvailableSeats,
+  reserveSeats,
+  releaseSeats
+};
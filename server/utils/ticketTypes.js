@@ -0,0 +1,236 @@
+const mongoose = require('mongoose');
+const Registration = require('../models/registrationModel');
+
+const USER_ROLES = ['user', 'organizer', 'admin'];
+
+// Read an optional date, null when not set and undefined when invalid
+const parseOptionalDate = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+// Normalize one ticket type from a request, pushing any problems onto errors
+const normalizeTicketType = (item, current, label, errors) => {
+  const name = item && typeof item.name === 'string' ? item.name.trim() : '';
+
+  if (!name) {
+    errors.push(`${label}: name is required`);
+  }
+
+  const capacity = Number(item && item.capacity);
+
+  if (!Number.isInteger(capacity) || capacity < 1) {
+    errors.push(`${label}: capacity must be a positive whole number`);
+  } else if (current && capacity < current.sold) {
+    errors.push(`${label}: capacity cannot be below the ${current.sold} seats already booked`);
+  }
+
+  const price = item && item.price !== undefined && item.price !== null && item.price !== '' ?
+    Number(item.price) :
+    0;
+
+  if (!Number.isFinite(price) || price < 0) {
+    errors.push(`${label}: price must be zero or more`);
+  }
+
+  const salesStart = parseOptionalDate(item && item.salesStart);
+  const salesEnd = parseOptionalDate(item && item.salesEnd);
+
+  if (salesStart === undefined || salesEnd === undefined) {
+    errors.push(`${label}: sales dates must be valid dates`);
+  } else if (salesStart && salesEnd && salesStart >= salesEnd) {
+    errors.push(`${label}: sales must start before they end`);
+  }
+
+  const eligibility = (item && item.eligibility) || {};
+  const roles = [].concat(eligibility.roles || []).map(String);
+  const emailDomains = [].concat(eligibility.emailDomains || [])
+    .map(domain => String(domain).trim().toLowerCase().replace(/^@/, ''))
+    .filter(Boolean);
+  const unknownRoles = roles.filter(role => !USER_ROLES.includes(role));
+
+  if (unknownRoles.length > 0) {
+    errors.push(`${label}: unknown role ${unknownRoles.join(', ')}. Allowed: ${USER_ROLES.join(', ')}`);
+  }
+
+  return {
+    _id: current ? current._id : new mongoose.Types.ObjectId(),
+    name,
+    capacity,
+    sold: current ? current.sold : 0,
+    price,
+    salesStart: salesStart || undefined,
+    salesEnd: salesEnd || undefined,
+    eligibility: { roles, emailDomains }
+  };
+};
+
+// Check the ticket types sent for an event and merge them with its existing ones
+// Existing types are matched by _id so their sold counters carry over, and a type
+// can only be dropped once no confirmed or waitlisted registration uses it
+// Returns { isValid, ticketTypes, totalSeats, errors }
+const validateTicketTypes = async (input, event = null) => {
+  if (!Array.isArray(input)) {
+    return { isValid: false, ticketTypes: [], totalSeats: 0, errors: ['Ticket types must be a list'] };
+  }
+
+  const errors = [];
+  const existing = event ? event.ticketTypes || [] : [];
+  const existingById = new Map(existing.map(ticketType => [ticketType._id.toString(), ticketType]));
+  const names = new Set();
+
+  const ticketTypes = input.map((item, index) => {
+    const label = `Ticket type ${index + 1}`;
+    const current = item && item._id ? existingById.get(String(item._id)) : null;
+
+    if (item && item._id && !current) {
+      errors.push(`${label}: ticket type not found`);
+    }
+
+    const ticketType = normalizeTicketType(item, current, label, errors);
+    const key = ticketType.name.toLowerCase();
+
+    if (ticketType.name && names.has(key)) {
+      errors.push(`${label}: duplicate name "${ticketType.name}"`);
+    }
+    names.add(key);
+
+    return ticketType;
+  });
+
+  const keptIds = new Set(ticketTypes.map(ticketType => ticketType._id.toString()));
+  const removed = existing.filter(ticketType => !keptIds.has(ticketType._id.toString()));
+
+  if (removed.length > 0) {
+    const inUse = await Registration.find({
+      event: event._id,
+      ticketType: { $in: removed.map(ticketType => ticketType._id) },
+      status: { $in: ['confirmed', 'waitlisted', 'pending_payment', 'pending'] }
+    }).distinct('ticketType');
+
+    removed
+      .filter(ticketType => inUse.some(id => id.toString() === ticketType._id.toString()))
+      .forEach(ticketType => errors.push(`Ticket type "${ticketType.name}" has registrations and cannot be removed`));
+  }
+
+  return {
+    isValid: errors.length === 0,
+    ticketTypes,
+    totalSeats: ticketTypes.reduce((sum, ticketType) => sum + (ticketType.capacity || 0), 0),
+    errors
+  };
+};
+
+// Whether the ticket type's sales window is open at the given time
+const isOnSale = (ticketType, now = new Date()) => {
+  return (!ticketType.salesStart || ticketType.salesStart <= now) &&
+    (!ticketType.salesEnd || ticketType.salesEnd > now);
+};
+
+// Whether a user meets the ticket type's eligibility rule
+// Email domains only count once the address is verified, anyone can sign up with one
+const isEligible = (ticketType, user) => {
+  const { roles = [], emailDomains = [] } = ticketType.eligibility || {};
+
+  if (roles.length > 0 && !roles.includes(user.role)) {
+    return false;
+  }
+
+  if (emailDomains.length > 0) {
+    if (!user.isEmailVerified) {
+      return false;
+    }
+
+    const domain = String(user.email || '').toLowerCase().split('@').pop();
+
+    return emailDomains.some(allowed => domain === allowed || domain.endsWith(`.${allowed}`));
+  }
+
+  return true;
+};
+
+// Pick the ticket type a user asked for and check they can book it now
+// Events with a single type use it when none is named
+// Returns { ticketType } (null for events without types) or { error, statusCode }
+const resolveTicketType = (event, ticketTypeId, user, { now = new Date() } = {}) => {
+  const ticketTypes = event.ticketTypes || [];
+
+  if (ticketTypes.length === 0) {
+    return ticketTypeId ?
+      { error: 'Event has no ticket types', statusCode: 400 } :
+      { ticketType: null };
+  }
+
+  if (!ticketTypeId) {
+    return ticketTypes.length === 1 ?
+      resolveTicketType(event, ticketTypes[0]._id, user, { now }) :
+      { error: `Choose a ticket type: ${ticketTypes.map(ticketType => ticketType.name).join(', ')}`, statusCode: 400 };
+  }
+
+  const ticketType = ticketTypes.find(item => item._id.toString() === String(ticketTypeId));
+
+  if (!ticketType) {
+    return { error: 'Ticket type not found', statusCode: 400 };
+  }
+
+  if (ticketType.salesStart && ticketType.salesStart > now) {
+    return { error: `Sales for "${ticketType.name}" open on ${ticketType.salesStart.toISOString()}`, statusCode: 400 };
+  }
+
+  if (ticketType.salesEnd && ticketType.salesEnd <= now) {
+    return { error: `Sales for "${ticketType.name}" have ended`, statusCode: 400 };
+  }
+
+  if (user && !isEligible(ticketType, user)) {
+    const needsVerification = !user.isEmailVerified &&
+      isEligible(ticketType, { role: user.role, email: user.email, isEmailVerified: true });
+
+    return {
+      error: needsVerification ?
+        `Verify your email to book "${ticketType.name}" tickets` :
+        `You are not eligible for "${ticketType.name}" tickets`,
+      statusCode: 403
+    };
+  }
+
+  return { ticketType };
+};
+
+// Name of one of an event's ticket types, or null when it has none
+const getTicketTypeName = (event, ticketTypeId) => {
+  if (!event || !ticketTypeId) {
+    return null;
+  }
+
+  const ticketType = (event.ticketTypes || []).find(item => item._id.toString() === ticketTypeId.toString());
+  return ticketType ? ticketType.name : null;
+};
+
+// Public view of an event's ticket types with their availability
+const summarizeTicketTypes = (event, { now = new Date() } = {}) => {
+  return (event.ticketTypes || []).map(ticketType => ({
+    _id: ticketType._id,
+    name: ticketType.name,
+    price: ticketType.price,
+    capacity: ticketType.capacity,
+    sold: ticketType.sold,
+    availableSeats: ticketType.capacity - ticketType.sold,
+    salesStart: ticketType.salesStart,
+    salesEnd: ticketType.salesEnd,
+    onSale: isOnSale(ticketType, now),
+    eligibility: ticketType.eligibility
+  }));
+};
+
+module.exports = {
+  validateTicketTypes,
+  isOnSale,
+  isEligible,
+  resolveTicketType,
+  getTicketTypeName,
+  summarizeTicketTypes
+};
@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Tickets are signed with their own secret when set, otherwise the JWT secret
+const getTicketSecret = () => process.env.TICKET_SECRET || process.env.JWT_SECRET;
+
+// Sign a registration and event pair
+const signTicket = (registrationId, eventId) => {
+  return crypto
+    .createHmac('sha256', getTicketSecret())
+    .update(`${registrationId}:${eventId}`)
+    .digest('base64url')
+    .slice(0, 22);
+};
+
+// Build a ticket code in the form <registrationId>.<eventId>.<signature>
+const generateTicketCode = (registration) => {
+  const registrationId = registration._id.toString();
+  const eventId = (registration.event._id || registration.event).toString();
+  return `${registrationId}.${eventId}.${signTicket(registrationId, eventId)}`;
+};
+
+// Check a scanned code's signature and return the IDs it carries, or null
+const verifyTicketCode = (code) => {
+  const parts = String(code || '').trim().split('.');
+
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  const [registrationId, eventId, signature] = parts;
+
+  if (!mongoose.Types.ObjectId.isValid(registrationId) ||
+      !mongoose.Types.ObjectId.isValid(eventId)) {
+    return null;
+  }
+
+  const expected = Buffer.from(signTicket(registrationId, eventId));
+  const received = Buffer.from(signature);
+
+  if (expected.length !== received.length ||
+      !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  return { registrationId, eventId };
+};
+
+module.exports = {
+  generateTicketCode,
+  verifyTicketCode
+};
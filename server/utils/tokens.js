@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/refreshTokenModel');
+const User = require('../models/userModel');
+
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Convert a duration such as "7d" or "15m" to milliseconds
+const durationToMs = (value) => {
+  const match = /^(\d+)([smhd])$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid duration "${value}", use e.g. 15m or 7d`);
+  }
+  return Number(match[1]) * UNIT_MS[match[2]];
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Generate a short lived access token tied to a session
+const generateAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { id: user._id, ver: user.tokenVersion || 0, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRE || '15m' }
+  );
+};
+
+// Store a new refresh token and return its plain value
+const createRefreshToken = async (user, family, { ip, userAgent } = {}) => {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + durationToMs(process.env.JWT_REFRESH_EXPIRE || '7d')),
+    createdByIp: ip,
+    userAgent
+  });
+
+  return token;
+};
+
+// Start a new session and return its token pair
+const issueTokens = async (user, meta) => {
+  const family = crypto.randomUUID();
+  const refreshToken = await createRefreshToken(user, family, meta);
+
+  return {
+    token: generateAccessToken(user, family),
+    refreshToken
+  };
+};
+
+// Revoke every token in a session
+const revokeSession = async (family) => {
+  await RefreshToken.updateMany(
+    { family, revokedAt: { $exists: false } },
+    { $set: { revokedAt: Date.now() } }
+  );
+};
+
+// Revoke all of a user's sessions and invalidate their access tokens
+const revokeAllSessions = async (userId) => {
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: Date.now() } }
+  );
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+};
+
+// Swap a refresh token for a new pair
+// Presenting an already rotated token means it leaked, so the session is revoked
+const rotateRefreshToken = async (token, meta) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(String(token || '')) });
+
+  if (!stored) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  if (stored.replacedAt) {
+    await revokeSession(stored.family);
+    return { error: 'Refresh token reuse detected, please log in again' };
+  }
+
+  if (stored.revokedAt || stored.expiresAt <= new Date()) {
+    return { error: 'Refresh token has expired or been revoked' };
+  }
+
+  const user = await User.findById(stored.user);
+
+  if (!user) {
+    await revokeSession(stored.family);
+    return { error: 'User no longer exists' };
+  }
+
+  if (user.isSuspended) {
+    await revokeSession(stored.family);
+    return { error: 'Your account has been suspended' };
+  }
+
+  // Create the replacement first so the session never looks inactive to protect
+  const refreshToken = await createRefreshToken(user, stored.family, meta);
+
+  // Mark the old token used atomically, so two parallel refreshes cannot both win
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, revokedAt: { $exists: false } },
+    { $set: { revokedAt: Date.now(), replacedAt: Date.now() } }
+  );
+
+  if (!claimed) {
+    await revokeSession(stored.family);
+    return { error: 'Refresh token reuse detected, please log in again' };
+  }
+
+  return {
+    user,
+    token: generateAccessToken(user, stored.family),
+    refreshToken
+  };
+};
+
+// Check that a session still has a usable refresh token
+const isSessionActive = async (family) => {
+  return !!(await RefreshToken.exists({
+    family,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }));
+};
+
+// Find the session a refresh token belongs to
+const findSession = async (token) => {
+  return RefreshToken.findOne({ tokenHash: hashToken(String(token || '')) });
+};
+
+module.exports = {
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive,
+  findSession
+};
@@ -0,0 +1,110 @@
+const Registration = require('../models/registrationModel');
+const { reserveSeats, releaseSeats, matchSeats } = require('./seatReservation');
+const { notifyUser } = require('./notifications');
+const { getBookingAmount, paymentHold, startPayment } = require('./payments');
+
+// Get a waitlisted registration's 1-based position in its event's queue
+// Each ticket type has a queue of its own
+const getWaitlistPosition = async (registration) => {
+  if (!registration || registration.status !== 'waitlisted') {
+    return null;
+  }
+
+  const ahead = await Registration.countDocuments({
+    event: registration.event,
+    status: 'waitlisted',
+    ticketType: registration.ticketType || null,
+    $or: [
+      { waitlistedAt: { $lt: registration.waitlistedAt } },
+      { waitlistedAt: registration.waitlistedAt, _id: { $lt: registration._id } }
+    ]
+  });
+
+  return ahead + 1;
+};
+
+// Move waitlisted users into any free seats, oldest first
+// A group waits until all its seats fit, later entries of the same ticket type
+// never jump ahead of it, but other ticket types keep moving
+// On paid events the seats are held for payment instead of confirmed
+const promoteFromWaitlist = async (eventId) => {
+  const promoted = [];
+  const fullTicketTypes = [];
+
+  while (true) {
+    const next = await Registration.findOne({
+      event: eventId,
+      status: 'waitlisted',
+      ticketType: { $nin: fullTicketTypes }
+    })
+    .sort({ waitlistedAt: 1, _id: 1 });
+
+    if (!next) {
+      break;
+    }
+
+    // Close this ticket type's queue once its next seats cannot be claimed
+    const event = await reserveSeats(eventId, next.seats, next.ticketType);
+
+    if (!event) {
+      fullTicketTypes.push(next.ticketType || null);
+      continue;
+    }
+
+    const isPaid = getBookingAmount(event, next.ticketType, next.seats) > 0;
+
+    // Confirm only if the user has not left the queue in the meantime
+    let registration = await Registration.findOneAndUpdate(
+      { _id: next._id, status: 'waitlisted', seats: matchSeats(next.seats) },
+      {
+        $set: isPaid ?
+          { status: 'pending_payment', registrationDate: Date.now(), payment: paymentHold() } :
+          { status: 'confirmed', registrationDate: Date.now() },
+        $unset: { waitlistedAt: 1 }
+      },
+      { new: true }
+    );
+
+    if (!registration) {
+      await releaseSeats(eventId, next.seats, next.ticketType);
+      continue;
+    }
+
+    if (isPaid) {
+      // A failed checkout leaves the hold in place until it expires
+      try {
+        registration = await startPayment(registration, event) || registration;
+      } catch (error) {
+        console.error('Payment error:', error.message);
+      }
+
+      await notifyUser(registration.user, {
+        message: `A spot opened up for "${event.title}", complete your payment by ${registration.payment.expiresAt.toISOString()} to confirm your registration`,
+        type: 'registration',
+        eventId: event._id,
+        registrationId: registration._id
+      });
+
+      promoted.push(registration);
+      continue;
+    }
+
+    await notifyUser(registration.user, {
+      message: registration.seats > 1 ?
+        `${registration.seats} seats opened up for "${event.title}" and your registration is now confirmed` :
+        `A seat opened up for "${event.title}" and your registration is now confirmed`,
+      type: 'registration',
+      eventId: event._id,
+      registrationId: registration._id
+    });
+
+    promoted.push(registration);
+  }
+
+  return promoted;
+};
+
+module.exports = {
+  getWaitlistPosition,
+  promoteFromWaitlist
+};